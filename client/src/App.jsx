@@ -0,0 +1,30 @@
+import React from 'react';
+import Dashboard from './components/Dashboard';
+import Login from './components/Login';
+import { apiFetch, getAuth, setAuth } from './api';
+
+export default function App() {
+  const [auth, setAuthState] = React.useState(getAuth);
+
+  React.useEffect(() => {
+    const handleExpired = () => setAuthState(null);
+    window.addEventListener('auth:expired', handleExpired);
+    return () => window.removeEventListener('auth:expired', handleExpired);
+  }, []);
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Failed to log out:', error);
+    }
+    setAuth(null);
+    setAuthState(null);
+  };
+
+  if (!auth) {
+    return <Login onLogin={setAuthState} />;
+  }
+
+  return <Dashboard auth={auth} onLogout={handleLogout} />;
+}
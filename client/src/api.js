@@ -0,0 +1,65 @@
+const TOKEN_KEY = 'fufuhub.auth';
+
+export function getAuth() {
+  try {
+    return JSON.parse(localStorage.getItem(TOKEN_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function setAuth(auth) {
+  if (auth) {
+    localStorage.setItem(TOKEN_KEY, JSON.stringify(auth));
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+}
+
+/**
+ * fetch() with the dashboard session token
+ * A 401 clears the stored session and notifies the app to show the login screen
+ */
+export async function apiFetch(url, options = {}) {
+  const auth = getAuth();
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      ...(auth?.token && { Authorization: `Bearer ${auth.token}` }),
+    },
+  });
+
+  if (response.status === 401 && !url.startsWith('/api/auth/login')) {
+    setAuth(null);
+    window.dispatchEvent(new Event('auth:expired'));
+  }
+
+  return response;
+}
+
+/**
+ * WebSocket URL carrying the session token
+ * `since` is the last event id seen, the server replays the events after it;
+ * `topics` are the initial subscriptions (system, runs, user:{uid})
+ */
+export function getWebSocketUrl(since = null, topics = []) {
+  // If on port 3000, use 3001 (backend); otherwise use same port
+  const wsPort = window.location.port === '3000' ? '3001' : window.location.port;
+  // Use wss:// for HTTPS, ws:// for HTTP
+  const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const host = wsPort ? `${window.location.hostname}:${wsPort}` : window.location.hostname;
+  const token = encodeURIComponent(getAuth()?.token || '');
+  const resume = since ? `&since=${encodeURIComponent(since)}` : '';
+  const subscriptions = topics.length > 0 ? `&topics=${encodeURIComponent(topics.join(','))}` : '';
+  return `${wsProtocol}//${host}/?token=${token}${resume}${subscriptions}`;
+}
+
+/**
+ * Order of two event ids ('<ms>-<seq>'), negative when a is older
+ */
+export function compareEventIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
@@ -0,0 +1,135 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+const LEVELS = ['info', 'success', 'warning', 'error'];
+const PAGE_SIZE = 50;
+
+/**
+ * Log stream of an account (scheduler, token refresh and manual actions)
+ * Filter by level, run or text; `latest` is the last 'accountLog' WebSocket entry of this
+ * account and is prepended while the unfiltered first page is shown.
+ * Render with key={uid} so switching accounts starts from clean filters.
+ */
+export default function AccountLogs({ uid, latest }) {
+  const [filters, setFilters] = React.useState({ level: '', runId: '', q: '' });
+  const [search, setSearch] = React.useState('');
+  const [page, setPage] = React.useState(1);
+  const [result, setResult] = React.useState(null);
+
+  React.useEffect(() => {
+    loadLogs();
+  }, [filters, page]);
+
+  React.useEffect(() => {
+    const unfiltered = !filters.level && !filters.runId && !filters.q;
+    if (!latest || latest.uid !== uid || !unfiltered || page !== 1 || !result) {
+      return;
+    }
+    if (result.items.some((entry) => entry.id === latest.id)) {
+      return;
+    }
+    setResult({ ...result, items: [latest, ...result.items].slice(0, PAGE_SIZE), total: result.total + 1 });
+  }, [latest]);
+
+  const loadLogs = async () => {
+    try {
+      const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+      for (const [key, value] of Object.entries(filters)) {
+        if (value) {
+          params.set(key, value);
+        }
+      }
+      const response = await apiFetch(`/api/users/${uid}/logs?${params}`);
+      const data = await response.json();
+      setResult(data.code === 0 ? data.data : null);
+    } catch (error) {
+      console.error('Failed to load account logs:', error);
+    }
+  };
+
+  const applyFilter = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const pages = result ? Math.max(Math.ceil(result.total / PAGE_SIZE), 1) : 1;
+
+  return (
+    <div className="section">
+      <div className="section-header">
+        <h3>📜 Account Logs</h3>
+        <button className="btn btn-secondary btn-sm" onClick={loadLogs}>
+          🔄 Refresh
+        </button>
+      </div>
+
+      <form
+        className="log-filters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          applyFilter({ q: search.trim() });
+        }}
+      >
+        <select value={filters.level} onChange={(e) => applyFilter({ level: e.target.value })}>
+          <option value="">All levels</option>
+          {LEVELS.map((level) => (
+            <option key={level} value={level}>
+              {level}
+            </option>
+          ))}
+          <option value="warning,error">warning + error</option>
+        </select>
+        <input type="text" placeholder="Search messages" value={search} onChange={(e) => setSearch(e.target.value)} />
+        <button type="submit" className="btn btn-secondary btn-sm">
+          Search
+        </button>
+        {filters.runId && (
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => applyFilter({ runId: '' })}>
+            Run {filters.runId} ✕
+          </button>
+        )}
+      </form>
+
+      <div className="logs-container">
+        {!result || result.items.length === 0 ? (
+          <p className="empty-state">No logs found</p>
+        ) : (
+          result.items.map((entry) => (
+            <div key={entry.id} className={`log-entry log-${entry.level}`}>
+              <span className="log-timestamp">{new Date(entry.timestamp).toLocaleString()}</span>
+              <span className="log-message">{entry.message}</span>
+              <span className="log-tags">
+                {entry.taskId !== null && <span className="log-tag">task {entry.taskId}</span>}
+                {entry.runId && (
+                  <button
+                    type="button"
+                    className="log-tag"
+                    title="Show this run only"
+                    onClick={() => applyFilter({ runId: entry.runId })}
+                  >
+                    run {entry.runId}
+                  </button>
+                )}
+                {entry.source !== 'scheduler' && <span className="log-tag">{entry.source}</span>}
+              </span>
+            </div>
+          ))
+        )}
+      </div>
+
+      {result && result.total > PAGE_SIZE && (
+        <div className="log-pagination">
+          <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            ‹ Newer
+          </button>
+          <span>
+            Page {page} / {pages} ({result.total} entries)
+          </span>
+          <button className="btn btn-secondary btn-sm" disabled={page >= pages} onClick={() => setPage(page + 1)}>
+            Older ›
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
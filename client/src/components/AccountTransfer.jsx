@@ -0,0 +1,168 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+const ACTION_LABELS = {
+  create: 'new',
+  update: 'update',
+  unchanged: 'unchanged',
+  invalid: 'invalid',
+};
+
+/**
+ * Bulk export / import of accounts as JSON or CSV
+ * Imports are validated first; only the valid rows of the preview are saved.
+ */
+export default function AccountTransfer({ addLog, onImported, onClose }) {
+  const [format, setFormat] = React.useState('csv');
+  const [includeSecrets, setIncludeSecrets] = React.useState(false);
+  const [mode, setMode] = React.useState('merge');
+  const [file, setFile] = React.useState(null);
+  const [preview, setPreview] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const response = await apiFetch(`/api/users/export?format=${format}&secrets=${includeSecrets}`);
+      if (!response.ok) {
+        const data = await response.json();
+        addLog(`❌ Export failed: ${data.message}`, 'error');
+        return;
+      }
+
+      const blob = await response.blob();
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `fufuhub-accounts-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      addLog(`📤 Accounts exported (${format}${includeSecrets ? ', with secrets' : ''})`, 'success');
+    } catch (error) {
+      console.error('Failed to export users:', error);
+      addLog('Export failed', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const postImport = async (query, importFile) =>
+    apiFetch(`/api/users/import?mode=${mode}${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': importFile.name.toLowerCase().endsWith('.csv') ? 'text/csv' : 'application/json',
+      },
+      body: await importFile.text(),
+    });
+
+  const loadPreview = async (importFile) => {
+    setBusy(true);
+    setPreview(null);
+    try {
+      const response = await postImport('&preview=true', importFile);
+      const data = await response.json();
+      if (data.code === 0) {
+        setPreview(data.data);
+      } else {
+        addLog(`❌ Failed to read ${importFile.name}: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to preview import:', error);
+      addLog('Failed to read import file', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    setFile(selected || null);
+    if (selected) {
+      loadPreview(selected);
+    }
+  };
+
+  // The preview depends on the mode
+  React.useEffect(() => {
+    if (file) {
+      loadPreview(file);
+    }
+  }, [mode]);
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const response = await postImport('', file);
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`✅ ${data.message}`, 'success');
+        for (const item of data.data.items.filter((entry) => entry.action === 'invalid')) {
+          addLog(`⚠️ Row ${item.row} skipped: ${item.errors.join('; ')}`, 'warning');
+        }
+        onImported?.();
+        onClose();
+      } else {
+        addLog(`❌ Import failed: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to import users:', error);
+      addLog('Import failed', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importable = preview ? preview.items.filter((item) => item.action === 'create' || item.action === 'update').length : 0;
+
+  return (
+    <div className="har-import account-transfer">
+      <div className="transfer-row">
+        <strong>Export</strong>
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+        </select>
+        <label>
+          <input type="checkbox" checked={includeSecrets} onChange={(e) => setIncludeSecrets(e.target.checked)} />{' '}
+          Secrets
+        </label>
+        <button className="btn btn-secondary btn-sm" disabled={busy} onClick={handleExport}>
+          📤 Download
+        </button>
+      </div>
+
+      <div className="transfer-row">
+        <strong>Import</strong>
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="merge">Merge</option>
+          <option value="replace">Replace</option>
+        </select>
+      </div>
+      <input type="file" accept=".csv,.json,text/csv,application/json" disabled={busy} onChange={handleFile} />
+
+      {preview && (
+        <>
+          <p className="hint">
+            {preview.total} row(s): {preview.valid} valid, {preview.invalid} invalid
+          </p>
+          {preview.items.map((item) => (
+            <div key={item.row} className={`transfer-item transfer-${item.action}`}>
+              <strong>
+                Row {item.row}
+                {item.uid !== null && ` · UID ${item.uid}`}
+              </strong>{' '}
+              ({ACTION_LABELS[item.action]})
+              {item.changes.length > 0 && <div>{item.changes.join(', ')}</div>}
+              {item.errors.map((error) => (
+                <div key={error}>{error}</div>
+              ))}
+            </div>
+          ))}
+          <button className="btn btn-success btn-sm" disabled={busy || importable === 0} onClick={handleImport}>
+            Import {importable} account(s)
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
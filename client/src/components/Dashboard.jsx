@@ -1,17 +1,56 @@
 import React from 'react';
+import ScheduleEditor, { DEFAULT_SCHEDULE } from './ScheduleEditor';
+import NotificationSettings from './NotificationSettings';
+import TaskHandlerSettings from './TaskHandlerSettings';
+import RunPlan from './RunPlan';
+import HarImport from './HarImport';
+import AccountTransfer from './AccountTransfer';
+import RewardLedger from './RewardLedger';
+import LotterySettings from './LotterySettings';
+import PrizeStats from './PrizeStats';
+import ExpiringRewards from './ExpiringRewards';
+import Overview from './Overview';
+import HistoryCharts from './HistoryCharts';
+import AccountLogs from './AccountLogs';
+import RunQueue from './RunQueue';
+import { apiFetch, getWebSocketUrl, compareEventIds } from '../api';
 import './Dashboard.css';
 
-export default function Dashboard() {
+// Interval of the WebSocket ping; two silent intervals mean the connection is dead
+const HEARTBEAT_MS = 30000;
+
+export default function Dashboard({ auth, onLogout }) {
+  // Viewers get a read-only dashboard; every write action requires admin
+  const isAdmin = auth?.role === 'admin';
   const [users, setUsers] = React.useState([]);
   const [selectedUser, setSelectedUser] = React.useState(null);
   const [tasks, setTasks] = React.useState([]);
   const [userInfo, setUserInfo] = React.useState(null);
   const [rewards, setRewards] = React.useState(null);
   const [logs, setLogs] = React.useState([]);
+  const [activeTab, setActiveTab] = React.useState('tasks');
+  // Last 'accountLog' message of the selected account, appended live by the Logs tab
+  const [latestAccountLog, setLatestAccountLog] = React.useState(null);
   const [showAddUser, setShowAddUser] = React.useState(false);
-  const [ws, setWs] = React.useState(null);
+  const [showHarImport, setShowHarImport] = React.useState(false);
+  const [showTransfer, setShowTransfer] = React.useState(false);
+  // Bumped by 'rewardsExpiring' messages so the expiring panel reloads
+  const [expiryVersion, setExpiryVersion] = React.useState(0);
+  // Bumped by 'runFinished' messages so the overview and history charts reload
+  const [runsVersion, setRunsVersion] = React.useState(0);
+  // connecting | open | reconnecting | closed
+  const [wsStatus, setWsStatus] = React.useState('connecting');
+  // Seconds until the next reconnect attempt, shown next to the connection status
+  const [wsRetryIn, setWsRetryIn] = React.useState(null);
   const [schedulerRunning, setSchedulerRunning] = React.useState(false);
+  const [runQueue, setRunQueue] = React.useState(null);
   const [systemLogs, setSystemLogs] = React.useState([]);
+  const [schedule, setSchedule] = React.useState([]);
+  const [nextRuns, setNextRuns] = React.useState([]);
+  const [followUp, setFollowUp] = React.useState(null);
+  const [secrets, setSecrets] = React.useState(null);
+  const [plan, setPlan] = React.useState(null);
+  const [showNotifications, setShowNotifications] = React.useState(false);
 
   // Form state
   const [formData, setFormData] = React.useState({
@@ -23,66 +62,183 @@ export default function Dashboard() {
     machineId: '830504a3-d020-43af-b3e6-4c8690f5d6be',
     platform: 'mac',
     phone: '',
+    schedule: DEFAULT_SCHEDULE,
   });
 
-  React.useEffect(() => {
-    // Connect to WebSocket
-    // If on port 3000, use 3001 (backend); otherwise use same port
-    const wsPort = window.location.port === '3000' ? '3001' : window.location.port;
-    // Use wss:// for HTTPS, ws:// for HTTP
-    const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${wsProtocol}//${window.location.hostname}:${wsPort}`;
-    console.log('Connecting to WebSocket:', wsUrl);
-    
-    const wsConnection = new WebSocket(wsUrl);
+  // Read by the WebSocket handler, which lives as long as the dashboard
+  const selectedUserRef = React.useRef(selectedUser);
+  selectedUserRef.current = selectedUser;
+  // Moves the user:{uid} subscription of the open connection to another account
+  const followUserRef = React.useRef(null);
 
-    wsConnection.onopen = () => {
-      console.log('✅ WebSocket connected');
-    };
+  React.useEffect(() => {
+    // One connection for the whole session (authenticated with the session token),
+    // subscribed to the system log, runs and the selected account.
+    // After a drop it reconnects with backoff and resumes after the last event it saw.
+    let wsConnection = null;
+    let retryTimer = null;
+    let attempts = 0;
+    let lastEventId = null;
+    let lastMessageAt = 0;
+    let userTopic = null;
+    let stopped = false;
 
-    wsConnection.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      console.log('WebSocket message:', data);
+    const handleEvent = (data) => {
+      const selectedUid = selectedUserRef.current?.uid;
 
-      if (data.type === 'tasksUpdated' && selectedUser?.uid === data.uid) {
+      if (data.type === 'tasksUpdated' && selectedUid === data.uid) {
         setTasks(data.tasks);
       } else if (data.type === 'taskCompleted') {
         addLog(`✅ Task completed: ${data.taskName}`, 'success');
-      } else if (data.type === 'taskWaiting') {
-        addLog(
-          `⏳ Task waiting: ${data.taskName} (${data.waitMinutes} min)`,
-          'info'
-        );
-      } else if (data.type === 'error') {
-        addLog(`❌ Error: ${data.message}`, 'error');
       } else if (data.type === 'systemLog') {
         setSystemLogs((prev) => [data.log, ...prev.slice(0, 99)]);
+      } else if (data.type === 'rewardsExpiring') {
+        addLog(`⏳ ${data.items.length} reward card(s) expiring soon`, 'warning');
+        setExpiryVersion((version) => version + 1);
+      } else if (data.type === 'accountLog' && selectedUid === data.uid) {
+        setLatestAccountLog(data.log);
+      } else if (data.type === 'runFinished') {
+        setRunsVersion((version) => version + 1);
+      } else if (data.type === 'runQueue') {
+        setRunQueue({ concurrency: data.concurrency, running: data.running, queued: data.queued });
       }
     };
 
-    wsConnection.onerror = (error) => {
-      console.error('WebSocket error:', error);
-      // Only log error on first connection, not on normal disconnections
-      if (wsConnection.readyState === 0) {
-        console.warn('WebSocket connection failed');
+    const send = (message) => {
+      if (wsConnection?.readyState === WebSocket.OPEN) {
+        wsConnection.send(JSON.stringify(message));
+      }
+    };
+
+    const followUser = (uid) => {
+      const topic = uid ? `user:${uid}` : null;
+      if (topic === userTopic || wsConnection?.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      if (userTopic) {
+        send({ type: 'unsubscribe', topics: [userTopic] });
+      }
+      if (topic) {
+        send({ type: 'subscribe', topics: [topic] });
       }
+      userTopic = topic;
     };
+    followUserRef.current = followUser;
+
+    const reconnect = () => {
+      const delay = Math.min(1000 * 2 ** attempts, 30000);
+      attempts += 1;
+      setWsStatus('reconnecting');
+      setWsRetryIn(delay / 1000);
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    const connect = () => {
+      const uid = selectedUserRef.current?.uid;
+      userTopic = uid ? `user:${uid}` : null;
+      const topics = ['system', 'runs', ...(userTopic ? [userTopic] : [])];
+
+      setWsStatus(attempts === 0 ? 'connecting' : 'reconnecting');
+      setWsRetryIn(null);
+      const socket = new WebSocket(getWebSocketUrl(lastEventId, topics));
+      wsConnection = socket;
+
+      socket.onopen = () => {
+        attempts = 0;
+        lastMessageAt = Date.now();
+        setWsStatus('open');
+        // The selection may have changed while connecting
+        followUser(selectedUserRef.current?.uid);
+      };
+
+      socket.onmessage = (event) => {
+        const data = JSON.parse(event.data);
+        lastMessageAt = Date.now();
+
+        if (data.type === 'ready') {
+          lastEventId = data.lastEventId || lastEventId;
+          if (data.truncated) {
+            // Too much was missed to replay: reload the state instead
+            addLog('⚠️ Missed live updates while disconnected, reloading', 'warning');
+            loadUsers();
+            loadSystemLogs();
+            loadRunQueue();
+            setExpiryVersion((version) => version + 1);
+            setRunsVersion((version) => version + 1);
+          }
+          return;
+        }
+        if (data.type === 'protocolError') {
+          console.warn('WebSocket protocol error:', data.message);
+          return;
+        }
+        if (data.type === 'pong' || data.type === 'subscriptions') {
+          return;
+        }
+
+        if (data.eventId) {
+          if (lastEventId && compareEventIds(data.eventId, lastEventId) <= 0) {
+            return; // already seen
+          }
+          lastEventId = data.eventId;
+        }
+        handleEvent(data);
+      };
+
+      socket.onerror = (error) => {
+        console.error('WebSocket error:', error);
+      };
 
-    wsConnection.onclose = () => {
-      console.log('WebSocket closed');
+      socket.onclose = (event) => {
+        // Replaced after a missed heartbeat, or the dashboard is closing
+        if (stopped || socket !== wsConnection) {
+          return;
+        }
+        // 4401: the session is gone, the next API call shows the login screen
+        if (event.code === 4401) {
+          setWsStatus('closed');
+          return;
+        }
+        reconnect();
+      };
     };
 
-    setWs(wsConnection);
+    // A connection that stays silent after pings is dropped and reopened
+    const heartbeat = setInterval(() => {
+      if (wsConnection?.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      if (Date.now() - lastMessageAt > HEARTBEAT_MS * 2) {
+        console.warn('WebSocket heartbeat timed out');
+        const dead = wsConnection;
+        wsConnection = null;
+        dead.close();
+        reconnect();
+        return;
+      }
+      send({ type: 'ping' });
+    }, HEARTBEAT_MS);
+
+    connect();
 
     return () => {
-      wsConnection.close();
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearInterval(heartbeat);
+      followUserRef.current = null;
+      wsConnection?.close();
     };
-  }, [selectedUser]);
+  }, []);
+
+  React.useEffect(() => {
+    followUserRef.current?.(selectedUser?.uid);
+  }, [selectedUser?.uid]);
 
   // Load users on mount
   React.useEffect(() => {
     loadUsers();
     loadSystemLogs();
+    loadRunQueue();
     checkSchedulerStatus();
     
     // Refresh system logs every 5 seconds
@@ -99,7 +255,7 @@ export default function Dashboard() {
 
   const loadUsers = async () => {
     try {
-      const response = await fetch('/api/users');
+      const response = await apiFetch('/api/users');
       const data = await response.json();
       setUsers(data.data || []);
     } catch (error) {
@@ -110,7 +266,7 @@ export default function Dashboard() {
 
   const loadSystemLogs = async () => {
     try {
-      const response = await fetch('/api/system/logs');
+      const response = await apiFetch('/api/system/logs');
       const data = await response.json();
       setSystemLogs(data.data || []);
     } catch (error) {
@@ -118,9 +274,21 @@ export default function Dashboard() {
     }
   };
 
+  const loadRunQueue = async () => {
+    try {
+      const response = await apiFetch('/api/queue');
+      const data = await response.json();
+      if (data.code === 0) {
+        setRunQueue(data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load run queue:', error);
+    }
+  };
+
   const checkSchedulerStatus = async () => {
     try {
-      const response = await fetch('/api/scheduler/status');
+      const response = await apiFetch('/api/scheduler/status');
       const data = await response.json();
       if (data.code === 0) {
         setSchedulerRunning(data.data.isRunning);
@@ -132,7 +300,7 @@ export default function Dashboard() {
 
   const loadUserTasks = async (uid) => {
     try {
-      const response = await fetch(`/api/users/${uid}/tasks`);
+      const response = await apiFetch(`/api/users/${uid}/tasks`);
       const data = await response.json();
       setTasks(data.data || []);
     } catch (error) {
@@ -143,7 +311,7 @@ export default function Dashboard() {
 
   const loadUserInfo = async (uid) => {
     try {
-      const response = await fetch(`/api/users/${uid}/info`);
+      const response = await apiFetch(`/api/users/${uid}/info`);
       const data = await response.json();
       if (data.code === 0) {
         setUserInfo(data.data);
@@ -159,7 +327,7 @@ export default function Dashboard() {
 
   const loadUserRewards = async (uid) => {
     try {
-      const response = await fetch(`/api/users/${uid}/rewards`);
+      const response = await apiFetch(`/api/users/${uid}/rewards`);
       const data = await response.json();
       if (data.code === 0) {
         setRewards(data.data);
@@ -173,13 +341,24 @@ export default function Dashboard() {
     }
   };
 
-  const loadUserLogs = async (uid) => {
+  const loadUserSchedule = async (uid) => {
     try {
-      const response = await fetch(`/api/users/${uid}/logs`);
+      const response = await apiFetch(`/api/users/${uid}/schedule`);
       const data = await response.json();
-      setLogs(data.data || []);
+      if (data.code === 0) {
+        setSchedule(data.data.schedule);
+        setNextRuns(data.data.nextRuns || []);
+        setFollowUp(data.data.followUp || null);
+      } else {
+        setSchedule([]);
+        setNextRuns([]);
+        setFollowUp(null);
+      }
     } catch (error) {
-      console.error('Failed to load logs:', error);
+      console.error('Failed to load schedule:', error);
+      setSchedule([]);
+      setNextRuns([]);
+      setFollowUp(null);
     }
   };
 
@@ -195,10 +374,13 @@ export default function Dashboard() {
 
   const handleUserSelect = (user) => {
     setSelectedUser(user);
+    setShowNotifications(false);
+    setSecrets(null);
+    setPlan(null);
     loadUserTasks(user.uid);
     loadUserInfo(user.uid);
     loadUserRewards(user.uid);
-    loadUserLogs(user.uid);
+    loadUserSchedule(user.uid);
   };
 
   const handleAddUser = async (e) => {
@@ -211,7 +393,7 @@ export default function Dashboard() {
         uid: parseInt(formData.uid, 10),
       };
 
-      const response = await fetch('/api/users', {
+      const response = await apiFetch('/api/users', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -232,6 +414,7 @@ export default function Dashboard() {
           machineId: '830504a3-d020-43af-b3e6-4c8690f5d6be',
           platform: 'mac',
           phone: '',
+          schedule: DEFAULT_SCHEDULE,
         });
         setShowAddUser(false);
         loadUsers();
@@ -244,11 +427,38 @@ export default function Dashboard() {
     }
   };
 
+  const handleSaveSchedule = async () => {
+    if (!selectedUser) return;
+
+    try {
+      const response = await apiFetch(`/api/users/${selectedUser.uid}/schedule`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ schedule }),
+      });
+
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`✅ Schedule saved for user ${selectedUser.uid}`, 'success');
+        loadUserSchedule(selectedUser.uid);
+        loadUsers();
+      } else {
+        addLog(`❌ Failed to save schedule: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to save schedule:', error);
+      addLog('Failed to save schedule', 'error');
+    }
+  };
+
   const handleDeleteUser = async (uid) => {
     if (!confirm('Are you sure you want to delete this user?')) return;
 
     try {
-      const response = await fetch(`/api/users/${uid}`, {
+      const response = await apiFetch(`/api/users/${uid}`, {
         method: 'DELETE',
       });
 
@@ -269,7 +479,7 @@ export default function Dashboard() {
 
   const handleRefreshToken = async (uid) => {
     try {
-      const response = await fetch(`/api/users/${uid}/refresh-token`, {
+      const response = await apiFetch(`/api/users/${uid}/refresh-token`, {
         method: 'POST',
       });
 
@@ -287,18 +497,39 @@ export default function Dashboard() {
     }
   };
 
+  const handleToggleSecrets = async (uid) => {
+    if (secrets) {
+      setSecrets(null);
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/users/${uid}/secrets`);
+      const data = await response.json();
+
+      if (data.code === 0) {
+        setSecrets(data.data);
+      } else {
+        addLog(`❌ Failed to reveal secrets: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to reveal secrets:', error);
+      addLog('Failed to reveal secrets', 'error');
+    }
+  };
+
   const handleExecuteTasks = async (uid) => {
     try {
       addLog(`🚀 Starting manual task execution for user ${uid}...`, 'info');
       
-      const response = await fetch(`/api/users/${uid}/execute-tasks`, {
+      const response = await apiFetch(`/api/users/${uid}/execute-tasks`, {
         method: 'POST',
       });
 
       const data = await response.json();
 
       if (data.code === 0) {
-        addLog(`✅ Task execution started for user ${uid}`, 'success');
+        addLog(`✅ ${data.message}`, 'success');
         // Refresh tasks after a short delay
         setTimeout(() => {
           loadUserTasks(uid);
@@ -313,11 +544,29 @@ export default function Dashboard() {
     }
   };
 
+  const handlePlan = async (uid) => {
+    try {
+      addLog(`🧪 Building dry-run plan for user ${uid}...`, 'info');
+      const response = await apiFetch(`/api/users/${uid}/plan`);
+      const data = await response.json();
+
+      if (data.code === 0) {
+        setPlan(data.data);
+        addLog(`✅ Dry-run plan ready for user ${uid}`, 'success');
+      } else {
+        addLog(`❌ Failed to build plan: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to build plan:', error);
+      addLog('Failed to build plan', 'error');
+    }
+  };
+
   const handleCompleteTask = async (taskId) => {
     if (!selectedUser) return;
 
     try {
-      const response = await fetch(
+      const response = await apiFetch(
         `/api/users/${selectedUser.uid}/tasks/${taskId}/complete`,
         {
           method: 'POST',
@@ -343,7 +592,7 @@ export default function Dashboard() {
 
   const handleStartScheduler = async () => {
     try {
-      const response = await fetch('/api/scheduler/start', {
+      const response = await apiFetch('/api/scheduler/start', {
         method: 'POST',
       });
 
@@ -363,7 +612,7 @@ export default function Dashboard() {
 
   const handleStopScheduler = async () => {
     try {
-      const response = await fetch('/api/scheduler/stop', {
+      const response = await apiFetch('/api/scheduler/stop', {
         method: 'POST',
       });
 
@@ -415,15 +664,38 @@ export default function Dashboard() {
           <p>Automated Task Management Dashboard</p>
         </div>
         <div className="header-right">
+          {isAdmin && (
+            <button
+              className={`btn btn-lg ${schedulerRunning ? 'btn-danger' : 'btn-success'}`}
+              onClick={schedulerRunning ? handleStopScheduler : handleStartScheduler}
+            >
+              {schedulerRunning ? '⏹️ Stop Scheduler' : '▶️ Start Scheduler'}
+            </button>
+          )}
           <button
-            className={`btn btn-lg ${schedulerRunning ? 'btn-danger' : 'btn-success'}`}
-            onClick={schedulerRunning ? handleStopScheduler : handleStartScheduler}
+            className="btn btn-secondary"
+            onClick={() => setShowNotifications(!showNotifications)}
           >
-            {schedulerRunning ? '⏹️ Stop Scheduler' : '▶️ Start Scheduler'}
+            🔔 Notifications
           </button>
           <div className={`status-indicator ${schedulerRunning ? 'running' : 'stopped'}`}>
             {schedulerRunning ? '🟢 Running' : '🔴 Stopped'}
           </div>
+          {wsStatus !== 'open' && (
+            <div className="status-indicator stopped" title="Live updates are paused until the connection is back">
+              {wsStatus === 'connecting'
+                ? '⏳ Connecting…'
+                : wsStatus === 'reconnecting'
+                  ? `🔌 Reconnecting${wsRetryIn ? ` in ${wsRetryIn}s` : '…'}`
+                  : '🔌 Offline'}
+            </div>
+          )}
+          <div className="auth-user">
+            <span>👤 {auth?.username} ({auth?.role})</span>
+            <button className="btn btn-secondary btn-sm" onClick={onLogout}>
+              Logout
+            </button>
+          </div>
         </div>
       </header>
 
@@ -432,15 +704,49 @@ export default function Dashboard() {
         <aside className="sidebar">
           <div className="sidebar-header">
             <h3>Users</h3>
-            <button
-              className="btn btn-primary btn-sm"
-              onClick={() => setShowAddUser(!showAddUser)}
-            >
-              {showAddUser ? '✕' : '➕'} Add User
-            </button>
+            {isAdmin && (
+              <div className="sidebar-actions">
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => setShowHarImport(!showHarImport)}
+                  title="Import accounts from a HAR capture"
+                >
+                  {showHarImport ? '✕' : '📥'} HAR
+                </button>
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => setShowTransfer(!showTransfer)}
+                  title="Export or import accounts as JSON / CSV"
+                >
+                  {showTransfer ? '✕' : '⇅'} Bulk
+                </button>
+                <button
+                  className="btn btn-primary btn-sm"
+                  onClick={() => setShowAddUser(!showAddUser)}
+                >
+                  {showAddUser ? '✕' : '➕'} Add User
+                </button>
+              </div>
+            )}
           </div>
 
-          {showAddUser && (
+          {isAdmin && showHarImport && (
+            <HarImport
+              addLog={addLog}
+              onImported={loadUsers}
+              onClose={() => setShowHarImport(false)}
+            />
+          )}
+
+          {isAdmin && showTransfer && (
+            <AccountTransfer
+              addLog={addLog}
+              onImported={loadUsers}
+              onClose={() => setShowTransfer(false)}
+            />
+          )}
+
+          {isAdmin && showAddUser && (
             <form onSubmit={handleAddUser} className="add-user-form">
               <input
                 type="number"
@@ -512,6 +818,13 @@ export default function Dashboard() {
                   setFormData({ ...formData, phone: e.target.value })
                 }
               />
+              <ScheduleEditor
+                compact
+                schedule={formData.schedule}
+                onChange={(value) =>
+                  setFormData({ ...formData, schedule: value })
+                }
+              />
               <button type="submit" className="btn btn-success btn-sm">
                 Save
               </button>
@@ -537,19 +850,23 @@ export default function Dashboard() {
                       {user.isActive ? '🟢 Active' : '🔴 Inactive'}
                     </div>
                   </div>
-                  <button
-                    className="btn-delete"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleDeleteUser(user.uid);
-                    }}
-                  >
-                    ✕
-                  </button>
+                  {isAdmin && (
+                    <button
+                      className="btn-delete"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDeleteUser(user.uid);
+                      }}
+                    >
+                      ✕
+                    </button>
+                  )}
                 </div>
               ))
             )}
           </div>
+
+          <RunQueue queue={runQueue} users={users} isAdmin={isAdmin} addLog={addLog} />
         </aside>
 
         {/* Main Content */}
@@ -574,7 +891,11 @@ export default function Dashboard() {
             </div>
           </div>
 
-          {selectedUser ? (
+          <ExpiringRewards users={users} isAdmin={isAdmin} addLog={addLog} version={expiryVersion} />
+
+          {showNotifications ? (
+            <NotificationSettings users={users} isAdmin={isAdmin} addLog={addLog} />
+          ) : selectedUser ? (
             <>
               {/* User Header */}
               <div className="user-header">
@@ -583,78 +904,182 @@ export default function Dashboard() {
                   <p>UID: {selectedUser.uid}</p>
                 </div>
                 <div className="user-actions">
-                  <button
-                    className="btn btn-success"
-                    onClick={() => handleExecuteTasks(selectedUser.uid)}
-                  >
-                    ▶️ Execute Tasks Now
-                  </button>
+                  {isAdmin && (
+                    <button
+                      className="btn btn-success"
+                      onClick={() => handleExecuteTasks(selectedUser.uid)}
+                    >
+                      ▶️ Execute Tasks Now
+                    </button>
+                  )}
+                  {/* Read-only, so viewers can use it too */}
                   <button
                     className="btn btn-secondary"
-                    onClick={() => handleRefreshToken(selectedUser.uid)}
+                    onClick={() => handlePlan(selectedUser.uid)}
                   >
-                    🔄 Refresh Token
+                    🧪 Dry Run
                   </button>
+                  {isAdmin && (
+                    <>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => handleRefreshToken(selectedUser.uid)}
+                      >
+                        🔄 Refresh Token
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => handleToggleSecrets(selectedUser.uid)}
+                      >
+                        {secrets ? '🙈 Hide Secrets' : '🔑 Reveal Secrets'}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {/* Account secrets: masked unless an admin reveals them */}
+              <div className="section secrets-section">
+                <h3>🔑 Credentials</h3>
+                <div className="secrets-grid">
+                  {['accessKey', 'token', 'machineId'].map((field) => (
+                    <div key={field} className="info-item">
+                      <span className="info-label">{field}:</span>
+                      <span className="info-value secret-value">
+                        {(secrets ? secrets[field] : selectedUser[field]) || 'N/A'}
+                      </span>
+                    </div>
+                  ))}
                 </div>
               </div>
 
+              {plan && plan.uid === selectedUser.uid && (
+                <RunPlan plan={plan} onClose={() => setPlan(null)} />
+              )}
+
               {/* Tabs */}
               <div className="tabs">
-                <button className="tab-button active">Tasks</button>
-                <button className="tab-button">Logs</button>
+                <button
+                  className={`tab-button ${activeTab === 'tasks' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('tasks')}
+                >
+                  Tasks
+                </button>
+                <button
+                  className={`tab-button ${activeTab === 'logs' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('logs')}
+                >
+                  Logs
+                </button>
               </div>
 
+              {activeTab === 'logs' && (
+                <AccountLogs key={selectedUser.uid} uid={selectedUser.uid} latest={latestAccountLog} />
+              )}
+
               {/* Tasks Section */}
-              <div className="section">
-                <h3>📋 Tasks</h3>
-                {tasks.length === 0 ? (
-                  <p className="empty-state">No tasks loaded</p>
-                ) : (
-                  <div className="tasks-grid">
-                    {tasks.map((task) => (
-                      <div key={task.task_id} className="task-card">
-                        <div className="task-header">
-                          <h4>{task.task_name}</h4>
-                          <span
-                            className="task-status"
-                            style={{
-                              backgroundColor: getTaskStatusColor(
-                                task.task_state
-                              ),
-                            }}
-                          >
-                            {getTaskStatusText(task.task_state)}
-                          </span>
-                        </div>
-                        <p className="task-desc">{task.task_desc}</p>
-                        <div className="task-details">
-                          <span>
-                            Progress: {task.task_value}/{task.task_target}
-                          </span>
-                          <span>Type: {task.task_type}</span>
-                        </div>
-                        <div className="task-progress">
-                          <div
-                            className="progress-bar"
-                            style={{
-                              width: `${
-                                (task.task_value / task.task_target) * 100
-                              }%`,
-                            }}
-                          />
+              {activeTab === 'tasks' && (
+                <div className="section">
+                  <h3>📋 Tasks</h3>
+                  {tasks.length === 0 ? (
+                    <p className="empty-state">No tasks loaded</p>
+                  ) : (
+                    <div className="tasks-grid">
+                      {tasks.map((task) => (
+                        <div key={task.task_id} className="task-card">
+                          <div className="task-header">
+                            <h4>{task.task_name}</h4>
+                            <span
+                              className="task-status"
+                              style={{
+                                backgroundColor: getTaskStatusColor(
+                                  task.task_state
+                                ),
+                              }}
+                            >
+                              {getTaskStatusText(task.task_state)}
+                            </span>
+                          </div>
+                          <p className="task-desc">{task.task_desc}</p>
+                          <div className="task-details">
+                            <span>
+                              Progress: {task.task_value}/{task.task_target}
+                            </span>
+                            <span>Type: {task.task_type}</span>
+                          </div>
+                          <div className="task-progress">
+                            <div
+                              className="progress-bar"
+                              style={{
+                                width: `${
+                                  (task.task_value / task.task_target) * 100
+                                }%`,
+                              }}
+                            />
+                          </div>
+                          {isAdmin && (task.task_state === 1 || task.task_state === 2) && (
+                            <button
+                              className="btn btn-success btn-sm"
+                              onClick={() => handleCompleteTask(task.task_id)}
+                            >
+                              Complete Task
+                            </button>
+                          )}
                         </div>
-                        {(task.task_state === 1 || task.task_state === 2) && (
-                          <button
-                            className="btn btn-success btn-sm"
-                            onClick={() => handleCompleteTask(task.task_id)}
-                          >
-                            Complete Task
-                          </button>
-                        )}
-                      </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <TaskHandlerSettings
+                key={selectedUser.uid}
+                user={selectedUser}
+                tasks={tasks}
+                isAdmin={isAdmin}
+                addLog={addLog}
+                onSaved={loadUsers}
+              />
+
+              <LotterySettings
+                key={`lottery-${selectedUser.uid}`}
+                uid={selectedUser.uid}
+                runCount={schedule.length}
+                isAdmin={isAdmin}
+                addLog={addLog}
+              />
+
+              {/* Schedule Section */}
+              <div className="section">
+                <h3>⏰ Schedule</h3>
+                <ScheduleEditor schedule={schedule} onChange={setSchedule} />
+                {(nextRuns.length > 0 || followUp) && (
+                  <div className="schedule-next-runs">
+                    {nextRuns.map((run) => (
+                      <span key={run.run} className="schedule-next-run">
+                        Run #{run.run}:{' '}
+                        {run.nextInvocation
+                          ? new Date(run.nextInvocation).toLocaleString()
+                          : 'N/A'}
+                        {run.pending && ' (waiting in window)'}
+                      </span>
                     ))}
+                    {followUp && (
+                      <span className="schedule-next-run">
+                        Follow-up: {new Date(followUp.fireAt).toLocaleString()} (tasks{' '}
+                        {followUp.taskIds.join(', ')})
+                      </span>
+                    )}
                   </div>
                 )}
+                {isAdmin && (
+                  <button
+                    className="btn btn-primary btn-sm"
+                    onClick={handleSaveSchedule}
+                  >
+                    💾 Save Schedule
+                  </button>
+                )}
               </div>
 
               {/* User Info Section */}
@@ -710,6 +1135,9 @@ export default function Dashboard() {
                 </div>
               )}
 
+              <HistoryCharts uid={selectedUser.uid} version={runsVersion} />
+              <PrizeStats uid={selectedUser.uid} version={runsVersion} />
+
               {/* Rewards History Section */}
               {rewards && (
                 <div className="section rewards-section">
@@ -744,12 +1172,13 @@ export default function Dashboard() {
                   ) : (
                     <p className="empty-state">No rewards found</p>
                   )}
+                  <RewardLedger uid={selectedUser.uid} version={rewards} />
                 </div>
               )}
 
-              {/* Logs Section */}
+              {/* Dashboard activity (this browser session) */}
               <div className="section">
-                <h3>📊 Execution Logs</h3>
+                <h3>📊 Dashboard Activity</h3>
                 <div className="logs-container">
                   {logs.length === 0 ? (
                     <p className="empty-state">No logs yet</p>
@@ -768,9 +1197,15 @@ export default function Dashboard() {
               </div>
             </>
           ) : (
-            <div className="empty-state-full">
-              <p>Select a user to view their tasks and logs</p>
-            </div>
+            <Overview
+              version={runsVersion}
+              onSelect={(uid) => {
+                const user = users.find((entry) => entry.uid === uid);
+                if (user) {
+                  handleUserSelect(user);
+                }
+              }}
+            />
           )}
         </main>
       </div>
@@ -0,0 +1,99 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+/**
+ * Reward cards expiring soon across all accounts (last expiry scan)
+ * Reloads whenever `version` changes (a 'rewardsExpiring' WebSocket message arrived)
+ */
+export default function ExpiringRewards({ users, isAdmin, addLog, version }) {
+  const [expiring, setExpiring] = React.useState(null);
+  const [scanning, setScanning] = React.useState(false);
+
+  React.useEffect(() => {
+    loadExpiring();
+  }, [version]);
+
+  const loadExpiring = async () => {
+    try {
+      const response = await apiFetch('/api/rewards/expiring');
+      const data = await response.json();
+      if (data.code === 0) {
+        setExpiring(data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load expiring rewards:', error);
+    }
+  };
+
+  const handleScan = async () => {
+    setScanning(true);
+    try {
+      const response = await apiFetch('/api/rewards/expiring/scan', { method: 'POST' });
+      const data = await response.json();
+      if (data.code === 0) {
+        setExpiring(data.data);
+        addLog(`⏳ ${data.message}`, data.data.items.length > 0 ? 'warning' : 'info');
+      } else {
+        addLog(`❌ Expiry scan failed: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to scan expiring rewards:', error);
+      addLog('Expiry scan failed', 'error');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  if (!expiring) {
+    return null;
+  }
+
+  const nameOf = (uid) => users.find((user) => user.uid === uid)?.phone || `User ${uid}`;
+  const totalMinutes = expiring.items.reduce((sum, item) => sum + item.minutes, 0);
+
+  return (
+    <div className="section expiring-section">
+      <div className="section-header">
+        <h3>⏳ Expiring Soon ({expiring.horizonDays} days)</h3>
+        {isAdmin && (
+          <button className="btn btn-secondary btn-sm" disabled={scanning} onClick={handleScan}>
+            {scanning ? 'Scanning...' : '🔍 Scan now'}
+          </button>
+        )}
+      </div>
+      <p className="hint">
+        {expiring.scannedAt
+          ? `Last scan ${new Date(expiring.scannedAt).toLocaleString()}`
+          : 'Not scanned yet (runs while the scheduler is running)'}
+        {expiring.items.length > 0 && ` — ${expiring.items.length} card(s), ${totalMinutes} minutes`}
+      </p>
+
+      {expiring.items.length === 0 ? (
+        <p className="empty-state">No cards expiring soon</p>
+      ) : (
+        <table className="expiring-table">
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Card</th>
+              <th>Minutes</th>
+              <th>Expires</th>
+            </tr>
+          </thead>
+          <tbody>
+            {expiring.items.map((item) => (
+              <tr key={`${item.uid}-${item.orderId}`} className={item.daysLeft === 0 ? 'expiring-today' : ''}>
+                <td>{nameOf(item.uid)}</td>
+                <td>{item.saleName}</td>
+                <td>{item.minutes}</td>
+                <td>
+                  {item.expiryDate} ({item.daysLeft === 0 ? 'today' : `${item.daysLeft}d`})
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
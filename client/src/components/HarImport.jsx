@@ -0,0 +1,118 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+/**
+ * Create or update accounts from a HAR capture of the FuFuHub client
+ * The file is previewed first; only the checked accounts are imported.
+ */
+export default function HarImport({ addLog, onImported, onClose }) {
+  const [har, setHar] = React.useState(null);
+  const [preview, setPreview] = React.useState(null);
+  const [selected, setSelected] = React.useState([]);
+  const [busy, setBusy] = React.useState(false);
+
+  const postHar = (query, body) =>
+    apiFetch(`/api/users/import-har?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/har+json' },
+      body,
+    });
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    setBusy(true);
+    setPreview(null);
+    try {
+      const text = await file.text();
+      const response = await postHar('preview=true', text);
+      const data = await response.json();
+
+      if (data.code === 0) {
+        setHar(text);
+        setPreview(data.data);
+        setSelected(data.data.accounts.filter((account) => account.missing.length === 0).map((account) => account.uid));
+        if (data.data.accounts.length === 0) {
+          addLog(`⚠️ No FuFuHub accounts found in ${file.name}`, 'warning');
+        }
+      } else {
+        addLog(`❌ Failed to read HAR: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to preview HAR:', error);
+      addLog('Failed to read HAR file', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (uid) =>
+    setSelected(selected.includes(uid) ? selected.filter((id) => id !== uid) : [...selected, uid]);
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const response = await postHar(`uids=${selected.join(',')}`, har);
+      const data = await response.json();
+
+      if (data.code === 0) {
+        for (const result of data.data) {
+          if (result.status === 'skipped') {
+            addLog(`⚠️ User ${result.uid} skipped: ${result.reason}`, 'warning');
+          } else {
+            addLog(`✅ User ${result.uid} ${result.status} from HAR`, 'success');
+          }
+        }
+        onImported?.();
+        onClose();
+      } else {
+        addLog(`❌ HAR import failed: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to import HAR:', error);
+      addLog('HAR import failed', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="har-import">
+      <input type="file" accept=".har,application/json" disabled={busy} onChange={handleFile} />
+
+      {preview && (
+        <>
+          <p className="hint">
+            {preview.requests} FuFuHub request(s) in {preview.entries} entries
+          </p>
+          {preview.accounts.map((account) => (
+            <label key={account.uid} className="har-account">
+              <input
+                type="checkbox"
+                checked={selected.includes(account.uid)}
+                disabled={account.missing.length > 0}
+                onChange={() => toggle(account.uid)}
+              />
+              <span>
+                <strong>UID {account.uid}</strong> {account.exists ? '(update)' : '(new)'}
+                <br />
+                {account.missing.length > 0
+                  ? `Missing ${account.missing.join(', ')}`
+                  : `${account.platform || 'mac'} · ${account.token ? 'token' : 'no token'} · ${account.methods.join(', ')}`}
+              </span>
+            </label>
+          ))}
+          <button
+            className="btn btn-success btn-sm"
+            disabled={busy || selected.length === 0}
+            onClick={handleImport}
+          >
+            Import {selected.length} account(s)
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+const RANGES = [7, 30, 90];
+const WIDTH = 600;
+const HEIGHT = 120;
+const PADDING = 24;
+
+/**
+ * Line chart of one field of the history points; `marks` highlights points (broken streaks)
+ */
+function LineChart({ title, items, field, color, marks = () => false }) {
+  const points = items.filter((item) => item[field] !== null);
+  if (points.length === 0) {
+    return null;
+  }
+
+  const times = points.map((point) => Date.parse(point.at));
+  const values = points.map((point) => point[field]);
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - minTime || 1;
+  const minValue = Math.min(...values);
+  const valueSpan = Math.max(...values) - minValue || 1;
+  const x = (time) => PADDING + ((time - minTime) / timeSpan) * (WIDTH - 2 * PADDING);
+  const y = (value) => HEIGHT - PADDING - ((value - minValue) / valueSpan) * (HEIGHT - 2 * PADDING);
+  const path = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(times[i])},${y(point[field])}`).join(' ');
+
+  return (
+    <div className="history-chart">
+      <div className="history-chart-title">
+        {title} <strong>{values[values.length - 1]}</strong>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+        <text x={2} y={PADDING} className="history-axis">
+          {Math.max(...values)}
+        </text>
+        <text x={2} y={HEIGHT - PADDING} className="history-axis">
+          {minValue}
+        </text>
+        <path d={path} fill="none" stroke={color} strokeWidth="2" />
+        {points.map((point, i) => (
+          <circle
+            key={point.at}
+            cx={x(times[i])}
+            cy={y(point[field])}
+            r={marks(point) ? 5 : 2.5}
+            fill={marks(point) ? '#d32f2f' : color}
+          >
+            <title>
+              {new Date(point.at).toLocaleString()}: {point[field]}
+              {marks(point) && ` (streak broken, was ${point.previousSignDay})`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+/**
+ * Points, sign-in streak and completed tasks of an account after each run
+ * Reloads whenever `version` changes (a run finished)
+ */
+export default function HistoryCharts({ uid, version }) {
+  const [days, setDays] = React.useState(30);
+  const [history, setHistory] = React.useState(null);
+
+  React.useEffect(() => {
+    loadHistory();
+  }, [uid, version, days]);
+
+  const loadHistory = async () => {
+    try {
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const response = await apiFetch(`/api/users/${uid}/history?from=${encodeURIComponent(from)}`);
+      const data = await response.json();
+      setHistory(data.code === 0 ? data.data : null);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+    }
+  };
+
+  if (!history) {
+    return null;
+  }
+
+  return (
+    <div className="section history-section">
+      <div className="section-header">
+        <h3>📈 History</h3>
+        <select value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))}>
+          {RANGES.map((range) => (
+            <option key={range} value={range}>
+              Last {range} days
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {history.streakBreaks.length > 0 && (
+        <div className="history-breaks">
+          {history.streakBreaks.map((streakBreak) => (
+            <div key={streakBreak.at}>
+              ⚠️ Streak broken on {new Date(streakBreak.at).toLocaleDateString()} ({streakBreak.from} → {streakBreak.to})
+            </div>
+          ))}
+        </div>
+      )}
+
+      {history.items.length === 0 ? (
+        <p className="empty-state">No runs recorded in this range</p>
+      ) : (
+        <>
+          <LineChart title="Points" items={history.items} field="points" color="#667eea" />
+          <LineChart
+            title="Sign-in streak"
+            items={history.items}
+            field="signDay"
+            color="#388e3c"
+            marks={(point) => point.streakBroken}
+          />
+          <LineChart title="Completed tasks" items={history.items} field="tasksCompleted" color="#f57c00" />
+        </>
+      )}
+    </div>
+  );
+}
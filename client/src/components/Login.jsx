@@ -0,0 +1,69 @@
+import React from 'react';
+import { apiFetch, setAuth } from '../api';
+import './Dashboard.css';
+
+export default function Login({ onLogin }) {
+  const [username, setUsername] = React.useState('');
+  const [password, setPassword] = React.useState('');
+  const [error, setError] = React.useState('');
+  const [loading, setLoading] = React.useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password }),
+      });
+
+      const data = await response.json();
+
+      if (data.code === 0) {
+        setAuth(data.data);
+        onLogin(data.data);
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      console.error('Failed to log in:', error);
+      setError('Failed to log in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h1>🎮 FuFuHub Auto Sign Tool</h1>
+        <p>Sign in to the dashboard</p>
+        <input
+          type="text"
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        {error && <div className="login-error">{error}</div>}
+        <button type="submit" className="btn btn-primary" disabled={loading}>
+          {loading ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+// Empty inputs mean "no limit" for the optional fields
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+const fromInput = (value) => (value.trim() === '' ? null : Number(value));
+
+/**
+ * Per-account lottery policy: reserve, run restriction, daily cap and draw type
+ * `runCount` is the number of runs in the account's schedule
+ */
+export default function LotterySettings({ uid, runCount, isAdmin, addLog }) {
+  const [policy, setPolicy] = React.useState(null);
+
+  React.useEffect(() => {
+    loadPolicy();
+  }, []);
+
+  const loadPolicy = async () => {
+    try {
+      const response = await apiFetch(`/api/users/${uid}/lottery-policy`);
+      const data = await response.json();
+      setPolicy(data.code === 0 ? data.data.lotteryPolicy : null);
+    } catch (error) {
+      console.error('Failed to load lottery policy:', error);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      const response = await apiFetch(`/api/users/${uid}/lottery-policy`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lotteryPolicy: policy }),
+      });
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`✅ Lottery policy saved for user ${uid}`, 'success');
+        setPolicy(data.data.lotteryPolicy);
+      } else {
+        addLog(`❌ Failed to save lottery policy: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to save lottery policy:', error);
+      addLog('Failed to save lottery policy', 'error');
+    }
+  };
+
+  if (!policy) {
+    return null;
+  }
+
+  const update = (changes) => setPolicy({ ...policy, ...changes });
+  const runs = Array.from({ length: Math.max(runCount, policy.runNumber || 0) }, (_, index) => index + 1);
+
+  return (
+    <div className="section">
+      <div className="section-header">
+        <h3>🎰 Lottery Policy</h3>
+        {isAdmin && (
+          <button className="btn btn-primary btn-sm" onClick={handleSave}>
+            💾 Save Policy
+          </button>
+        )}
+      </div>
+
+      <div className="channel-form-group">
+        <label className="handler-row">
+          <input
+            type="checkbox"
+            checked={policy.enabled}
+            disabled={!isAdmin}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          Draw lottery tickets
+        </label>
+        <label className="handler-row">
+          Keep in reserve
+          <input
+            type="number"
+            min="0"
+            value={policy.reserve}
+            disabled={!isAdmin || !policy.enabled}
+            onChange={(e) => update({ reserve: fromInput(e.target.value) ?? 0 })}
+          />
+          ticket(s)
+        </label>
+        <label className="handler-row">
+          Draw in
+          <select
+            value={toInput(policy.runNumber)}
+            disabled={!isAdmin || !policy.enabled}
+            onChange={(e) => update({ runNumber: fromInput(e.target.value) })}
+          >
+            <option value="">Every run</option>
+            {runs.map((run) => (
+              <option key={run} value={run}>
+                Run {run} only
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="handler-row">
+          At most
+          <input
+            type="number"
+            min="1"
+            placeholder="no cap"
+            value={toInput(policy.dailyCap)}
+            disabled={!isAdmin || !policy.enabled}
+            onChange={(e) => update({ dailyCap: fromInput(e.target.value) })}
+          />
+          draw(s) per day
+        </label>
+        <label className="handler-row">
+          Draw type
+          <input
+            type="number"
+            min="1"
+            value={policy.drawType}
+            disabled={!isAdmin || !policy.enabled}
+            onChange={(e) => update({ drawType: fromInput(e.target.value) ?? 1 })}
+          />
+        </label>
+        <p className="hint">Manual runs ignore the run restriction; reserve and daily cap always apply.</p>
+      </div>
+    </div>
+  );
+}
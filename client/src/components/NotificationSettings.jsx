@@ -0,0 +1,308 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+const EVENT_LABELS = {
+  runFinished: 'Run finished',
+  taskFailed: 'Task failed',
+  tokenRefreshFailed: 'Token refresh failed',
+  prizeWon: 'Prize won',
+};
+
+const emptyChannel = (type = 'webhook') => ({
+  type,
+  name: '',
+  enabled: true,
+  config: {},
+  events: ['runFinished', 'taskFailed', 'tokenRefreshFailed'],
+  runStatuses: [],
+  uids: [],
+});
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+/**
+ * Notification channels: per-channel event filters and per-account opt-in
+ */
+export default function NotificationSettings({ users, isAdmin, addLog }) {
+  const [meta, setMeta] = React.useState(null);
+  const [channels, setChannels] = React.useState([]);
+  const [editing, setEditing] = React.useState(null);
+
+  React.useEffect(() => {
+    loadMeta();
+    loadChannels();
+  }, []);
+
+  const loadMeta = async () => {
+    try {
+      const response = await apiFetch('/api/notifications/meta');
+      const data = await response.json();
+      setMeta(data.data);
+    } catch (error) {
+      console.error('Failed to load notification metadata:', error);
+    }
+  };
+
+  const loadChannels = async () => {
+    try {
+      const response = await apiFetch('/api/notifications/channels');
+      const data = await response.json();
+      setChannels(data.data || []);
+    } catch (error) {
+      console.error('Failed to load notification channels:', error);
+      addLog('Failed to load notification channels', 'error');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch('/api/notifications/channels', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(editing),
+      });
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`✅ Notification channel saved: ${data.data.name}`, 'success');
+        setEditing(null);
+        loadChannels();
+      } else {
+        addLog(`❌ Failed to save channel: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to save channel:', error);
+      addLog('Failed to save channel', 'error');
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (!window.confirm(`Delete notification channel "${channel.name}"?`)) {
+      return;
+    }
+    try {
+      const response = await apiFetch(`/api/notifications/channels/${channel.id}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`✅ Notification channel deleted: ${channel.name}`, 'success');
+        loadChannels();
+      } else {
+        addLog(`❌ Failed to delete channel: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to delete channel:', error);
+      addLog('Failed to delete channel', 'error');
+    }
+  };
+
+  const handleTest = async (channel) => {
+    try {
+      const response = await apiFetch(`/api/notifications/channels/${channel.id}/test`, {
+        method: 'POST',
+      });
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`✅ Test notification sent via ${channel.name}`, 'success');
+      } else {
+        addLog(`❌ ${channel.name}: ${data.message}`, 'error');
+      }
+      loadChannels();
+    } catch (error) {
+      console.error('Failed to send test notification:', error);
+      addLog('Failed to send test notification', 'error');
+    }
+  };
+
+  if (!meta) {
+    return <p className="empty-state">Loading...</p>;
+  }
+
+  const channelType = editing && meta.channelTypes.find((type) => type.type === editing.type);
+  const typeLabel = (type) => meta.channelTypes.find((t) => t.type === type)?.label || type;
+
+  return (
+    <div className="section notifications-section">
+      <div className="section-header">
+        <h3>🔔 Notifications</h3>
+        {isAdmin && !editing && (
+          <button className="btn btn-primary btn-sm" onClick={() => setEditing(emptyChannel())}>
+            ➕ Add Channel
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <form className="channel-form" onSubmit={handleSave}>
+          <div className="channel-form-row">
+            <label>
+              Type
+              <select
+                value={editing.type}
+                disabled={Boolean(editing.id)}
+                onChange={(e) => setEditing({ ...editing, type: e.target.value, config: {} })}
+              >
+                {meta.channelTypes.map((type) => (
+                  <option key={type.type} value={type.type}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Name
+              <input
+                type="text"
+                value={editing.name}
+                placeholder={channelType.label}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              />
+            </label>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={editing.enabled}
+                onChange={(e) => setEditing({ ...editing, enabled: e.target.checked })}
+              />
+              Enabled
+            </label>
+          </div>
+
+          <div className="channel-form-row">
+            {channelType.fields.map((field) => (
+              <label key={field.name} className={field.type === 'checkbox' ? 'checkbox-label' : ''}>
+                {field.type !== 'checkbox' && `${field.label}${field.required ? ' *' : ''}`}
+                <input
+                  type={field.type === 'checkbox' ? 'checkbox' : field.type === 'number' ? 'number' : 'text'}
+                  placeholder={field.placeholder || ''}
+                  checked={field.type === 'checkbox' ? Boolean(editing.config[field.name]) : undefined}
+                  value={field.type === 'checkbox' ? undefined : editing.config[field.name] ?? ''}
+                  onChange={(e) =>
+                    setEditing({
+                      ...editing,
+                      config: {
+                        ...editing.config,
+                        [field.name]: field.type === 'checkbox' ? e.target.checked : e.target.value,
+                      },
+                    })
+                  }
+                />
+                {field.type === 'checkbox' && field.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="channel-form-group">
+            <strong>Events</strong>
+            {meta.events.map((event) => (
+              <label key={event} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={editing.events.includes(event)}
+                  onChange={() => setEditing({ ...editing, events: toggle(editing.events, event) })}
+                />
+                {EVENT_LABELS[event] || event}
+              </label>
+            ))}
+          </div>
+
+          {editing.events.includes('runFinished') && (
+            <div className="channel-form-group">
+              <strong>Run status</strong>
+              {meta.runStatuses
+                .filter((status) => status !== 'running')
+                .map((status) => (
+                  <label key={status} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={editing.runStatuses.includes(status)}
+                      onChange={() =>
+                        setEditing({ ...editing, runStatuses: toggle(editing.runStatuses, status) })
+                      }
+                    />
+                    {status}
+                  </label>
+                ))}
+              <span className="hint">(none selected = every status)</span>
+            </div>
+          )}
+
+          <div className="channel-form-group">
+            <strong>Accounts</strong>
+            {users.length === 0 && <span className="hint">No users configured</span>}
+            {users.map((user) => (
+              <label key={user.uid} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={editing.uids.includes(user.uid)}
+                  onChange={() => setEditing({ ...editing, uids: toggle(editing.uids, user.uid) })}
+                />
+                {user.phone || user.uid}
+              </label>
+            ))}
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary btn-sm">
+              💾 Save
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {channels.length === 0 ? (
+        <p className="empty-state">No notification channels configured</p>
+      ) : (
+        <div className="channel-list">
+          {channels.map((channel) => (
+            <div key={channel.id} className={`channel-card ${channel.enabled ? '' : 'disabled'}`}>
+              <div className="channel-card-header">
+                <div>
+                  <h4>{channel.name}</h4>
+                  <span className="channel-type">{typeLabel(channel.type)}</span>
+                  {!channel.enabled && <span className="channel-type">disabled</span>}
+                </div>
+                {isAdmin && (
+                  <div className="user-actions">
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleTest(channel)}>
+                      📨 Test
+                    </button>
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setEditing({ ...channel })}
+                    >
+                      ✏️ Edit
+                    </button>
+                    <button className="btn btn-danger btn-sm" onClick={() => handleDelete(channel)}>
+                      ✕
+                    </button>
+                  </div>
+                )}
+              </div>
+              <p>
+                Events: {channel.events.map((event) => EVENT_LABELS[event] || event).join(', ') || 'none'}
+                {channel.runStatuses.length > 0 && ` (runs: ${channel.runStatuses.join(', ')})`}
+              </p>
+              <p>Accounts: {channel.uids.join(', ') || 'none'}</p>
+              {channel.status && (
+                <p className={channel.status.lastError ? 'channel-error' : 'channel-ok'}>
+                  {channel.status.lastError
+                    ? `Last delivery failed: ${channel.status.lastError}`
+                    : `Last delivered: ${new Date(channel.status.lastSuccessAt).toLocaleString()}`}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+const STATUS_LABELS = {
+  success: '✅ Success',
+  partial: '⚠️ Partial',
+  failed: '❌ Failed',
+  running: '⏳ Running',
+};
+
+// Sortable columns: label and the value a row is sorted by
+const COLUMNS = [
+  { key: 'account', label: 'Account', value: (row) => row.phone || row.nickname || String(row.uid) },
+  { key: 'tokenAge', label: 'Token age', value: (row) => row.tokenAgeMinutes },
+  { key: 'lastRun', label: 'Last run', value: (row) => row.lastRun?.startedAt || null },
+  { key: 'tasks', label: 'Tasks today', value: (row) => row.tasksPending },
+  { key: 'points', label: 'Points', value: (row) => row.points },
+  { key: 'signDay', label: 'Streak', value: (row) => row.signDay },
+  { key: 'lotteryNum', label: 'Tickets', value: (row) => row.lotteryNum },
+  { key: 'unusedMinutes', label: 'Unused min', value: (row) => row.unusedMinutes },
+];
+
+function formatAge(minutes) {
+  if (minutes === null) {
+    return '-';
+  }
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  if (minutes < 24 * 60) {
+    return `${Math.floor(minutes / 60)}h`;
+  }
+  return `${Math.floor(minutes / (24 * 60))}d`;
+}
+
+/**
+ * Landing view: every account side by side with totals, click a row to open it
+ * Reloads whenever `version` changes (a run finished)
+ */
+export default function Overview({ onSelect, version }) {
+  const [overview, setOverview] = React.useState(null);
+  const [sort, setSort] = React.useState({ key: 'account', direction: 1 });
+
+  React.useEffect(() => {
+    loadOverview();
+  }, [version]);
+
+  const loadOverview = async () => {
+    try {
+      const response = await apiFetch('/api/overview');
+      const data = await response.json();
+      if (data.code === 0) {
+        setOverview(data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load overview:', error);
+    }
+  };
+
+  const toggleSort = (key) =>
+    setSort(sort.key === key ? { key, direction: -sort.direction } : { key, direction: 1 });
+
+  if (!overview) {
+    return null;
+  }
+
+  // Missing values always sort last
+  const column = COLUMNS.find((entry) => entry.key === sort.key);
+  const rows = [...overview.accounts].sort((a, b) => {
+    const left = column.value(a);
+    const right = column.value(b);
+    if (left === null || right === null) {
+      return (left === null) - (right === null);
+    }
+    return (left < right ? -1 : left > right ? 1 : 0) * sort.direction;
+  });
+  const { totals } = overview;
+
+  return (
+    <div className="section overview-section">
+      <div className="section-header">
+        <h3>📋 Overview</h3>
+        <button className="btn btn-secondary btn-sm" onClick={loadOverview}>
+          🔄 Refresh
+        </button>
+      </div>
+
+      <div className="overview-totals">
+        <span>
+          Accounts <strong>{totals.active}</strong>/{totals.accounts}
+        </span>
+        <span>
+          Tasks today <strong>{totals.tasksCompleted}</strong> done · <strong>{totals.tasksPending}</strong> pending
+        </span>
+        <span>
+          Points <strong>{totals.points}</strong>
+        </span>
+        <span>
+          Tickets <strong>{totals.lotteryNum}</strong>
+        </span>
+        <span>
+          Unused <strong>{totals.unusedMinutes}</strong> min
+        </span>
+        <span>
+          Last runs{' '}
+          {Object.entries(totals.lastRunStatuses)
+            .map(([status, count]) => `${status} ${count}`)
+            .join(' · ') || '-'}
+        </span>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="empty-state">No users configured</p>
+      ) : (
+        <table className="overview-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((entry) => (
+                <th key={entry.key} onClick={() => toggleSort(entry.key)}>
+                  {entry.label}
+                  {sort.key === entry.key && (sort.direction === 1 ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.uid} className={row.isActive ? '' : 'inactive'} onClick={() => onSelect(row.uid)}>
+                <td>
+                  {row.phone || row.nickname || `User ${row.uid}`}
+                  <div className="overview-uid">UID {row.uid}</div>
+                </td>
+                <td>{formatAge(row.tokenAgeMinutes)}</td>
+                <td>
+                  {row.lastRun ? (
+                    <>
+                      {STATUS_LABELS[row.lastRun.status] || row.lastRun.status}
+                      <div className="overview-uid">{new Date(row.lastRun.startedAt).toLocaleString()}</div>
+                    </>
+                  ) : (
+                    '-'
+                  )}
+                </td>
+                <td>
+                  {row.tasksPending === null ? '-' : `${row.tasksCompleted} done / ${row.tasksPending} pending`}
+                </td>
+                <td>{row.points ?? '-'}</td>
+                <td>{row.signDay ?? '-'}</td>
+                <td>{row.lotteryNum ?? '-'}</td>
+                <td>{row.unusedMinutes}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+const RANGES = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last year' },
+  { days: null, label: 'All time' },
+];
+
+/**
+ * Distribution of the prizes drawn by an account
+ * Reloads whenever `version` changes (a run finished)
+ */
+export default function PrizeStats({ uid, version }) {
+  const [days, setDays] = React.useState(30);
+  const [stats, setStats] = React.useState(null);
+
+  React.useEffect(() => {
+    loadStats();
+  }, [uid, version, days]);
+
+  const loadStats = async () => {
+    try {
+      const params = new URLSearchParams({ uid });
+      if (days) {
+        params.set('from', new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+      }
+      const response = await apiFetch(`/api/rewards/prizes/stats?${params}`);
+      const data = await response.json();
+      setStats(data.code === 0 ? data.data : null);
+    } catch (error) {
+      console.error('Failed to load prize stats:', error);
+    }
+  };
+
+  if (!stats) {
+    return null;
+  }
+
+  return (
+    <div className="section history-section">
+      <div className="section-header">
+        <h3>🎁 Prizes</h3>
+        <select value={days ?? ''} onChange={(e) => setDays(e.target.value ? parseInt(e.target.value, 10) : null)}>
+          {RANGES.map((range) => (
+            <option key={range.label} value={range.days ?? ''}>
+              {range.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {stats.draws === 0 ? (
+        <p className="empty-state">No prizes drawn in this range</p>
+      ) : (
+        <>
+          <p className="hint">
+            {stats.draws} draw(s), {stats.minutes} min in total
+            {Object.keys(stats.drawTypes).length > 1 &&
+              ` — ${Object.entries(stats.drawTypes)
+                .map(([type, count]) => `type ${type}: ${count}`)
+                .join(', ')}`}
+          </p>
+          {stats.prizes.map((prize) => (
+            <div key={prize.prizeName} className="prize-bar">
+              <span className="prize-bar-name">{prize.prizeName}</span>
+              <span className="prize-bar-track">
+                <span className="prize-bar-fill" style={{ width: `${prize.share * 100}%` }} />
+              </span>
+              <span className="prize-bar-count">
+                {prize.count} ({Math.round(prize.share * 100)}%)
+              </span>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+/**
+ * Reward ledger of an account: card minutes per month and the latest drawn prizes
+ * Reloads whenever `version` changes (the rewards panel was refreshed)
+ */
+export default function RewardLedger({ uid, version }) {
+  const [months, setMonths] = React.useState([]);
+  const [prizes, setPrizes] = React.useState([]);
+
+  React.useEffect(() => {
+    loadLedger();
+  }, [uid, version]);
+
+  const loadLedger = async () => {
+    try {
+      const [monthsResponse, prizesResponse] = await Promise.all([
+        apiFetch(`/api/rewards/monthly?uid=${uid}`),
+        apiFetch(`/api/rewards?uid=${uid}&source=prize&pageSize=10`),
+      ]);
+      const monthsData = await monthsResponse.json();
+      const prizesData = await prizesResponse.json();
+      setMonths(monthsData.code === 0 ? monthsData.data.slice(-6).reverse() : []);
+      setPrizes(prizesData.code === 0 ? prizesData.data.items : []);
+    } catch (error) {
+      console.error('Failed to load reward ledger:', error);
+    }
+  };
+
+  if (months.length === 0 && prizes.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="reward-ledger">
+      {months.length > 0 && (
+        <table className="ledger-table">
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th>Reward cards</th>
+              <th>Minutes</th>
+              <th>Prizes drawn</th>
+            </tr>
+          </thead>
+          <tbody>
+            {months.map((month) => (
+              <tr key={month.month}>
+                <td>{month.month}</td>
+                <td>{month.orders}</td>
+                <td>{month.minutes}</td>
+                <td>
+                  {month.prizes} ({month.prizeMinutes} min)
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {prizes.length > 0 && (
+        <div className="reward-items">
+          {prizes.map((prize) => (
+            <div key={`${prize.at}-${prize.index}`} className="reward-item">
+              <span className="reward-name">🎰 {prize.prizeName}</span>
+              <span className="reward-time">{new Date(prize.at).toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+
+const ACTION_LABELS = {
+  complete: '✅ Complete',
+  wait: '⏳ Wait',
+  skip: '⏭️ Skip',
+};
+
+/**
+ * Dry-run result: what a run would do, nothing was sent upstream
+ */
+export default function RunPlan({ plan, onClose }) {
+  return (
+    <div className="section plan-section">
+      <div className="section-header">
+        <h3>🧪 Dry Run Plan</h3>
+        <button className="btn btn-secondary btn-sm" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <p className="hint">
+        Generated {new Date(plan.generatedAt).toLocaleString()} — {plan.summary.complete} to complete,{' '}
+        {plan.summary.wait} waiting, {plan.summary.skip} skipped, {plan.lottery.draws} lottery draw(s) (
+        {plan.lottery.tickets} ticket(s){plan.lottery.reason && ` — ${plan.lottery.reason}`})
+      </p>
+
+      {plan.tasks.length === 0 ? (
+        <p className="empty-state">No tasks returned</p>
+      ) : (
+        <table className="plan-table">
+          <thead>
+            <tr>
+              <th>Task</th>
+              <th>Type</th>
+              <th>Progress</th>
+              <th>Handler</th>
+              <th>Action</th>
+              <th>Reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.tasks.map((task) => (
+              <tr key={task.taskId} className={`plan-${task.action}`}>
+                <td>
+                  {task.taskName} ({task.taskId})
+                </td>
+                <td>{task.taskType}</td>
+                <td>{task.target !== null ? `${task.progress ?? 0}/${task.target}` : '-'}</td>
+                <td>
+                  {task.handler || '-'}
+                  {task.source === 'account' && ' (account)'}
+                </td>
+                <td>{ACTION_LABELS[task.action]}</td>
+                <td>{task.reason || ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
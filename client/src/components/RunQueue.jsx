@@ -0,0 +1,67 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+/**
+ * Runs executing and waiting in the server's run queue
+ * `queue` is kept live by the runQueue WebSocket event
+ */
+export default function RunQueue({ queue, users, isAdmin, addLog }) {
+  if (!queue) {
+    return null;
+  }
+
+  const accountName = (uid) => {
+    const user = users.find((item) => item.uid === uid);
+    return user?.phone || `User ${uid}`;
+  };
+
+  const handleCancel = async (job) => {
+    try {
+      const response = await apiFetch(`/api/queue/${job.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`🛑 ${data.message} (${accountName(job.uid)})`, 'warning');
+      } else {
+        addLog(`❌ Failed to cancel run: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to cancel run:', error);
+      addLog('Failed to cancel run', 'error');
+    }
+  };
+
+  const jobs = [...queue.running, ...queue.queued];
+
+  return (
+    <div className="run-queue">
+      <div className="run-queue-header">
+        <h3>⏳ Run Queue</h3>
+        <span className="hint">
+          {queue.running.length}/{queue.concurrency} running, {queue.queued.length} queued
+        </span>
+      </div>
+      {jobs.length === 0 ? (
+        <p className="empty-state">No runs in progress</p>
+      ) : (
+        jobs.map((job) => (
+          <div key={job.id} className={`run-queue-item run-queue-${job.state}`}>
+            <div className="user-info">
+              <div className="user-name">{accountName(job.uid)}</div>
+              <div className="user-uid">
+                {job.state === 'running' ? (job.cancelling ? '🛑 Stopping' : '▶️ Running') : '⏸️ Queued'} ·{' '}
+                {job.trigger}
+                {job.runNumber ? ` #${job.runNumber}` : ''}
+              </div>
+            </div>
+            {isAdmin && !job.cancelling && (
+              <button className="btn-delete" title="Cancel run" onClick={() => handleCancel(job)}>
+                ✕
+              </button>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React from 'react';
+
+export const DEFAULT_SCHEDULE = [
+  { time: '08:00', windowMinutes: 60, jitterSeconds: 0 },
+  { time: '12:00', windowMinutes: 60, jitterSeconds: 0 },
+];
+
+/**
+ * Editable list of daily runs: start time, random window (minutes) and jitter (seconds)
+ */
+export default function ScheduleEditor({ schedule, onChange, compact = false }) {
+  const updateRun = (index, field, value) => {
+    const next = schedule.map((run, i) =>
+      i === index ? { ...run, [field]: field === 'time' ? value : Number(value) } : run
+    );
+    onChange(next);
+  };
+
+  const addRun = () => {
+    onChange([...schedule, { time: '20:00', windowMinutes: 30, jitterSeconds: 0 }]);
+  };
+
+  const removeRun = (index) => {
+    onChange(schedule.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className={`schedule-editor ${compact ? 'compact' : ''}`}>
+      {schedule.length === 0 && (
+        <p className="empty-state">No scheduled runs (manual only)</p>
+      )}
+      {schedule.map((run, index) => (
+        <div key={index} className="schedule-run">
+          <span className="schedule-run-label">#{index + 1}</span>
+          <label>
+            Start
+            <input
+              type="time"
+              value={run.time}
+              onChange={(e) => updateRun(index, 'time', e.target.value)}
+              required
+            />
+          </label>
+          <label>
+            Window (min)
+            <input
+              type="number"
+              min="0"
+              max="1439"
+              value={run.windowMinutes}
+              onChange={(e) => updateRun(index, 'windowMinutes', e.target.value)}
+            />
+          </label>
+          <label>
+            Jitter (s)
+            <input
+              type="number"
+              min="0"
+              max="3600"
+              value={run.jitterSeconds}
+              onChange={(e) => updateRun(index, 'jitterSeconds', e.target.value)}
+            />
+          </label>
+          <button
+            type="button"
+            className="btn-delete"
+            onClick={() => removeRun(index)}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button type="button" className="btn btn-secondary btn-sm" onClick={addRun}>
+        ➕ Add Run
+      </button>
+    </div>
+  );
+}
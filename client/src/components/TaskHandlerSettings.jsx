@@ -0,0 +1,126 @@
+import React from 'react';
+import { apiFetch } from '../api';
+
+const DISABLED = '__disabled';
+
+const emptyOverrides = () => ({ tasks: {}, types: {} });
+
+const toSelectValue = (value) => (value === false ? DISABLED : value || '');
+const fromSelectValue = (value) => (value === DISABLED ? false : value || null);
+
+/**
+ * Per-account task handler overrides: by task type and by task id
+ */
+export default function TaskHandlerSettings({ user, tasks, isAdmin, addLog, onSaved }) {
+  const [handlers, setHandlers] = React.useState([]);
+  const [overrides, setOverrides] = React.useState(user.taskHandlers || emptyOverrides());
+
+  React.useEffect(() => {
+    loadHandlers();
+  }, []);
+
+  const loadHandlers = async () => {
+    try {
+      const response = await apiFetch('/api/tasks/handlers');
+      const data = await response.json();
+      setHandlers(data.data || []);
+    } catch (error) {
+      console.error('Failed to load task handlers:', error);
+    }
+  };
+
+  const setOverride = (scope, id, value) => {
+    const next = { ...overrides[scope] };
+    const parsed = fromSelectValue(value);
+    if (parsed === null) {
+      delete next[id];
+    } else {
+      next[id] = parsed;
+    }
+    setOverrides({ ...overrides, [scope]: next });
+  };
+
+  const handleSave = async () => {
+    try {
+      const response = await apiFetch(`/api/users/${user.uid}/task-handlers`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ taskHandlers: overrides }),
+      });
+      const data = await response.json();
+
+      if (data.code === 0) {
+        addLog(`✅ Task handlers saved for user ${user.uid}`, 'success');
+        setOverrides(data.data.taskHandlers);
+        onSaved?.();
+      } else {
+        addLog(`❌ Failed to save task handlers: ${data.message}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to save task handlers:', error);
+      addLog('Failed to save task handlers', 'error');
+    }
+  };
+
+  const defaultForType = (type) =>
+    handlers.find((handler) => handler.taskTypes.includes(type))?.label || 'none (skipped)';
+
+  const types = [
+    ...new Set([
+      ...handlers.flatMap((handler) => handler.taskTypes),
+      ...tasks.map((task) => task.task_type),
+      ...Object.keys(overrides.types).map(Number),
+    ]),
+  ].sort((a, b) => a - b);
+
+  const renderSelect = (scope, id, defaultLabel) => (
+    <select
+      value={toSelectValue(overrides[scope][id])}
+      disabled={!isAdmin}
+      onChange={(e) => setOverride(scope, id, e.target.value)}
+    >
+      <option value="">Default ({defaultLabel})</option>
+      {handlers.map((handler) => (
+        <option key={handler.name} value={handler.name}>
+          {handler.label}
+        </option>
+      ))}
+      <option value={DISABLED}>Disabled</option>
+    </select>
+  );
+
+  return (
+    <div className="section">
+      <div className="section-header">
+        <h3>🧩 Task Handlers</h3>
+        {isAdmin && (
+          <button className="btn btn-primary btn-sm" onClick={handleSave}>
+            💾 Save Handlers
+          </button>
+        )}
+      </div>
+
+      <div className="channel-form-group">
+        <strong>By type</strong>
+        {types.map((type) => (
+          <label key={type} className="handler-row">
+            Type {type}
+            {renderSelect('types', type, defaultForType(type))}
+          </label>
+        ))}
+      </div>
+
+      {tasks.length > 0 && (
+        <div className="channel-form-group">
+          <strong>By task</strong>
+          {tasks.map((task) => (
+            <label key={task.task_id} className="handler-row">
+              {task.task_name} ({task.task_id})
+              {renderSelect('tasks', task.task_id, `Type ${task.task_type} setting`)}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
+// First import: modules read their settings from process.env when loaded
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
-import dotenv from 'dotenv';
-import { WebSocketServer } from 'ws';
+import { WebSocket, WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,19 +11,38 @@ import { fileURLToPath } from 'url';
 import redisClient from './utils/redis.js';
 import { logger } from './utils/logger.js';
 import apiRoutes from './routes/api.js';
+import authRoutes from './routes/auth.js';
+import authService from './services/authService.js';
+import userStore from './services/userStore.js';
+import notifier from './services/notifier.js';
+import { hasMasterKey } from './utils/secrets.js';
+import { authenticate, restrictWrites } from './middleware/auth.js';
 import { TaskScheduler } from './services/taskScheduler.js';
+import { addClient, removeClient, handleClientMessage, markAlive, startHeartbeat } from './utils/broadcast.js';
+import { isEventId } from './services/eventStream.js';
+import { parseTopicList } from './utils/wsProtocol.js';
+import { register as metricsRegister, trackScheduler } from './utils/metrics.js';
+import health from './services/health.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-dotenv.config();
-
 const app = express();
 const httpServer = createServer(app);
 const wss = new WebSocketServer({ server: httpServer });
 
+const heartbeatSeconds = parseInt(process.env.WS_HEARTBEAT_SECONDS, 10);
+const stopHeartbeat = startHeartbeat((Number.isNaN(heartbeatSeconds) ? 30 : heartbeatSeconds) * 1000);
+
 // Middleware
-app.use(cors());
+// CORS_ORIGINS: comma-separated allowed origins ('*' for any); unset = same-origin only
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(cors({
+  origin: corsOrigins.includes('*') ? true : corsOrigins.length > 0 ? corsOrigins : false,
+}));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -30,31 +50,67 @@ app.use(bodyParser.urlencoded({ extended: true }));
 const publicPath = path.join(__dirname, '../public');
 app.use(express.static(publicPath));
 
-// Store WebSocket clients
-const wsClients = new Set();
-
-wss.on('connection', (ws) => {
-  logger.info('New WebSocket client connected');
-  wsClients.add(ws);
-
+// Clients must pass their session token: ws://host/?token=<token>
+// Initial subscriptions: &topics=system,runs,user:<uid> (see utils/wsProtocol.js)
+// Reconnecting clients add the last event id they saw to get the missed events: &since=<eventId>
+wss.on('connection', async (ws, req) => {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const token = params.get('token');
+  const since = params.get('since');
+  const topics = parseTopicList(params.get('topics'));
+
+  // Listeners go on before the session lookup: messages sent right after open are kept
+  // until the client is registered instead of being dropped
+  let early = [];
   ws.on('close', () => {
-    wsClients.delete(ws);
+    removeClient(ws);
     logger.info('WebSocket client disconnected');
   });
 
   ws.on('error', (error) => {
     logger.error('WebSocket error:', error);
   });
-});
 
-// Broadcast message to all connected clients
-export function broadcastToClients(data) {
-  wsClients.forEach((client) => {
-    if (client.readyState === 1) { // WebSocket.OPEN = 1
-      client.send(JSON.stringify(data));
+  ws.on('pong', () => markAlive(ws));
+
+  ws.on('message', (raw) => {
+    if (early) {
+      // Bounded: the client is not authenticated yet
+      if (early.length < 20) {
+        early.push(raw.toString());
+      }
+      return;
     }
+    markAlive(ws);
+    handleClientMessage(ws, raw.toString());
   });
-}
+
+  let session = null;
+  try {
+    session = await authService.getSession(token);
+  } catch (error) {
+    logger.error('Failed to authenticate WebSocket client:', error);
+  }
+
+  if (!session) {
+    logger.warn('Rejected unauthenticated WebSocket client');
+    ws.close(4401, 'Authentication required');
+    return;
+  }
+
+  // Closed while the session was looked up
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  logger.info(`New WebSocket client connected (${session.username}${since ? `, resuming after ${since}` : ''})`);
+
+  await addClient(ws, { since: isEventId(since) ? since : null, topics });
+
+  const buffered = early;
+  early = null;
+  buffered.forEach((raw) => handleClientMessage(ws, raw));
+});
 
 // Export taskScheduler for API control
 export function getTaskScheduler() {
@@ -62,11 +118,41 @@ export function getTaskScheduler() {
 }
 
 // Routes
-app.use('/api', apiRoutes);
+// Every API route requires a dashboard session; writes require the admin role
+app.use('/api/auth', authRoutes);
+app.use('/api', authenticate, restrictWrites, apiRoutes);
+
+// Health checks (no authentication: aggregate status only, per-account detail is GET /api/health)
+// live: the process answers; ready: Redis and the scheduler are up (503 otherwise),
+// an unreachable upstream is reported as 'degraded' with 200
+app.get(['/health', '/health/live'], (req, res) => {
+  res.json(health.liveness());
+});
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+app.get('/health/ready', async (req, res) => {
+  try {
+    const result = await health.readiness(taskScheduler);
+    res.status(result.status === 'not_ready' ? 503 : 200).json(result);
+  } catch (error) {
+    logger.error('Readiness check failed:', error);
+    res.status(503).json({ status: 'not_ready', message: error.message });
+  }
+});
+
+// Prometheus metrics; METRICS_TOKEN, when set, must be sent as a Bearer token
+app.get('/metrics', async (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken && req.headers.authorization !== `Bearer ${metricsToken}`) {
+    return res.status(401).json({ code: 401, message: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.end(await metricsRegister.metrics());
+  } catch (error) {
+    logger.error('Failed to collect metrics:', error);
+    res.status(500).json({ code: 500, message: error.message });
+  }
 });
 
 // Initialize services
@@ -78,13 +164,26 @@ async function initializeServices() {
     await redisClient.connect();
     logger.info('Connected to Redis');
 
-    // Initialize Task Scheduler (but don't start automatically)
+    await authService.ensureBootstrapAdmin();
+
+    // Move users from the config:users / user:{uid} layout to per-account hashes
+    await userStore.migrateLegacy();
+
+    // Encrypt account secrets still stored in plaintext (or under a previous master key)
+    if (hasMasterKey()) {
+      await userStore.reencryptAll();
+      await notifier.reencryptAll();
+    } else {
+      logger.warn('[Secrets] SECRETS_MASTER_KEY is not set, account secrets are stored in plaintext');
+    }
+
+    // Initialize Task Scheduler
+    // Resumes automatically if it was running before the restart (state persisted in Redis),
+    // otherwise waits for /api/scheduler/start
     taskScheduler = new TaskScheduler();
     await taskScheduler.initialize();
-    logger.info('Task Scheduler initialized (manual control mode)');
-
-    // Don't start scheduling automatically - user must call /api/scheduler/start
-    // taskScheduler.start();
+    trackScheduler(taskScheduler);
+    logger.info(`Task Scheduler initialized (${taskScheduler.isRunning ? 'running' : 'stopped'})`);
 
   } catch (error) {
     logger.error('Failed to initialize services:', error);
@@ -105,9 +204,11 @@ process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
   
   if (taskScheduler) {
-    taskScheduler.stop();
+    // Keep the persisted running state so the scheduler resumes after restart
+    taskScheduler.shutdown();
   }
   
+  stopHeartbeat();
   wss.close(() => {
     logger.info('WebSocket server closed');
   });
@@ -123,9 +224,11 @@ process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
   
   if (taskScheduler) {
-    taskScheduler.stop();
+    // Keep the persisted running state so the scheduler resumes after restart
+    taskScheduler.shutdown();
   }
   
+  stopHeartbeat();
   wss.close(() => {
     logger.info('WebSocket server closed');
   });
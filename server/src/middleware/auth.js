@@ -0,0 +1,64 @@
+import authService from '../services/authService.js';
+import { logger } from '../utils/logger.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Extract the session token from "Authorization: Bearer <token>"
+ */
+export function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Require a valid dashboard session, exposes it as req.auth
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const token = getRequestToken(req);
+    const session = await authService.getSession(token);
+
+    if (!session) {
+      return res.status(401).json({
+        code: 401,
+        message: 'Authentication required',
+      });
+    }
+
+    req.auth = { ...session, token };
+    next();
+  } catch (error) {
+    logger.error('Failed to authenticate request:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Require one of the given roles
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({
+        code: 403,
+        message: `Requires role: ${roles.join(' or ')}`,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Read-only requests are open to every role, anything that writes requires admin
+ */
+export function restrictWrites(req, res, next) {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+  return requireRole('admin')(req, res, next);
+}
@@ -0,0 +1,425 @@
+import crypto from 'crypto';
+import express from 'express';
+
+/**
+ * 模拟 FuFuHub 上游 (Mock FuFuHub upstream)
+ * Implements the /v1/nika/client/* methods used by APIService with per-account state,
+ * so the scheduler, token expiry and lottery paths can run without real accounts.
+ * Point the server at it with API_BASE_URL=http://127.0.0.1:<port>.
+ *
+ * Control endpoints (for tests and manual runs):
+ *   GET  /__mock/state                          - accounts, calls
+ *   POST /__mock/reset     { scenario }         - start over with a scenario
+ *   POST /__mock/advance   { minutes }          - move the mock clock forward (Type 2 progress, token expiry)
+ *   POST /__mock/expire    { uid }              - invalidate the current token of an account
+ *   POST /__mock/fail      { method, code, msg, times, uid? } - answer the next calls with an error code
+ */
+
+// Same codes as the real upstream (see ERROR_CODES in apiService.js) plus the mock's own failures.
+// Not imported from apiService: that module reads API_BASE_URL when loaded, tests set it afterwards.
+export const MOCK_ERROR_CODES = {
+  SUCCESS: 0,
+  TOKEN_EXPIRED: 3584901,
+  PARAM_ERROR: 3584002,
+  TASK_NOT_FOUND: 3584010,
+  TASK_ALREADY_COMPLETED: 3584011,
+  TASK_NOT_FINISHED: 3584012,
+  NO_LOTTERY_TICKETS: 3584020,
+  SYSTEM_BUSY: 3584999,
+};
+
+// task_state values
+const STATE_READY = 1;
+const STATE_IN_PROGRESS = 2;
+const STATE_COMPLETED = 3;
+
+const AUTHENTICATED_METHODS = ['getuserinfo', 'getactivitytask', 'completetask', 'drawprize', 'orderhistory'];
+
+const DEFAULT_PRIZES = [
+  { prize_id: 1, prize_name: '15分钟卡', prize_desc: '15 分钟时长卡' },
+  { prize_id: 2, prize_name: '30分钟卡', prize_desc: '30 分钟时长卡' },
+  { prize_id: 3, prize_name: '1小时卡', prize_desc: '1 小时时长卡' },
+];
+
+const signInTask = (overrides = {}) => ({
+  task_id: 101,
+  task_name: '每日签到',
+  task_desc: 'Sign in once a day',
+  task_type: 1,
+  task_value: 0,
+  task_target: 1,
+  task_state: STATE_READY,
+  reward_points: 10,
+  reward_tickets: 1,
+  ...overrides,
+});
+
+const playTask = (overrides = {}) => ({
+  task_id: 102,
+  task_name: '游玩 90 分钟',
+  task_desc: 'Play for 90 minutes',
+  task_type: 2,
+  task_value: 30,
+  task_target: 90,
+  task_state: STATE_IN_PROGRESS,
+  // Progress gained per mock minute
+  progress_per_minute: 1,
+  reward_points: 20,
+  reward_tickets: 1,
+  ...overrides,
+});
+
+const claimTask = (overrides = {}) => ({
+  task_id: 103,
+  task_name: '分享活动',
+  task_desc: 'Share the event page',
+  task_type: 3,
+  task_value: 1,
+  task_target: 1,
+  task_state: STATE_READY,
+  reward_points: 5,
+  reward_tickets: 0,
+  ...overrides,
+});
+
+/**
+ * Scenarios: initial state of every account and upstream behaviour
+ *   account      - user info fields (points, sign_day, lottery_num)
+ *   tasks        - task list (task_value of Type 2 tasks grows with progress_per_minute)
+ *   tokenTtlMinutes - tokens stop working after this many mock minutes (null = never)
+ *   failures     - errors answered by the first calls: [{ method, code, msg, times }]
+ */
+export const SCENARIOS = {
+  default: () => ({
+    account: { points: 100, sign_day: 3, lottery_num: 1 },
+    tasks: [signInTask(), playTask(), claimTask()],
+    tokenTtlMinutes: null,
+    failures: [],
+  }),
+  // Tokens stop working 30 mock minutes after checklogin
+  'expiring-token': () => ({
+    account: { points: 100, sign_day: 3, lottery_num: 0 },
+    tasks: [signInTask({ reward_tickets: 0 })],
+    tokenTtlMinutes: 30,
+    failures: [],
+  }),
+  // One Type 2 task from 0/60, 2 per minute: complete after 30 mock minutes
+  'type2-progress': () => ({
+    account: { points: 0, sign_day: 0, lottery_num: 0 },
+    tasks: [
+      playTask({ task_value: 0, task_target: 60, progress_per_minute: 2, reward_tickets: 0 }),
+    ],
+    tokenTtlMinutes: null,
+    failures: [],
+  }),
+  // Three tickets up front, the sign-in task grants one more
+  lottery: () => ({
+    account: { points: 0, sign_day: 0, lottery_num: 3 },
+    tasks: [signInTask()],
+    tokenTtlMinutes: null,
+    failures: [],
+  }),
+  // Upstream hiccups: the task list is busy once, then the first draw fails
+  errors: () => ({
+    account: { points: 0, sign_day: 0, lottery_num: 2 },
+    tasks: [signInTask({ reward_tickets: 0 })],
+    tokenTtlMinutes: null,
+    failures: [
+      { method: 'getactivitytask', code: MOCK_ERROR_CODES.SYSTEM_BUSY, msg: '系统繁忙', times: 1 },
+      { method: 'drawprize', code: MOCK_ERROR_CODES.SYSTEM_BUSY, msg: '系统繁忙', times: 1 },
+    ],
+  }),
+};
+
+const ok = (body) => ({ ret: { code: MOCK_ERROR_CODES.SUCCESS, msg: 'success' }, body });
+const fail = (code, msg) => ({ ret: { code, msg }, body: null });
+
+/**
+ * Create a mock upstream
+ * @param {Object} options - { scenario: name in SCENARIOS, prizes: [...] }
+ * @returns {{app, state, listen(port): Promise<string>, close(): Promise<void>, reset(scenario),
+ *            advance(minutes), expireToken(uid), injectFailure(failure), callsTo(method, uid?)}}
+ */
+export function createMockUpstream({ scenario = 'default', prizes = DEFAULT_PRIZES } = {}) {
+  const state = {
+    scenario,
+    config: null,
+    // Mock clock offset from real time (advance())
+    offsetMs: 0,
+    accounts: new Map(),
+    failures: [],
+    calls: [],
+    drawCount: 0,
+  };
+
+  const now = () => Date.now() + state.offsetMs;
+
+  function reset(name = state.scenario) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown scenario "${name}", expected one of: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+    state.scenario = name;
+    state.config = SCENARIOS[name]();
+    state.offsetMs = 0;
+    state.accounts.clear();
+    state.failures = state.config.failures.map((failure) => ({ ...failure }));
+    state.calls = [];
+    state.drawCount = 0;
+  }
+
+  // Accounts are created on first use, so any uid added in the dashboard works
+  function getAccount(uid) {
+    const key = String(uid);
+    if (!state.accounts.has(key)) {
+      state.accounts.set(key, {
+        uid: parseInt(uid, 10),
+        nickname: `mock-${uid}`,
+        ...state.config.account,
+        token: null,
+        tokenIssuedAt: null,
+        logins: 0,
+        startedAt: now(),
+        tasks: state.config.tasks.map((task) => ({ ...task })),
+        orders: [],
+      });
+    }
+    return state.accounts.get(key);
+  }
+
+  function issueToken(account) {
+    account.logins++;
+    account.token = `mock-${account.uid}-${account.logins}-${crypto.randomBytes(16).toString('hex')}`;
+    account.tokenIssuedAt = now();
+    return account.token;
+  }
+
+  function tokenValid(account, token) {
+    if (!token || token !== account.token) {
+      return false;
+    }
+    const ttl = state.config.tokenTtlMinutes;
+    return !ttl || now() - account.tokenIssuedAt < ttl * 60000;
+  }
+
+  // Type 2 progress grows with the mock clock until the target
+  function taskView(account, task) {
+    const view = { ...task };
+    if (task.task_type === 2 && task.task_state !== STATE_COMPLETED) {
+      const minutes = (now() - account.startedAt) / 60000;
+      view.task_value = Math.min(
+        task.task_target,
+        Math.floor(task.task_value + minutes * (task.progress_per_minute || 0))
+      );
+    }
+    delete view.progress_per_minute;
+    return view;
+  }
+
+  function takeFailure(method, uid) {
+    const index = state.failures.findIndex(
+      (failure) => failure.method === method && (failure.uid == null || String(failure.uid) === String(uid))
+    );
+    if (index === -1) {
+      return null;
+    }
+    const failure = state.failures[index];
+    failure.times = (failure.times ?? 1) - 1;
+    if (failure.times <= 0) {
+      state.failures.splice(index, 1);
+    }
+    return fail(failure.code, failure.msg || 'mock failure');
+  }
+
+  const handlers = {
+    checklogin(account) {
+      return ok({ token: issueToken(account), uid: account.uid });
+    },
+
+    getuserinfo(account) {
+      const { uid, nickname, points, sign_day, lottery_num } = account;
+      return ok({ uid, nickname, points, sign_day, lottery_num });
+    },
+
+    getactivitytask(account) {
+      return ok({ list: account.tasks.map((task) => taskView(account, task)) });
+    },
+
+    completetask(account, body) {
+      const task = account.tasks.find((t) => t.task_id === body.task_id);
+      if (!task) {
+        return fail(MOCK_ERROR_CODES.TASK_NOT_FOUND, '任务不存在');
+      }
+      if (task.task_state === STATE_COMPLETED) {
+        return fail(MOCK_ERROR_CODES.TASK_ALREADY_COMPLETED, '任务已完成');
+      }
+      const view = taskView(account, task);
+      const finished =
+        view.task_type === 2 ? view.task_value >= view.task_target
+          : view.task_type === 3 ? view.task_state === STATE_READY
+            : true;
+      if (!finished) {
+        return fail(MOCK_ERROR_CODES.TASK_NOT_FINISHED, '任务未达成');
+      }
+
+      task.task_state = STATE_COMPLETED;
+      task.task_value = task.task_target;
+      account.points += task.reward_points || 0;
+      account.lottery_num += task.reward_tickets || 0;
+      if (task.task_type === 1) {
+        account.sign_day++;
+      }
+      return ok({ task_id: task.task_id, points: account.points, lottery_num: account.lottery_num });
+    },
+
+    drawprize(account) {
+      if (account.lottery_num <= 0) {
+        return fail(MOCK_ERROR_CODES.NO_LOTTERY_TICKETS, '盲盒券不足');
+      }
+      account.lottery_num--;
+      const prize = prizes[state.drawCount % prizes.length];
+      state.drawCount++;
+
+      const orderTime = new Date(now());
+      const expiry = new Date(now() + 30 * 24 * 60 * 60 * 1000);
+      account.orders.unshift({
+        id: state.drawCount,
+        order_type: 101,
+        sale_name: prize.prize_name,
+        sale_duration: expiry.toISOString().slice(0, 10),
+        pay_type: 0,
+        state: 1,
+        order_time: orderTime.toISOString(),
+        update_time: orderTime.toISOString(),
+      });
+      return ok({ prize: { ...prize } });
+    },
+
+    orderhistory(account, body) {
+      const offset = body.offset || 0;
+      const limit = body.limit || 100;
+      return ok({
+        total: account.orders.length,
+        order_list: account.orders.slice(offset, offset + limit),
+      });
+    },
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.post('/v1/nika/client/:method', (req, res) => {
+    const { method } = req.params;
+    const handler = handlers[method];
+    if (!handler) {
+      return res.status(404).json(fail(404, `Unknown method ${method}`));
+    }
+
+    const uid = req.body?.uid;
+    state.calls.push({ method, uid, body: req.body, at: new Date(now()).toISOString() });
+    if (!uid) {
+      return res.json(fail(MOCK_ERROR_CODES.PARAM_ERROR, '参数错误'));
+    }
+
+    const injected = takeFailure(method, uid);
+    if (injected) {
+      return res.json(injected);
+    }
+
+    const account = getAccount(uid);
+    if (AUTHENTICATED_METHODS.includes(method) && !tokenValid(account, req.headers.authorization)) {
+      return res.json(fail(MOCK_ERROR_CODES.TOKEN_EXPIRED, 'token失效,请重新登录'));
+    }
+    res.json(handler(account, req.body));
+  });
+
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      scenario: state.scenario,
+      now: new Date(now()).toISOString(),
+      accounts: [...state.accounts.values()].map((account) => ({
+        ...account,
+        tasks: account.tasks.map((task) => taskView(account, task)),
+      })),
+      failures: state.failures,
+      calls: state.calls,
+    });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    try {
+      reset(req.body?.scenario);
+      res.json({ scenario: state.scenario });
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  app.post('/__mock/advance', (req, res) => {
+    advance(Number(req.body?.minutes) || 0);
+    res.json({ now: new Date(now()).toISOString() });
+  });
+
+  app.post('/__mock/expire', (req, res) => {
+    expireToken(req.body?.uid);
+    res.json({ uid: req.body?.uid });
+  });
+
+  app.post('/__mock/fail', (req, res) => {
+    injectFailure(req.body || {});
+    res.json({ failures: state.failures });
+  });
+
+  function advance(minutes) {
+    state.offsetMs += minutes * 60000;
+  }
+
+  function expireToken(uid) {
+    const account = state.accounts.get(String(uid));
+    if (account) {
+      account.token = null;
+    }
+  }
+
+  function injectFailure({ method, code = MOCK_ERROR_CODES.SYSTEM_BUSY, msg, times = 1, uid }) {
+    state.failures.push({ method, code, msg, times, uid });
+  }
+
+  let server = null;
+
+  reset(scenario);
+
+  return {
+    app,
+    state,
+    reset,
+    advance,
+    expireToken,
+    injectFailure,
+    getAccount,
+    callsTo: (method, uid = null) =>
+      state.calls.filter((call) => call.method === method && (uid === null || String(call.uid) === String(uid))),
+
+    /**
+     * @returns {Promise<string>} - base URL to use as API_BASE_URL
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, host, () => {
+          resolve(`http://${host}:${server.address().port}`);
+        });
+        server.on('error', reject);
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        if (!server) {
+          resolve();
+          return;
+        }
+        server.close(() => resolve());
+        server = null;
+      });
+    },
+  };
+}
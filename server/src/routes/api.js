@@ -1,8 +1,35 @@
 import express from 'express';
+import bodyParser from 'body-parser';
 import redisClient from '../utils/redis.js';
 import { logger } from '../utils/logger.js';
 import apiService from '../services/apiService.js';
-import { broadcastToClients, getTaskScheduler } from '../index.js';
+import { AccountSession, DEFAULT_MACHINE_ID } from '../services/accountSession.js';
+import userStore from '../services/userStore.js';
+import runHistory, { createRunId, RUN_TRIGGERS, RUN_STATUSES } from '../services/runHistory.js';
+import runQueue, { RUN_CANCELLED } from '../services/runQueue.js';
+import { normalizeSchedule, getUserSchedule } from '../utils/schedule.js';
+import { normalizeLotteryPolicy, getUserLotteryPolicy } from '../utils/lotteryPolicy.js';
+import { SECRET_FIELDS, isMasked, maskSecrets } from '../utils/secrets.js';
+import { requireRole } from '../middleware/auth.js';
+import notifier, { NOTIFY_EVENTS, CHANNEL_TYPES } from '../services/notifier.js';
+import { TASK_HANDLERS, normalizeTaskHandlers } from '../services/taskRegistry.js';
+import { broadcastToClients } from '../utils/broadcast.js';
+import { extractAccountsFromHar } from '../utils/har.js';
+import {
+  TRANSFER_FORMATS,
+  IMPORT_MODES,
+  exportAccounts,
+  accountsToCsv,
+  parseImport,
+  planImport,
+} from '../services/accountTransfer.js';
+import rewardLedger, { REWARD_ORDER_TYPE, LEDGER_SOURCES } from '../services/rewardLedger.js';
+import rewardExpiry, { REWARD_EXPIRY_HORIZON_DAYS } from '../services/rewardExpiry.js';
+import overview from '../services/overview.js';
+import statsHistory from '../services/statsHistory.js';
+import accountLog, { LOG_LEVELS } from '../services/accountLog.js';
+import health from '../services/health.js';
+import { getTaskScheduler } from '../index.js';
 
 const router = express.Router();
 
@@ -11,11 +38,46 @@ const router = express.Router();
  */
 router.post('/users', async (req, res) => {
   try {
-    let { uid, uuid, flowId, accessKey, token, machineId, platform, phone, isActive } = req.body;
+    let {
+      uid,
+      uuid,
+      flowId,
+      accessKey,
+      token,
+      machineId,
+      platform,
+      phone,
+      isActive,
+      schedule,
+      taskHandlers,
+      lotteryPolicy,
+    } = req.body;
 
     // Ensure uid is an integer
     uid = parseInt(uid, 10);
 
+    const existing = await userStore.getUser(uid);
+
+    // Keep the existing schedule when updating without one
+    if (schedule === undefined) {
+      schedule = existing?.schedule;
+    }
+    if (taskHandlers === undefined) {
+      taskHandlers = existing?.taskHandlers;
+    }
+    if (lotteryPolicy === undefined) {
+      lotteryPolicy = existing?.lotteryPolicy;
+    }
+
+    // Masked values echoed back from GET /users mean "unchanged"
+    const secrets = { accessKey, token, machineId };
+    for (const field of SECRET_FIELDS) {
+      if (isMasked(secrets[field])) {
+        secrets[field] = existing?.[field] ?? null;
+      }
+    }
+    ({ accessKey, token, machineId } = secrets);
+
     if (!uid || !uuid || !flowId || !accessKey) {
       return res.status(400).json({
         code: 400,
@@ -23,17 +85,31 @@ router.post('/users', async (req, res) => {
       });
     }
 
+    try {
+      schedule = normalizeSchedule(schedule);
+      taskHandlers = normalizeTaskHandlers(taskHandlers);
+      lotteryPolicy = normalizeLotteryPolicy(lotteryPolicy);
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
+    }
+
     const user = {
       uid,
       uuid,
       flowId,
       accessKey,
       token: token || null,
-      machineId: machineId || '830504a3-d020-43af-b3e6-4c8690f5d6be',
+      machineId: machineId || DEFAULT_MACHINE_ID,
       platform: platform || 'mac',
       phone,
       isActive: isActive !== false,
-      createdAt: new Date().toISOString(),
+      schedule,
+      taskHandlers,
+      lotteryPolicy,
+      createdAt: existing?.createdAt || new Date().toISOString(),
     };
 
     // If token not provided, try to get login token
@@ -61,35 +137,24 @@ router.post('/users', async (req, res) => {
       logger.info(`[API] User provided token for uid ${uid}`);
     }
 
-    // Save user data
-    await redisClient.set(`user:${uid}`, JSON.stringify(user));
+    // Save user data (also adds it to the users index)
+    await userStore.saveUser(user);
 
-    // Add to users list
-    let users = [];
-    const usersJson = await redisClient.get('config:users');
-    if (usersJson) {
-      users = JSON.parse(usersJson);
-    }
-
-    const existingIndex = users.findIndex((u) => u.uid === uid);
-    if (existingIndex >= 0) {
-      users[existingIndex] = user;
-    } else {
-      users.push(user);
+    const scheduler = getTaskScheduler();
+    if (scheduler) {
+      await scheduler.rescheduleUser(uid);
     }
 
-    await redisClient.set('config:users', JSON.stringify(users));
-
     broadcastToClients({
       type: 'userAdded',
-      user,
+      user: maskSecrets(user),
       timestamp: new Date().toISOString(),
     });
 
     res.json({
       code: 0,
       message: 'User configured successfully',
-      data: user,
+      data: maskSecrets(user),
     });
   } catch (error) {
     logger.error('Failed to add user:', error);
@@ -100,17 +165,277 @@ router.post('/users', async (req, res) => {
   }
 });
 
+// HAR captures are far larger than the global JSON limit; send them as application/har+json
+const harParser = bodyParser.json({ type: ['application/har+json', 'application/json'], limit: '50mb' });
+
+/**
+ * Import accounts from a HAR capture
+ * Body: the HAR document. ?preview=true only reports what was found;
+ * otherwise the accounts listed in ?uids=1,2 (default: every complete one) are created or updated.
+ */
+router.post('/users/import-har', harParser, async (req, res) => {
+  try {
+    let extracted;
+    try {
+      extracted = extractAccountsFromHar(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
+    }
+
+    const existingUids = new Set((await userStore.listUsers()).map((user) => user.uid));
+    const accounts = extracted.accounts.map((account) => ({
+      ...account,
+      exists: existingUids.has(account.uid),
+    }));
+
+    if (req.query.preview === 'true') {
+      return res.json({
+        code: 0,
+        data: {
+          entries: extracted.entries,
+          requests: extracted.requests,
+          accounts: accounts.map(maskSecrets),
+        },
+      });
+    }
+
+    const selected = req.query.uids
+      ? new Set(String(req.query.uids).split(',').map((uid) => parseInt(uid, 10)))
+      : null;
+    const results = [];
+
+    for (const account of accounts) {
+      if (selected && !selected.has(account.uid)) {
+        continue;
+      }
+      if (account.missing.length > 0) {
+        results.push({ uid: account.uid, status: 'skipped', reason: `Missing ${account.missing.join(', ')}` });
+        continue;
+      }
+
+      // Only what the capture provides; schedule, handlers and phone stay as configured
+      const credentials = {
+        uuid: account.uuid,
+        flowId: account.flowId,
+        accessKey: account.accessKey,
+        ...(account.machineId && { machineId: account.machineId }),
+        ...(account.platform && { platform: account.platform }),
+        ...(account.token && {
+          token: account.token,
+          tokenUpdatedAt: account.tokenSeenAt || new Date().toISOString(),
+        }),
+      };
+
+      let user;
+      if (account.exists && (await userStore.updateUser(account.uid, credentials))) {
+        user = await userStore.getUser(account.uid);
+      } else {
+        user = {
+          uid: account.uid,
+          machineId: DEFAULT_MACHINE_ID,
+          platform: 'mac',
+          token: null,
+          ...credentials,
+          isActive: true,
+          schedule: normalizeSchedule(undefined),
+          taskHandlers: normalizeTaskHandlers(undefined),
+          lotteryPolicy: normalizeLotteryPolicy(undefined),
+          createdAt: new Date().toISOString(),
+        };
+        await userStore.saveUser(user);
+      }
+
+      const scheduler = getTaskScheduler();
+      if (scheduler) {
+        await scheduler.rescheduleUser(account.uid);
+      }
+
+      broadcastToClients({
+        type: account.exists ? 'userUpdated' : 'userAdded',
+        user: maskSecrets(user),
+        timestamp: new Date().toISOString(),
+      });
+      results.push({ uid: account.uid, status: account.exists ? 'updated' : 'created' });
+    }
+
+    const imported = results.filter((result) => result.status !== 'skipped').length;
+    logger.info(`[HAR Import] "${req.auth.username}" imported ${imported} account(s) from ${extracted.entries} entries`);
+
+    res.json({
+      code: 0,
+      message: `Imported ${imported} account(s)`,
+      data: results,
+    });
+  } catch (error) {
+    logger.error('Failed to import HAR:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Export every account as JSON or CSV
+ * Query: format (json/csv), secrets=true also exports accessKey, token and machineId (admin only, audited)
+ */
+router.get('/users/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const includeSecrets = req.query.secrets === 'true';
+
+    if (!TRANSFER_FORMATS.includes(format)) {
+      return res.status(400).json({
+        code: 400,
+        message: `Invalid format, expected one of: ${TRANSFER_FORMATS.join(', ')}`,
+      });
+    }
+
+    if (includeSecrets && req.auth.role !== 'admin') {
+      return res.status(403).json({
+        code: 403,
+        message: 'Requires role: admin',
+      });
+    }
+
+    const accounts = exportAccounts(await userStore.listUsers(), { includeSecrets });
+    if (includeSecrets) {
+      logger.warn(`[Secrets] "${req.auth.username}" exported secrets of ${accounts.length} account(s)`);
+    }
+
+    const exportedAt = new Date().toISOString();
+    res.attachment(`fufuhub-accounts-${exportedAt.slice(0, 10)}.${format}`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(accountsToCsv(accounts));
+    }
+    res.json({ exportedAt, includesSecrets: includeSecrets, accounts });
+  } catch (error) {
+    logger.error('Failed to export users:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+// JSON bodies go through the global parser; CSV arrives as text
+const csvParser = bodyParser.text({ type: 'text/csv', limit: '5mb' });
+
+/**
+ * Import accounts from JSON (an export document or an array) or CSV (Content-Type: text/csv)
+ * Query: mode (merge/replace, default merge), preview=true only validates and reports per-row results.
+ * Otherwise the valid rows are saved and invalid ones are reported without being imported.
+ */
+router.post('/users/import', csvParser, async (req, res) => {
+  try {
+    const mode = req.query.mode || 'merge';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        code: 400,
+        message: `Invalid mode, expected one of: ${IMPORT_MODES.join(', ')}`,
+      });
+    }
+
+    let rows;
+    try {
+      rows = parseImport(req.body, req.is('text/csv') ? 'csv' : 'json');
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
+    }
+
+    const plan = planImport(rows, await userStore.listUsers(), { mode });
+    const report = (items) => ({ ...plan, items: items.map(({ user, ...item }) => item) });
+
+    if (req.query.preview === 'true') {
+      return res.json({
+        code: 0,
+        data: report(plan.items),
+      });
+    }
+
+    const scheduler = getTaskScheduler();
+    const items = [];
+    for (const item of plan.items) {
+      const { user } = item;
+      if (item.action === 'create' || (item.action === 'update' && mode === 'replace')) {
+        await userStore.saveUser(user);
+      } else if (item.action === 'update') {
+        // Merge touches only the changed fields, like every other partial update
+        const fields = [...item.changes, ...(item.changes.includes('token') ? ['tokenUpdatedAt'] : [])];
+        if (!(await userStore.updateUser(user.uid, Object.fromEntries(fields.map((field) => [field, user[field]]))))) {
+          items.push({ ...item, action: 'invalid', errors: ['User was deleted during the import'] });
+          continue;
+        }
+      } else {
+        items.push(item);
+        continue;
+      }
+
+      if (scheduler) {
+        await scheduler.rescheduleUser(user.uid);
+      }
+      broadcastToClients({
+        type: item.action === 'create' ? 'userAdded' : 'userUpdated',
+        user: maskSecrets(await userStore.getUser(user.uid)),
+        timestamp: new Date().toISOString(),
+      });
+      items.push(item);
+    }
+
+    const imported = items.filter((item) => item.action === 'create' || item.action === 'update').length;
+    logger.info(`[Import] "${req.auth.username}" imported ${imported} of ${plan.total} account row(s) (${mode})`);
+
+    res.json({
+      code: 0,
+      message: `Imported ${imported} account(s)`,
+      data: report(items),
+    });
+  } catch (error) {
+    logger.error('Failed to import users:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Overview of every account: token age, last run, today's tasks, points, streak,
+ * lottery tickets and unused reward minutes, plus totals (no upstream calls)
+ */
+router.get('/overview', async (req, res) => {
+  try {
+    const data = await overview.build();
+
+    res.json({
+      code: 0,
+      data,
+    });
+  } catch (error) {
+    logger.error('Failed to build overview:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Get all users
  */
 router.get('/users', async (req, res) => {
   try {
-    const usersJson = await redisClient.get('config:users');
-    const users = usersJson ? JSON.parse(usersJson) : [];
+    const users = await userStore.listUsers();
 
     res.json({
       code: 0,
-      data: users,
+      data: users.map(maskSecrets),
     });
   } catch (error) {
     logger.error('Failed to get users:', error);
@@ -128,9 +453,9 @@ router.get('/users/:uid', async (req, res) => {
   try {
     let { uid } = req.params;
     uid = parseInt(uid, 10);
-    const userData = await redisClient.get(`user:${uid}`);
+    const user = await userStore.getUser(uid);
 
-    if (!userData) {
+    if (!user) {
       return res.status(404).json({
         code: 404,
         message: 'User not found',
@@ -139,7 +464,7 @@ router.get('/users/:uid', async (req, res) => {
 
     res.json({
       code: 0,
-      data: JSON.parse(userData),
+      data: maskSecrets(user),
     });
   } catch (error) {
     logger.error('Failed to get user:', error);
@@ -150,6 +475,37 @@ router.get('/users/:uid', async (req, res) => {
   }
 });
 
+/**
+ * Reveal a user's unmasked secrets (admin only, audited)
+ */
+router.get('/users/:uid/secrets', requireRole('admin'), async (req, res) => {
+  try {
+    let { uid } = req.params;
+    uid = parseInt(uid, 10);
+    const user = await userStore.getUser(uid);
+
+    if (!user) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    logger.warn(`[Secrets] "${req.auth.username}" revealed secrets of user ${uid}`);
+
+    res.json({
+      code: 0,
+      data: Object.fromEntries(SECRET_FIELDS.map((field) => [field, user[field] ?? null])),
+    });
+  } catch (error) {
+    logger.error('Failed to reveal user secrets:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Get user tasks
  */
@@ -183,128 +539,40 @@ router.get('/users/:uid/info', async (req, res) => {
     let { uid } = req.params;
     uid = parseInt(uid, 10);
 
-    const userData = await redisClient.get(`user:${uid}`);
-    if (!userData) {
+    const session = await AccountSession.load(uid);
+    if (!session) {
       return res.status(404).json({
         code: 404,
         message: 'User not found',
       });
     }
 
-    const user = JSON.parse(userData);
-
     // Get user info from API
-    let userInfo;
-    try {
-      userInfo = await apiService.getUserInfo(
-        user.flowId,
-        user.uuid,
-        user.uid,
-        user.token,
-        user.accessKey,
-        user.machineId,
-        user.platform || 'mac'
-      );
-    } catch (error) {
-      // If token expired, refresh and retry once
-      if (error.message === 'TOKEN_EXPIRED') {
-        logger.warn(`[Get Info] Token expired for user ${uid}, refreshing and retrying...`);
-        
-        // Refresh token from scheduler
-        const scheduler = getTaskScheduler();
-        if (scheduler) {
-          const updatedUserData = await scheduler.refreshUserToken(user);
-          user.token = updatedUserData.token;
-        }
-
-        // Retry the getUserInfo call
-        userInfo = await apiService.getUserInfo(
-          user.flowId,
-          user.uuid,
-          user.uid,
-          user.token,
-          user.accessKey,
-          user.machineId,
-          user.platform || 'mac'
-        );
-      } else {
-        throw error;
-      }
-    }
+    const userInfo = await session.getUserInfo();
+    await overview.recordUserInfo(uid, userInfo);
 
     // Also fetch latest tasks to update task status
-    let tasks;
     try {
-      tasks = await apiService.getActivityTasks(
-        user.flowId,
-        user.uid,
-        user.uuid,
-        user.accessKey,
-        user.token,
-        user.machineId,
-        user.platform || 'mac'
-      );
-      
+      const tasks = await session.getActivityTasks();
+
       // Save tasks to Redis with updated status
-      await redisClient.set(`tasks:${user.uid}`, JSON.stringify(tasks));
+      await redisClient.set(`tasks:${uid}`, JSON.stringify(tasks));
       await redisClient.set(
-        `tasks:${user.uid}:fetchedAt`,
+        `tasks:${uid}:fetchedAt`,
         new Date().toISOString()
       );
-      
+
       logger.info(`[Get Info] Updated ${tasks.length} tasks for user ${uid}`);
-      
+
       broadcastToClients({
         type: 'tasksUpdated',
-        uid: user.uid,
+        uid,
         tasks,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      // If token expired during task fetch, refresh and retry once
-      if (error.message === 'TOKEN_EXPIRED') {
-        logger.warn(`[Get Info] Token expired during task fetch for user ${uid}, refreshing and retrying...`);
-        
-        const scheduler = getTaskScheduler();
-        if (scheduler) {
-          const updatedUserData = await scheduler.refreshUserToken(user);
-          user.token = updatedUserData.token;
-        }
-
-        // Retry tasks fetch
-        try {
-          tasks = await apiService.getActivityTasks(
-            user.flowId,
-            user.uid,
-            user.uuid,
-            user.accessKey,
-            user.token,
-            user.machineId,
-            user.platform || 'mac'
-          );
-          
-          await redisClient.set(`tasks:${user.uid}`, JSON.stringify(tasks));
-          await redisClient.set(
-            `tasks:${user.uid}:fetchedAt`,
-            new Date().toISOString()
-          );
-          
-          logger.info(`[Get Info] Updated ${tasks.length} tasks for user ${uid} (after retry)`);
-          
-          broadcastToClients({
-            type: 'tasksUpdated',
-            uid: user.uid,
-            tasks,
-            timestamp: new Date().toISOString(),
-          });
-        } catch (retryError) {
-          logger.warn(`[Get Info] Failed to fetch tasks after retry: ${retryError.message}`);
-          // Don't fail the entire request, just log the warning
-        }
-      } else {
-        logger.warn(`[Get Info] Failed to fetch tasks: ${error.message}`);
-        // Don't fail the entire request, just log the warning
-      }
+      logger.warn(`[Get Info] Failed to fetch tasks: ${error.message}`);
+      // Don't fail the entire request, just log the warning
     }
 
     res.json({
@@ -321,21 +589,39 @@ router.get('/users/:uid/info', async (req, res) => {
 });
 
 /**
- * Get execution logs
+ * Get user schedule with next fire times
  */
-router.get('/users/:uid/logs', async (req, res) => {
+router.get('/users/:uid/schedule', async (req, res) => {
   try {
     let { uid } = req.params;
     uid = parseInt(uid, 10);
-    const logsJson = await redisClient.get(`logs:${uid}`);
-    const logs = logsJson ? JSON.parse(logsJson) : [];
+
+    const user = await userStore.getUser(uid);
+    if (!user) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    const scheduler = getTaskScheduler();
+    const nextRuns = scheduler
+      ? scheduler.getScheduledRuns().filter((run) => run.uid === uid)
+      : [];
+    const followUp = scheduler
+      ? scheduler.getFollowUps().find((entry) => entry.uid === uid) || null
+      : null;
 
     res.json({
       code: 0,
-      data: logs,
+      data: {
+        schedule: getUserSchedule(user),
+        nextRuns,
+        followUp,
+      },
     });
   } catch (error) {
-    logger.error('Failed to get logs:', error);
+    logger.error('Failed to get schedule:', error);
     res.status(500).json({
       code: 500,
       message: error.message,
@@ -344,41 +630,59 @@ router.get('/users/:uid/logs', async (req, res) => {
 });
 
 /**
- * Manually refresh user token
+ * Replace user schedule
+ * Body: { schedule: [{ time: 'HH:mm', windowMinutes, jitterSeconds }] }
  */
-router.post('/users/:uid/refresh-token', async (req, res) => {
+router.put('/users/:uid/schedule', async (req, res) => {
   try {
     let { uid } = req.params;
     uid = parseInt(uid, 10);
 
-    const userData = await redisClient.get(`user:${uid}`);
-    if (!userData) {
+    const user = await userStore.getUser(uid);
+    if (!user) {
       return res.status(404).json({
         code: 404,
         message: 'User not found',
       });
     }
 
-    const user = JSON.parse(userData);
-    const loginResult = await apiService.checkLogin(
+    let schedule;
+    try {
+      schedule = normalizeSchedule(req.body.schedule ?? []);
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
+    }
+
+    user.schedule = schedule;
+    await userStore.updateUser(uid, { schedule });
+    await accountLog.write(
       uid,
-      user.platform || 'mac',
-      user.accessKey,
-      user.machineId,
-      user.token
+      `🗓️ 执行计划已由 ${req.auth.username} 更新 (Schedule updated: ${schedule.map((run) => run.time).join(', ') || 'none'})`,
+      'info',
+      { source: 'manual' }
     );
-    user.token = loginResult.token;
-    user.tokenUpdatedAt = new Date().toISOString();
 
-    await redisClient.set(`user:${uid}`, JSON.stringify(user));
+    const scheduler = getTaskScheduler();
+    if (scheduler) {
+      await scheduler.rescheduleUser(uid);
+    }
+
+    broadcastToClients({
+      type: 'userUpdated',
+      user: maskSecrets(user),
+      timestamp: new Date().toISOString(),
+    });
 
     res.json({
       code: 0,
-      message: 'Token refreshed successfully',
-      data: user,
+      message: 'Schedule updated successfully',
+      data: { schedule },
     });
   } catch (error) {
-    logger.error('Failed to refresh token:', error);
+    logger.error('Failed to update schedule:', error);
     res.status(500).json({
       code: 500,
       message: error.message,
@@ -387,124 +691,540 @@ router.post('/users/:uid/refresh-token', async (req, res) => {
 });
 
 /**
- * Get user rewards (order_type=101 only)
- * Returns rewards grouped by expiry date with total duration
+ * Available task handlers and the task types they handle by default
  */
-router.get('/users/:uid/rewards', async (req, res) => {
+router.get('/tasks/handlers', (req, res) => {
+  res.json({
+    code: 0,
+    data: Object.values(TASK_HANDLERS).map(({ name, label, taskTypes, taskIds }) => ({
+      name,
+      label,
+      taskTypes,
+      taskIds: taskIds || [],
+    })),
+  });
+});
+
+/**
+ * Replace the task handler overrides of a user
+ * Body: { taskHandlers: { tasks: { [taskId]: name|false }, types: { [taskType]: name|false } } }
+ */
+router.put('/users/:uid/task-handlers', async (req, res) => {
   try {
     let { uid } = req.params;
     uid = parseInt(uid, 10);
 
-    const userData = await redisClient.get(`user:${uid}`);
-    if (!userData) {
+    const user = await userStore.getUser(uid);
+    if (!user) {
       return res.status(404).json({
         code: 404,
         message: 'User not found',
       });
     }
 
-    const user = JSON.parse(userData);
-    let orderData;
-
+    let taskHandlers;
     try {
-      orderData = await apiService.getOrderHistory(
-        user.flowId,
-        user.uid,
-        user.uuid,
-        user.accessKey,
-        user.token,
-        user.machineId,
-        user.platform
-      );
+      taskHandlers = normalizeTaskHandlers(req.body.taskHandlers);
     } catch (error) {
-      // If token expired, refresh and retry once
-      if (error.message === 'TOKEN_EXPIRED') {
-        logger.warn(`[Get Rewards] Token expired for user ${uid}, refreshing and retrying...`);
-        
-        // Refresh token from scheduler
-        const scheduler = getTaskScheduler();
-        if (scheduler) {
-          const updatedUserData = await scheduler.refreshUserToken(user);
-          user.token = updatedUserData.token;
-        }
-
-        // Retry the order history call
-        orderData = await apiService.getOrderHistory(
-          user.flowId,
-          user.uid,
-          user.uuid,
-          user.accessKey,
-          user.token,
-          user.machineId,
-          user.platform
-        );
-      } else {
-        throw error;
-      }
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
     }
 
-    // Filter only order_type = 101 (task rewards)
-    let taskRewards = (orderData.order_list || []).filter(order => order.order_type === 101);
-    
-    // Only keep the most recent reward (limit to 5)
-    if (taskRewards.length > 1) {
-      taskRewards = taskRewards.slice(0, 5);
-    }
-    
-    logger.info(`[Get Rewards] Filtered to most recent reward: ${taskRewards.length}`);
+    user.taskHandlers = taskHandlers;
+    await userStore.updateUser(uid, { taskHandlers });
+    await accountLog.write(uid, `🧩 任务处理器已由 ${req.auth.username} 更新 (Task handlers updated)`, 'info', {
+      source: 'manual',
+    });
 
-    // Group by sale_duration and calculate total minutes
-    const rewardsByExpiry = {};
-    taskRewards.forEach(order => {
-      const expiryDate = order.sale_duration;
-      if (!rewardsByExpiry[expiryDate]) {
+    broadcastToClients({
+      type: 'userUpdated',
+      user: maskSecrets(user),
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({
+      code: 0,
+      message: 'Task handlers updated successfully',
+      data: { taskHandlers },
+    });
+  } catch (error) {
+    logger.error('Failed to update task handlers:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get the lottery policy of a user (the default for accounts without one)
+ */
+router.get('/users/:uid/lottery-policy', async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid, 10);
+    const user = await userStore.getUser(uid);
+    if (!user) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      code: 0,
+      data: { lotteryPolicy: getUserLotteryPolicy(user) },
+    });
+  } catch (error) {
+    logger.error('Failed to get lottery policy:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Replace the lottery policy of a user
+ * Body: { lotteryPolicy: { enabled, reserve, runNumber, dailyCap, drawType } }
+ */
+router.put('/users/:uid/lottery-policy', async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid, 10);
+    const user = await userStore.getUser(uid);
+    if (!user) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    let lotteryPolicy;
+    try {
+      lotteryPolicy = normalizeLotteryPolicy(req.body.lotteryPolicy);
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
+    }
+
+    user.lotteryPolicy = lotteryPolicy;
+    await userStore.updateUser(uid, { lotteryPolicy });
+    await accountLog.write(
+      uid,
+      `🎰 抽奖策略已由 ${req.auth.username} 更新 (Lottery policy updated: ${JSON.stringify(lotteryPolicy)})`,
+      'info',
+      { source: 'manual' }
+    );
+
+    broadcastToClients({
+      type: 'userUpdated',
+      user: maskSecrets(user),
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({
+      code: 0,
+      message: 'Lottery policy updated successfully',
+      data: { lotteryPolicy },
+    });
+  } catch (error) {
+    logger.error('Failed to update lottery policy:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Query the account's log, newest first
+ * Query: level (comma-separated info/success/warning/error), runId, taskId, q (text search),
+ *        from, to (ISO date), page (1-based), pageSize (max 200)
+ */
+router.get('/users/:uid/logs', async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid, 10);
+    const { runId, q, from, to } = req.query;
+    const level = req.query.level ? String(req.query.level).split(',') : null;
+    const taskId = req.query.taskId ? parseInt(req.query.taskId, 10) : null;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    if (level && level.some((entry) => !LOG_LEVELS.includes(entry))) {
+      return res.status(400).json({
+        code: 400,
+        message: `Invalid level, expected one of: ${LOG_LEVELS.join(', ')}`,
+      });
+    }
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        code: 400,
+        message: 'Invalid from/to date',
+      });
+    }
+
+    const result = await accountLog.query({ uid, level, runId, taskId, q, from, to, page, pageSize });
+
+    res.json({
+      code: 0,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Failed to get logs:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Manually refresh user token
+ */
+router.post('/users/:uid/refresh-token', async (req, res) => {
+  try {
+    let { uid } = req.params;
+    uid = parseInt(uid, 10);
+
+    const session = await AccountSession.load(uid);
+    if (!session) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    await accountLog.write(uid, `🔑 ${req.auth.username} 手动刷新 Token (Manual token refresh)`, 'info', {
+      source: 'manual',
+    });
+    const user = await session.refreshToken();
+
+    res.json({
+      code: 0,
+      message: 'Token refreshed successfully',
+      data: maskSecrets(user),
+    });
+  } catch (error) {
+    logger.error('Failed to refresh token:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Points, sign-in streak and completed tasks after each run, oldest first
+ * Query: from, to (ISO date, default the last 30 days)
+ */
+router.get('/users/:uid/history', async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid, 10);
+    const { from, to } = req.query;
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        code: 400,
+        message: 'Invalid from/to date',
+      });
+    }
+
+    const user = await userStore.getUser(uid);
+    if (!user) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    const history = await statsHistory.query(uid, { from, to });
+
+    res.json({
+      code: 0,
+      data: history,
+    });
+  } catch (error) {
+    logger.error('Failed to get user history:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get user rewards (order_type=101 only)
+ * Returns rewards grouped by expiry date with total duration
+ */
+router.get('/users/:uid/rewards', async (req, res) => {
+  try {
+    let { uid } = req.params;
+    uid = parseInt(uid, 10);
+
+    const session = await AccountSession.load(uid);
+    if (!session) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    // Pull new orders into the ledger; fall back to what is stored when upstream fails
+    try {
+      await rewardLedger.sync(session);
+    } catch (error) {
+      logger.warn(`[Get Rewards] Order history sync failed for user ${uid}, using the ledger: ${error.message}`);
+    }
+
+    // Most recent task rewards (order_type = 101)
+    const { items: taskRewards } = await rewardLedger.query({
+      uid,
+      source: 'order',
+      type: REWARD_ORDER_TYPE,
+      pageSize: 5,
+    });
+
+    // Group by expiry date (sale_duration) and calculate total minutes
+    const rewardsByExpiry = {};
+    taskRewards.forEach((order) => {
+      const expiryDate = order.expiryDate;
+      if (!rewardsByExpiry[expiryDate]) {
         rewardsByExpiry[expiryDate] = {
           expiryDate,
           rewards: [],
           totalMinutes: 0,
         };
       }
-      
-      // Extract minutes from sale_name (e.g., "15分钟卡" -> 15, "1小时卡" -> 60)
-      let minutes = 0;
-      const minutesMatch = order.sale_name.match(/(\d+)分钟/);
-      const hoursMatch = order.sale_name.match(/(\d+)小时/);
-      
-      if (minutesMatch) {
-        minutes = parseInt(minutesMatch[1]);
-      } else if (hoursMatch) {
-        minutes = parseInt(hoursMatch[1]) * 60;
-      }
-      
+
       rewardsByExpiry[expiryDate].rewards.push({
         id: order.id,
-        saleName: order.sale_name,
-        minutes: minutes,
-        payType: order.pay_type,
+        saleName: order.saleName,
+        minutes: order.minutes,
+        payType: order.payType,
         state: order.state,
-        orderTime: order.order_time,
+        orderTime: order.orderTime,
       });
-      
-      rewardsByExpiry[expiryDate].totalMinutes += minutes;
+
+      rewardsByExpiry[expiryDate].totalMinutes += order.minutes;
+    });
+
+    // Convert to array and sort by expiry date (oldest first)
+    const rewardsList = Object.values(rewardsByExpiry).sort((a, b) => {
+      return new Date(a.expiryDate) - new Date(b.expiryDate);
+    });
+
+    logger.info(`[Get Rewards] Retrieved ${taskRewards.length} task rewards (101) for user ${uid}`);
+
+    res.json({
+      code: 0,
+      message: 'Rewards retrieved successfully',
+      data: {
+        totalRewards: taskRewards.length,
+        rewardsByExpiry: rewardsList,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to get rewards:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Pull the order history into the reward ledger now
+ */
+router.post('/users/:uid/rewards/sync', async (req, res) => {
+  try {
+    let { uid } = req.params;
+    uid = parseInt(uid, 10);
+
+    const session = await AccountSession.load(uid);
+    if (!session) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    const state = await rewardLedger.sync(session);
+
+    res.json({
+      code: 0,
+      message: `Synced ${state.added} new and ${state.updated} updated order(s)`,
+      data: state,
+    });
+  } catch (error) {
+    logger.error('Failed to sync rewards:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+// uid / from / to filters shared by the ledger queries
+function parseLedgerFilters(query) {
+  if ((query.from && Number.isNaN(Date.parse(query.from))) || (query.to && Number.isNaN(Date.parse(query.to)))) {
+    return { error: 'Invalid from/to date' };
+  }
+  return {
+    filters: {
+      uid: query.uid ? parseInt(query.uid, 10) : null,
+      from: query.from,
+      to: query.to,
+    },
+  };
+}
+
+/**
+ * Query the reward ledger (orders and drawn prizes), newest first
+ * Query: uid, source (order|prize), type (order_type), from, to, page, pageSize
+ */
+router.get('/rewards', async (req, res) => {
+  try {
+    const { filters, error } = parseLedgerFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error,
+      });
+    }
+
+    const { source } = req.query;
+    if (source && !LEDGER_SOURCES.includes(source)) {
+      return res.status(400).json({
+        code: 400,
+        message: `Invalid source, expected one of: ${LEDGER_SOURCES.join(', ')}`,
+      });
+    }
+
+    const type = req.query.type !== undefined ? parseInt(req.query.type, 10) : undefined;
+    if (Number.isNaN(type)) {
+      return res.status(400).json({
+        code: 400,
+        message: 'Invalid type',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    const result = await rewardLedger.query({ ...filters, source, type, page, pageSize });
+
+    res.json({
+      code: 0,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Failed to query rewards:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Reward cards expiring soon, across all accounts (result of the last scan)
+ */
+router.get('/rewards/expiring', async (req, res) => {
+  try {
+    const latest = await rewardExpiry.getLatest();
+
+    res.json({
+      code: 0,
+      data: latest || { scannedAt: null, horizonDays: REWARD_EXPIRY_HORIZON_DAYS, items: [], errors: [] },
+    });
+  } catch (error) {
+    logger.error('Failed to get expiring rewards:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Sync every account's order history and rescan for expiring cards now
+ */
+router.post('/rewards/expiring/scan', async (req, res) => {
+  try {
+    const scheduler = getTaskScheduler();
+    const result = await rewardExpiry.scan({
+      log: scheduler ? (message, type) => scheduler.addSystemLog(message, type) : null,
+    });
+
+    res.json({
+      code: 0,
+      message: `${result.items.length} card(s) expiring within ${result.horizonDays} day(s)`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Failed to scan expiring rewards:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Card minutes earned per month
+ * Query: uid, from, to
+ */
+router.get('/rewards/monthly', async (req, res) => {
+  try {
+    const { filters, error } = parseLedgerFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error,
+      });
+    }
+
+    const months = await rewardLedger.monthlyTotals(filters);
+
+    res.json({
+      code: 0,
+      data: months,
     });
-
-    // Convert to array and sort by expiry date (oldest first)
-    const rewardsList = Object.values(rewardsByExpiry).sort((a, b) => {
-      return new Date(a.expiryDate) - new Date(b.expiryDate);
+  } catch (error) {
+    logger.error('Failed to get monthly rewards:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
     });
+  }
+});
 
-    logger.info(`[Get Rewards] Retrieved ${taskRewards.length} task rewards (101) for user ${uid}`);
+/**
+ * Distribution of drawn prizes
+ * Query: uid, from, to
+ */
+router.get('/rewards/prizes/stats', async (req, res) => {
+  try {
+    const { filters, error } = parseLedgerFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error,
+      });
+    }
+
+    const stats = await rewardLedger.prizeStats(filters);
 
     res.json({
       code: 0,
-      message: 'Rewards retrieved successfully',
-      data: {
-        totalRewards: taskRewards.length,
-        rewardsByExpiry: rewardsList,
-      },
+      data: stats,
     });
   } catch (error) {
-    logger.error('Failed to get rewards:', error);
+    logger.error('Failed to get prize stats:', error);
     res.status(500).json({
       code: 500,
       message: error.message,
@@ -520,21 +1240,26 @@ router.delete('/users/:uid', async (req, res) => {
     let { uid } = req.params;
     uid = parseInt(uid, 10);
 
-    // Remove user data
-    await redisClient.del(`user:${uid}`);
-    await redisClient.del(`tasks:${uid}`);
-    await redisClient.del(`logs:${uid}`);
-    await redisClient.del(`token:${uid}:lastRefresh`);
+    await userStore.deleteUser(uid);
 
-    // Remove from users list
-    let users = [];
-    const usersJson = await redisClient.get('config:users');
-    if (usersJson) {
-      users = JSON.parse(usersJson);
-      users = users.filter((u) => u.uid !== uid);
-      await redisClient.set('config:users', JSON.stringify(users));
+    // Stop the scheduler first: a running run is cancelled and waited for,
+    // so nothing it writes outlives the cleanup below
+    const scheduler = getTaskScheduler();
+    if (scheduler) {
+      // Drops timers, the pending follow-up, queued and running runs, run records and daily counters
+      await scheduler.rescheduleUser(uid);
     }
 
+    // Remove user data
+    await redisClient.del([`tasks:${uid}`, `tasks:${uid}:fetchedAt`]);
+    await accountLog.deleteUser(uid);
+    await redisClient.del(`token:${uid}:lastRefresh`);
+    await runHistory.deleteUser(uid);
+    await rewardLedger.deleteUser(uid);
+    await rewardExpiry.deleteUser(uid);
+    await overview.deleteUser(uid);
+    await statsHistory.deleteUser(uid);
+
     broadcastToClients({
       type: 'userRemoved',
       uid: uid,
@@ -557,13 +1282,14 @@ router.delete('/users/:uid', async (req, res) => {
 /**
  * Manually trigger task completion
  * Auto-retry with token refresh on TOKEN_EXPIRED
+ * Goes through the run queue so it never overlaps a run of the same account (409 while one is running)
  */
 router.post('/users/:uid/tasks/:taskId/complete', async (req, res) => {
   try {
     const { uid, taskId } = req.params;
 
-    const userData = await redisClient.get(`user:${uid}`);
-    if (!userData) {
+    const session = await AccountSession.load(uid);
+    if (!session) {
       return res.status(404).json({
         code: 404,
         message: 'User not found',
@@ -581,43 +1307,38 @@ router.post('/users/:uid/tasks/:taskId/complete', async (req, res) => {
       });
     }
 
-    const user = JSON.parse(userData);
-    let result;
+    if (runQueue.isBusy(session.uid)) {
+      return res.status(409).json({
+        code: 409,
+        message: 'A run is in progress for this user, try again when it has finished',
+      });
+    }
 
+    const context = { taskId: task.task_id, source: 'manual' };
+    let result;
     try {
-      result = await apiService.completeTask(
-        user.flowId,
-        user.uid,
-        user.uuid,
-        user.accessKey,
-        task.task_id,
-        user.token
-      );
+      result = await runQueue.enqueue({
+        id: createRunId(),
+        uid: session.uid,
+        trigger: 'complete-task',
+        execute: () => session.completeTask(task.task_id),
+      });
     } catch (error) {
-      // If token expired, refresh and retry once
-      if (error.message === 'TOKEN_EXPIRED') {
-        logger.warn(`[Manual Complete] Token expired for user ${uid}, refreshing and retrying...`);
-        
-        // Refresh token from scheduler
-        const scheduler = getTaskScheduler();
-        if (scheduler) {
-          const updatedUserData = await scheduler.refreshUserToken(user);
-          user.token = updatedUserData.token;
-        }
-
-        // Retry the complete task call
-        result = await apiService.completeTask(
-          user.flowId,
-          user.uid,
-          user.uuid,
-          user.accessKey,
-          task.task_id,
-          user.token
-        );
-      } else {
-        throw error;
+      if (error.message === RUN_CANCELLED) {
+        return res.status(409).json({
+          code: 409,
+          message: 'Task completion was cancelled',
+        });
       }
+      await accountLog.write(session.uid, `❌ 手动完成任务失败 ${task.task_id}: ${error.message}`, 'error', context);
+      throw error;
     }
+    await accountLog.write(
+      session.uid,
+      `✅ 任务 ${task.task_id} 已由 ${req.auth.username} 手动完成 (Task ${task.task_id} completed manually)`,
+      'success',
+      context
+    );
 
     res.json({
       code: 0,
@@ -640,7 +1361,7 @@ router.post('/scheduler/start', async (req, res) => {
   try {
     const scheduler = getTaskScheduler();
     if (scheduler) {
-      scheduler.start();
+      await scheduler.start();
       logger.info('Task Scheduler started');
       res.json({
         code: 0,
@@ -668,7 +1389,7 @@ router.post('/scheduler/stop', async (req, res) => {
   try {
     const scheduler = getTaskScheduler();
     if (scheduler) {
-      scheduler.stop();
+      await scheduler.stop();
       logger.info('Task Scheduler stopped');
       res.json({
         code: 0,
@@ -701,6 +1422,9 @@ router.get('/scheduler/status', async (req, res) => {
         data: {
           isRunning: scheduler.isRunning,
           status: scheduler.isRunning ? 'running' : 'stopped',
+          timezone: scheduler.timezone,
+          scheduledRuns: scheduler.getScheduledRuns(),
+          followUps: scheduler.getFollowUps(),
         },
       });
     } else {
@@ -718,6 +1442,145 @@ router.get('/scheduler/status', async (req, res) => {
   }
 });
 
+/**
+ * Readiness with per-account detail: token age, last run and last successful run
+ * (the unauthenticated /health/ready only reports counts)
+ */
+router.get('/health', async (req, res) => {
+  try {
+    res.json({
+      code: 0,
+      data: await health.readiness(getTaskScheduler(), { details: true }),
+    });
+  } catch (error) {
+    logger.error('Failed to get health details:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Runs executing and waiting in the run queue
+ */
+router.get('/queue', (req, res) => {
+  res.json({
+    code: 0,
+    data: runQueue.list(),
+  });
+});
+
+/**
+ * Cancel a run: a queued run is dropped, a running run stops before its next step
+ */
+router.delete('/queue/:runId', async (req, res) => {
+  try {
+    const job = runQueue.cancel(req.params.runId);
+
+    if (!job) {
+      return res.status(404).json({
+        code: 404,
+        message: 'Run not found in the queue',
+      });
+    }
+
+    await accountLog.write(
+      job.uid,
+      `🛑 ${req.auth.username} 取消了执行 (Run ${job.state === 'cancelled' ? 'removed from the queue' : 'cancellation requested'})`,
+      'warning',
+      { runId: job.id, source: 'manual' }
+    );
+
+    res.json({
+      code: 0,
+      message: job.state === 'cancelled' ? 'Queued run cancelled' : 'Run will stop before its next step',
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Failed to cancel run:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Query execution history
+ * Query: uid, trigger (scheduled/catch-up/manual), status (running/success/partial/failed/cancelled),
+ *        from, to (ISO date), page (1-based), pageSize (max 100)
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { trigger, status, from, to } = req.query;
+    const uid = req.query.uid ? parseInt(req.query.uid, 10) : null;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), 100);
+
+    if (trigger && !RUN_TRIGGERS.includes(trigger)) {
+      return res.status(400).json({
+        code: 400,
+        message: `Invalid trigger, expected one of: ${RUN_TRIGGERS.join(', ')}`,
+      });
+    }
+
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        code: 400,
+        message: `Invalid status, expected one of: ${RUN_STATUSES.join(', ')}`,
+      });
+    }
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        code: 400,
+        message: 'Invalid from/to date',
+      });
+    }
+
+    const result = await runHistory.list({ uid, trigger, status, from, to, page, pageSize });
+
+    res.json({
+      code: 0,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Failed to get runs:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get a single run with per-task outcomes, draws and errors
+ */
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await runHistory.get(req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({
+        code: 404,
+        message: 'Run not found',
+      });
+    }
+
+    res.json({
+      code: 0,
+      data: run,
+    });
+  } catch (error) {
+    logger.error('Failed to get run:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Get system logs
  */
@@ -747,15 +1610,14 @@ router.post('/users/:uid/execute-tasks', async (req, res) => {
     let { uid } = req.params;
     uid = parseInt(uid, 10);
 
-    const userData = await redisClient.get(`user:${uid}`);
-    if (!userData) {
+    const user = await userStore.getUser(uid);
+    if (!user) {
       return res.status(404).json({
         code: 404,
         message: 'User not found',
       });
     }
 
-    const user = JSON.parse(userData);
     const scheduler = getTaskScheduler();
     
     if (!scheduler) {
@@ -768,16 +1630,26 @@ router.post('/users/:uid/execute-tasks', async (req, res) => {
     // Execute daily sign-in for this user
     logger.info(`[Manual Execute] Starting manual task execution for user ${uid}`);
     
-    // Run in background
-    scheduler.executeDailySignIn(user).catch(error => {
-      logger.error(`[Manual Execute] Failed for user ${uid}:`, error.message);
+    // Run in background, through the run queue
+    const runId = createRunId();
+    await accountLog.write(uid, `▶️ ${req.auth.username} 手动执行任务 (Manual run queued)`, 'info', {
+      runId,
+      source: 'manual',
+    });
+    scheduler.enqueueRun(user, { trigger: 'manual', runId }).catch(error => {
+      if (error.message !== RUN_CANCELLED) {
+        logger.error(`[Manual Execute] Failed for user ${uid}:`, error.message);
+      }
     });
+    const started = runQueue.list().running.some((job) => job.id === runId);
 
     res.json({
       code: 0,
-      message: 'Task execution started for user ' + uid,
+      message: (started ? 'Task execution started for user ' : 'Task execution queued for user ') + uid,
       data: {
         uid: user.uid,
+        runId,
+        state: started ? 'running' : 'queued',
         timestamp: new Date().toISOString(),
       },
     });
@@ -790,4 +1662,182 @@ router.post('/users/:uid/execute-tasks', async (req, res) => {
   }
 });
 
+/**
+ * Dry run: what execute-tasks would do right now, without completing tasks or drawing prizes
+ * Read-only (viewers may use it): the stored token is used as is, never refreshed
+ */
+router.get('/users/:uid/plan', async (req, res) => {
+  try {
+    let { uid } = req.params;
+    uid = parseInt(uid, 10);
+
+    const user = await userStore.getUser(uid);
+    if (!user) {
+      return res.status(404).json({
+        code: 404,
+        message: 'User not found',
+      });
+    }
+
+    const scheduler = getTaskScheduler();
+    if (!scheduler) {
+      return res.status(500).json({
+        code: 500,
+        message: 'Task Scheduler not available',
+      });
+    }
+
+    const plan = await scheduler.planDailySignIn(user);
+
+    res.json({
+      code: 0,
+      data: plan,
+    });
+  } catch (error) {
+    if (error.message === 'TOKEN_EXPIRED') {
+      return res.status(409).json({
+        code: 409,
+        message: 'Token expired, refresh the token before a dry run',
+      });
+    }
+    logger.error('Failed to build plan:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Notification events and channel types (with their config fields)
+ */
+router.get('/notifications/meta', (req, res) => {
+  res.json({
+    code: 0,
+    data: {
+      events: NOTIFY_EVENTS,
+      runStatuses: RUN_STATUSES,
+      channelTypes: Object.values(CHANNEL_TYPES).map(({ type, label, fields }) => ({
+        type,
+        label,
+        fields,
+      })),
+    },
+  });
+});
+
+/**
+ * List notification channels (secrets masked) with their last delivery status
+ */
+router.get('/notifications/channels', async (req, res) => {
+  try {
+    const [channels, statuses] = await Promise.all([
+      notifier.listChannels(),
+      notifier.getStatuses(),
+    ]);
+
+    res.json({
+      code: 0,
+      data: channels.map((channel) => notifier.toPublic(channel, statuses[channel.id] || null)),
+    });
+  } catch (error) {
+    logger.error('Failed to get notification channels:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create or update a notification channel
+ * Body: { id?, type, name, enabled, config, events: [...], uids: [...], runStatuses: [...] }
+ */
+router.post('/notifications/channels', async (req, res) => {
+  try {
+    let channel;
+    try {
+      channel = await notifier.saveChannel(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
+    }
+
+    res.json({
+      code: 0,
+      message: 'Notification channel saved successfully',
+      data: notifier.toPublic(channel),
+    });
+  } catch (error) {
+    logger.error('Failed to save notification channel:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a notification channel
+ */
+router.delete('/notifications/channels/:id', async (req, res) => {
+  try {
+    const removed = await notifier.deleteChannel(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        code: 404,
+        message: 'Notification channel not found',
+      });
+    }
+
+    res.json({
+      code: 0,
+      message: 'Notification channel deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Failed to delete notification channel:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Send a test message through a channel
+ */
+router.post('/notifications/channels/:id/test', async (req, res) => {
+  try {
+    const channel = await notifier.getChannel(req.params.id);
+    if (!channel) {
+      return res.status(404).json({
+        code: 404,
+        message: 'Notification channel not found',
+      });
+    }
+
+    try {
+      await notifier.sendTest(channel);
+    } catch (error) {
+      return res.status(502).json({
+        code: 502,
+        message: `Delivery failed: ${error.message}`,
+      });
+    }
+
+    res.json({
+      code: 0,
+      message: 'Test notification sent',
+    });
+  } catch (error) {
+    logger.error('Failed to send test notification:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,171 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import authService from '../services/authService.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Log in to the dashboard
+ * Body: { username, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const session = await authService.login(username, password, req.ip);
+    if (!session) {
+      return res.status(401).json({
+        code: 401,
+        message: 'Invalid username or password',
+      });
+    }
+
+    res.json({
+      code: 0,
+      message: 'Logged in successfully',
+      data: session,
+    });
+  } catch (error) {
+    if (error.message === 'TOO_MANY_LOGIN_ATTEMPTS') {
+      return res.status(429).json({
+        code: 429,
+        message: 'Too many failed login attempts, try again later',
+      });
+    }
+    logger.error('Failed to log in:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Log out the current session
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await authService.logout(req.auth.token);
+
+    res.json({
+      code: 0,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    logger.error('Failed to log out:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get the current session
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    code: 0,
+    data: {
+      username: req.auth.username,
+      role: req.auth.role,
+    },
+  });
+});
+
+/**
+ * List dashboard accounts (admin)
+ */
+router.get('/accounts', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const accounts = await authService.listAccounts();
+
+    res.json({
+      code: 0,
+      data: accounts,
+    });
+  } catch (error) {
+    logger.error('Failed to list accounts:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create or update a dashboard account (admin)
+ * Body: { username, password, role: 'admin'|'viewer' }
+ */
+router.post('/accounts', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    if (!username || !role) {
+      return res.status(400).json({
+        code: 400,
+        message: 'Missing required fields: username, role',
+      });
+    }
+
+    let account;
+    try {
+      account = await authService.saveAccount(username, password, role);
+    } catch (error) {
+      return res.status(400).json({
+        code: 400,
+        message: error.message,
+      });
+    }
+
+    res.json({
+      code: 0,
+      message: 'Account saved successfully',
+      data: account,
+    });
+  } catch (error) {
+    logger.error('Failed to save account:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a dashboard account (admin)
+ */
+router.delete('/accounts/:username', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (username === req.auth.username) {
+      return res.status(400).json({
+        code: 400,
+        message: 'Cannot delete the account you are logged in with',
+      });
+    }
+
+    const removed = await authService.deleteAccount(username);
+    if (!removed) {
+      return res.status(404).json({
+        code: 404,
+        message: 'Account not found',
+      });
+    }
+
+    res.json({
+      code: 0,
+      message: 'Account deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Failed to delete account:', error);
+    res.status(500).json({
+      code: 500,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
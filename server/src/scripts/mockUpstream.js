@@ -0,0 +1,27 @@
+import 'dotenv/config';
+import { createMockUpstream, SCENARIOS } from '../mock/fufuhubMock.js';
+
+/**
+ * Run the mock FuFuHub upstream for local development
+ * Usage: npm run mock-upstream [-- <scenario>]   (MOCK_UPSTREAM_PORT, default 4500)
+ * Then start the server with API_BASE_URL=http://127.0.0.1:4500
+ */
+const scenario = process.argv[2] || process.env.MOCK_UPSTREAM_SCENARIO || 'default';
+const port = parseInt(process.env.MOCK_UPSTREAM_PORT, 10) || 4500;
+
+if (!SCENARIOS[scenario]) {
+  console.error(`Unknown scenario "${scenario}", expected one of: ${Object.keys(SCENARIOS).join(', ')}`);
+  process.exit(1);
+}
+
+const mock = createMockUpstream({ scenario });
+const url = await mock.listen(port);
+console.log(`Mock FuFuHub upstream (${scenario}) listening on ${url}`);
+console.log(`Start the server with API_BASE_URL=${url}`);
+
+const shutdown = async () => {
+  await mock.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,36 @@
+import 'dotenv/config';
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import { hasMasterKey } from '../utils/secrets.js';
+import userStore from '../services/userStore.js';
+import notifier from '../services/notifier.js';
+
+/**
+ * 密钥轮换 (Master key rotation)
+ * Re-encrypts every account record and notification channel with SECRETS_MASTER_KEY.
+ * Old records are read with the keys listed in SECRETS_PREVIOUS_KEYS:
+ *
+ *   SECRETS_MASTER_KEY=<new> SECRETS_PREVIOUS_KEYS=<old> npm run rotate-secrets
+ *
+ * Also encrypts records that were stored in plaintext.
+ */
+async function main() {
+  if (!hasMasterKey()) {
+    logger.error('[Secrets] SECRETS_MASTER_KEY is not set, nothing to rotate to');
+    process.exitCode = 1;
+    return;
+  }
+
+  await redisClient.connect();
+  try {
+    const rewritten = (await userStore.reencryptAll()) + (await notifier.reencryptAll());
+    logger.info(`[Secrets] Rotation complete, ${rewritten} record(s) rewritten`);
+  } finally {
+    await redisClient.quit();
+  }
+}
+
+main().catch((error) => {
+  logger.error('[Secrets] Rotation failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,106 @@
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import { broadcastToClients } from '../utils/broadcast.js';
+
+// Log entries of an account, sorted by time
+const logKey = (uid) => `logs:${uid}`;
+
+const retentionDays = parseInt(process.env.ACCOUNT_LOG_RETENTION_DAYS, 10);
+const RETENTION_MS = (Number.isNaN(retentionDays) ? 14 : retentionDays) * 24 * 60 * 60 * 1000;
+
+// Same vocabulary as the system log types
+export const LOG_LEVELS = ['info', 'success', 'warning', 'error'];
+export const LOG_SOURCES = ['scheduler', 'session', 'manual'];
+
+// Keeps ids unique (and ordered) within the same millisecond
+let sequence = 0;
+
+/**
+ * 账户日志 (Per-account log stream)
+ * logs:{uid} - sorted set of JSON entries by time, trimmed to ACCOUNT_LOG_RETENTION_DAYS on write
+ * Entry: { id, uid, level, message, runId, taskId, source, timestamp }
+ * Every entry is also pushed to dashboards as an 'accountLog' WebSocket message.
+ */
+class AccountLog {
+  /**
+   * Never throws: a failed write only ends up in the server log
+   * @param {Object} context - { runId, taskId, source: 'scheduler'|'session'|'manual' }
+   */
+  async write(uid, message, level = 'info', { runId = null, taskId = null, source = 'scheduler' } = {}) {
+    const now = Date.now();
+    sequence = (sequence + 1) % 10000;
+    const entry = {
+      id: `${now}-${String(sequence).padStart(4, '0')}`,
+      uid,
+      level,
+      message,
+      runId,
+      taskId,
+      source,
+      timestamp: new Date(now).toISOString(),
+    };
+
+    try {
+      await redisClient.zAdd(logKey(uid), { score: now, value: JSON.stringify(entry) });
+      await redisClient.zRemRangeByScore(logKey(uid), '-inf', now - RETENTION_MS);
+    } catch (error) {
+      logger.error(`[AccountLog] Failed to write log of user ${uid}:`, error.message);
+      return null;
+    }
+
+    broadcastToClients({
+      type: 'accountLog',
+      uid,
+      log: entry,
+    });
+    return entry;
+  }
+
+  /**
+   * Query log entries, newest first
+   * @param {Object} filters - { uid, level (one or more), runId, taskId, q (text search), from, to, page, pageSize }
+   * @returns {Promise<{items: Array, total: number, page: number, pageSize: number}>}
+   */
+  async query({ uid, level, runId, taskId, q, from, to, page = 1, pageSize = 50 }) {
+    const min = from ? Date.parse(from) : '-inf';
+    const max = to ? Date.parse(to) : '+inf';
+    const offset = (page - 1) * pageSize;
+    const levels = level ? [].concat(level) : null;
+    const search = q ? q.toLowerCase() : null;
+
+    if (!levels && !runId && taskId == null && !search) {
+      const [total, entries] = await Promise.all([
+        redisClient.zCount(logKey(uid), min, max),
+        redisClient.zRange(logKey(uid), max, min, {
+          BY: 'SCORE',
+          REV: true,
+          LIMIT: { offset, count: pageSize },
+        }),
+      ]);
+      return { items: entries.map((entryJson) => JSON.parse(entryJson)), total, page, pageSize };
+    }
+
+    const entries = (await redisClient.zRange(logKey(uid), max, min, { BY: 'SCORE', REV: true }))
+      .map((entryJson) => JSON.parse(entryJson))
+      .filter(
+        (entry) =>
+          (!levels || levels.includes(entry.level)) &&
+          (!runId || entry.runId === runId) &&
+          (taskId == null || entry.taskId === taskId) &&
+          (!search || entry.message.toLowerCase().includes(search))
+      );
+
+    return {
+      items: entries.slice(offset, offset + pageSize),
+      total: entries.length,
+      page,
+      pageSize,
+    };
+  }
+
+  async deleteUser(uid) {
+    await redisClient.del(logKey(uid));
+  }
+}
+
+export default new AccountLog();
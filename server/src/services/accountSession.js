@@ -0,0 +1,245 @@
+import { logger } from '../utils/logger.js';
+import apiService from './apiService.js';
+import userStore from './userStore.js';
+import notifier from './notifier.js';
+import accountLog from './accountLog.js';
+import { countTokenRefresh } from '../utils/metrics.js';
+
+export const DEFAULT_MACHINE_ID = '830504a3-d020-43af-b3e6-4c8690f5d6be';
+
+// In-flight token refreshes keyed by uid, shared by every session in the process
+const refreshes = new Map();
+
+async function readUserData(uid) {
+  try {
+    return await userStore.getUser(uid);
+  } catch (error) {
+    logger.error(`Failed to get user data for ${uid}:`, error);
+    return null;
+  }
+}
+
+/**
+ * 账户会话 (Account-bound upstream client)
+ * Wraps APIService for a single account and owns its token:
+ * - loads the stored token (or logs in when there is none)
+ * - on TOKEN_EXPIRED (code 3584901) refreshes and retries the call once
+ * - concurrent refreshes of the same uid share one checklogin call
+ * - refreshed tokens are persisted to account:{uid} and used for the rest of the session
+ * - a readOnly session never refreshes: a missing or expired token rejects with TOKEN_EXPIRED
+ */
+export class AccountSession {
+  /**
+   * @param {Object} user - User configuration (uid, uuid, flowId, accessKey, machineId, platform)
+   * @param {Object} options - { token: current token, runId: run the session works for (tags the account log),
+   *                            readOnly: never refresh or save credentials (dry runs) }
+   */
+  constructor(user, { token = null, runId = null, readOnly = false } = {}) {
+    this.user = user;
+    this.uid = user.uid;
+    this.token = token;
+    this.runId = runId;
+    this.readOnly = readOnly;
+  }
+
+  /**
+   * Token events go to the account log
+   */
+  async note(message, type) {
+    await accountLog.write(this.uid, message, type, { runId: this.runId, source: 'session' });
+  }
+
+  /**
+   * Build a session from the stored user record
+   * @returns {Promise<AccountSession|null>} - null when the user does not exist
+   */
+  static async load(uid, options = {}) {
+    const userData = await readUserData(uid);
+    if (!userData) {
+      return null;
+    }
+    return new AccountSession(userData, { ...options, token: userData.token });
+  }
+
+  /**
+   * Build a session for a configured user, using the latest stored token
+   */
+  static async forUser(user, options = {}) {
+    const userData = await readUserData(user.uid);
+    return new AccountSession(user, { ...options, token: userData?.token || null });
+  }
+
+  get platform() {
+    return this.user.platform || 'mac';
+  }
+
+  get machineId() {
+    return this.user.machineId || DEFAULT_MACHINE_ID;
+  }
+
+  async ensureToken() {
+    if (!this.token) {
+      logger.warn(`[Session] No token available for user ${this.uid}, refreshing...`);
+      await this.refreshToken(null);
+    }
+    return this.token;
+  }
+
+  /**
+   * Refresh the token, sharing an in-flight refresh of the same uid
+   * @param {string|null} expiredToken - Token that was rejected (defaults to the current one)
+   * @returns {Promise<Object>} - Updated user data
+   */
+  async refreshToken(expiredToken = this.token) {
+    if (this.readOnly) {
+      throw new Error('TOKEN_EXPIRED');
+    }
+    if (!refreshes.has(this.uid)) {
+      const refresh = this.performRefresh(expiredToken).finally(() => {
+        refreshes.delete(this.uid);
+      });
+      refreshes.set(this.uid, refresh);
+    }
+
+    const userData = await refreshes.get(this.uid);
+    this.token = userData.token;
+    // checklogin may rotate the access key; later calls of this session must use the new one
+    this.user = { ...this.user, accessKey: userData.accessKey || this.user.accessKey };
+    return userData;
+  }
+
+  /**
+   * Always saves updated token back to Redis
+   * Includes retry mechanism for network failures
+   */
+  async performRefresh(expiredToken, retries = 3) {
+    const user = this.user;
+    let lastError;
+    countTokenRefresh();
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        logger.info(`[Token] Refreshing token for user ${user.uid} (attempt ${attempt}/${retries})`);
+
+        // Get latest user data from Redis
+        let userData = await readUserData(user.uid);
+
+        // Another session already replaced the rejected token
+        if (userData?.token && userData.token !== expiredToken) {
+          logger.info(`[Token] Token for user ${user.uid} was already refreshed, reusing it`);
+          return userData;
+        }
+
+        // Account removed meanwhile: still refresh for this run, nothing is persisted
+        if (!userData || Object.keys(userData).length === 0) {
+          userData = {
+            uid: user.uid,
+            uuid: user.uuid,
+            flowId: user.flowId,
+            accessKey: user.accessKey,
+            machineId: this.machineId,
+            platform: this.platform,
+            phone: user.phone,
+          };
+        }
+
+        const loginResult = await apiService.checkLogin(
+          user.uid,
+          this.platform,
+          user.accessKey,
+          this.machineId,
+          userData.token
+        );
+
+        // Update token fields only, leaving concurrent edits of the account intact
+        const tokenFields = {
+          token: loginResult.token,
+          accessKey: loginResult.access_key || user.accessKey,
+          tokenUpdatedAt: new Date().toISOString(),
+        };
+        Object.assign(userData, tokenFields);
+
+        await userStore.updateUser(user.uid, tokenFields);
+
+        logger.info(`[Token] Token refreshed and saved to Redis for user ${user.uid}`);
+        await this.note('🔑 Token 已刷新 (Token refreshed)', 'success');
+
+        return userData;
+      } catch (error) {
+        lastError = error;
+        logger.error(`[Token] Attempt ${attempt}/${retries} failed for user ${user.uid}:`, error.message);
+
+        // If this is not the last attempt, wait before retrying
+        if (attempt < retries) {
+          const waitTime = attempt * 2000; // Progressive delay: 2s, 4s
+          logger.info(`[Token] Waiting ${waitTime}ms before retry...`);
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+      }
+    }
+
+    // All retries failed
+    logger.error(`[Token] All ${retries} attempts failed for user ${user.uid}`);
+    countTokenRefresh(true);
+    await this.note(`❌ Token 刷新失败 (Token refresh failed after ${retries} attempts): ${lastError.message}`, 'error');
+    notifier.notify('tokenRefreshFailed', {
+      uid: user.uid,
+      attempts: retries,
+      error: lastError.message,
+    });
+    throw lastError;
+  }
+
+  /**
+   * Run an authenticated call, refreshing the token and retrying once on TOKEN_EXPIRED
+   * @param {string} label - Upstream method name for logs
+   * @param {Function} call - (token, user) => Promise; gets the credentials current at call time
+   */
+  async request(label, call) {
+    const token = await this.ensureToken();
+
+    try {
+      return await call(token, this.user);
+    } catch (error) {
+      if (error.message !== 'TOKEN_EXPIRED' || this.readOnly) {
+        throw error;
+      }
+
+      logger.warn(`[Session] Token expired for user ${this.uid} during ${label}, refreshing and retrying...`);
+      await this.note(`🔄 Token 已过期，正在刷新并重试 (Token expired, retrying ${label})`, 'warning');
+
+      await this.refreshToken(token);
+      return call(this.token, this.user);
+    }
+  }
+
+  getUserInfo() {
+    return this.request('getuserinfo', (token, { flowId, uuid, uid, accessKey }) =>
+      apiService.getUserInfo(flowId, uuid, uid, token, accessKey, this.machineId, this.platform)
+    );
+  }
+
+  getActivityTasks() {
+    return this.request('getactivitytask', (token, { flowId, uuid, uid, accessKey }) =>
+      apiService.getActivityTasks(flowId, uid, uuid, accessKey, token, this.machineId, this.platform)
+    );
+  }
+
+  completeTask(taskId) {
+    return this.request('completetask', (token, { flowId, uuid, uid, accessKey }) =>
+      apiService.completeTask(flowId, uid, uuid, accessKey, taskId, token, this.machineId, this.platform)
+    );
+  }
+
+  drawPrize(drawType = 1) {
+    return this.request('drawprize', (token, { flowId, uuid, uid, accessKey }) =>
+      apiService.drawPrize(flowId, uid, uuid, accessKey, token, this.machineId, this.platform, drawType)
+    );
+  }
+
+  getOrderHistory(page = {}) {
+    return this.request('orderhistory', (token, { flowId, uuid, uid, accessKey }) =>
+      apiService.getOrderHistory(flowId, uid, uuid, accessKey, token, this.machineId, this.platform, page)
+    );
+  }
+}
@@ -0,0 +1,220 @@
+import { normalizeSchedule } from '../utils/schedule.js';
+import { normalizeLotteryPolicy } from '../utils/lotteryPolicy.js';
+import { SECRET_FIELDS, isMasked } from '../utils/secrets.js';
+import { toCsv, parseCsv } from '../utils/csv.js';
+import { normalizeTaskHandlers } from './taskRegistry.js';
+import { DEFAULT_MACHINE_ID } from './accountSession.js';
+
+/**
+ * 账户批量导入导出 (Bulk account export / import)
+ * Exports are JSON ({ exportedAt, includesSecrets, accounts }) or CSV with one column per
+ * field (schedule, taskHandlers and lotteryPolicy as JSON cells). Imports are planned first: every row is
+ * validated and compared with the stored account, then the route saves the valid rows.
+ *   merge   - fields present in the row overwrite the stored account, the rest is kept
+ *   replace - the row becomes the account; missing fields fall back to the defaults
+ * Secrets that are missing or masked keep their stored value in both modes, so an export
+ * without secrets can be imported back.
+ */
+export const TRANSFER_FIELDS = [
+  'uid',
+  'phone',
+  'uuid',
+  'flowId',
+  'platform',
+  'isActive',
+  'accessKey',
+  'machineId',
+  'token',
+  'schedule',
+  'taskHandlers',
+  'lotteryPolicy',
+];
+export const TRANSFER_FORMATS = ['json', 'csv'];
+export const IMPORT_MODES = ['merge', 'replace'];
+
+const REQUIRED_FIELDS = ['uuid', 'flowId', 'accessKey'];
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+const defaults = () => ({
+  machineId: DEFAULT_MACHINE_ID,
+  platform: 'mac',
+  token: null,
+  isActive: true,
+  schedule: normalizeSchedule(undefined),
+  taskHandlers: normalizeTaskHandlers(undefined),
+  lotteryPolicy: normalizeLotteryPolicy(undefined),
+});
+
+/**
+ * @param {Array<Object>} users - Stored users (plaintext secrets)
+ * @param {Object} options - { includeSecrets }
+ * @returns {Array<Object>} - One record per user with the transfer fields
+ */
+export function exportAccounts(users, { includeSecrets = false } = {}) {
+  const fields = includeSecrets ? TRANSFER_FIELDS : TRANSFER_FIELDS.filter((field) => !SECRET_FIELDS.includes(field));
+  return users.map((user) => Object.fromEntries(fields.map((field) => [field, user[field] ?? null])));
+}
+
+export function accountsToCsv(accounts) {
+  const columns = TRANSFER_FIELDS.filter((field) => accounts.some((account) => field in account));
+  return toCsv(accounts, columns.length > 0 ? columns : TRANSFER_FIELDS);
+}
+
+/**
+ * Rows of an import body: CSV text, an array of accounts or an export document
+ */
+export function parseImport(body, format) {
+  if (format === 'csv') {
+    if (typeof body !== 'string') {
+      throw new Error('Expected CSV text (Content-Type: text/csv)');
+    }
+    return parseCsv(body);
+  }
+
+  const accounts = Array.isArray(body) ? body : body?.accounts;
+  if (!Array.isArray(accounts)) {
+    throw new Error('Expected an array of accounts or { accounts: [...] }');
+  }
+  return accounts;
+}
+
+/**
+ * Validate and convert the fields of one row; empty cells and masked secrets count as missing
+ * @returns {{values: Object, errors: Array<string>}}
+ */
+function readRow(row) {
+  const values = {};
+  const errors = [];
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { values, errors: ['Row must be an object'] };
+  }
+
+  for (const field of TRANSFER_FIELDS) {
+    let value = row[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+    if (SECRET_FIELDS.includes(field) && isMasked(value)) {
+      continue;
+    }
+
+    try {
+      values[field] = convertField(field, value);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return { values, errors };
+}
+
+function convertField(field, value) {
+  switch (field) {
+    case 'uid':
+    case 'flowId': {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`${field} must be a positive integer`);
+      }
+      return number;
+    }
+    case 'isActive': {
+      const flag = typeof value === 'boolean' ? value : BOOLEANS[String(value).toLowerCase()];
+      if (flag === undefined) {
+        throw new Error('isActive must be true or false');
+      }
+      return flag;
+    }
+    case 'schedule':
+    case 'taskHandlers':
+    case 'lotteryPolicy': {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = JSON.parse(value);
+        } catch {
+          throw new Error(`${field} is not valid JSON`);
+        }
+      }
+      if (field === 'schedule') return normalizeSchedule(parsed);
+      if (field === 'taskHandlers') return normalizeTaskHandlers(parsed);
+      return normalizeLotteryPolicy(parsed);
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Plan an import: what each row would do to the stored accounts
+ * @param {Array<Object>} rows - From parseImport
+ * @param {Array<Object>} users - Stored users
+ * @param {Object} options - { mode: 'merge'|'replace' }
+ * @returns {{mode: string, total: number, valid: number, invalid: number, items: Array}}
+ *   items: { row (1-based), uid, action: 'create'|'update'|'unchanged'|'invalid', changes, errors, user }
+ */
+export function planImport(rows, users, { mode = 'merge' } = {}) {
+  const existingByUid = new Map(users.map((user) => [user.uid, user]));
+  const firstRows = new Map();
+  const now = new Date().toISOString();
+
+  const items = rows.map((row, index) => {
+    const { values, errors } = readRow(row);
+    const item = { row: index + 1, uid: values.uid ?? null, action: 'invalid', changes: [], errors, user: null };
+
+    if (values.uid === undefined) {
+      if (!errors.some((error) => error.startsWith('uid'))) {
+        errors.push('Missing uid');
+      }
+      return item;
+    }
+    if (firstRows.has(values.uid)) {
+      errors.push(`Duplicate uid ${values.uid} (first in row ${firstRows.get(values.uid)})`);
+    } else {
+      firstRows.set(values.uid, item.row);
+    }
+
+    const existing = existingByUid.get(values.uid);
+    let user;
+    if (!existing) {
+      user = { ...defaults(), ...values, createdAt: now };
+    } else if (mode === 'replace') {
+      // Bookkeeping (createdAt, tokenUpdatedAt, ...) and secrets survive a replace
+      const kept = Object.fromEntries(
+        Object.entries(existing).filter(([field]) => !TRANSFER_FIELDS.includes(field) || SECRET_FIELDS.includes(field))
+      );
+      user = { ...defaults(), ...kept, ...values };
+    } else {
+      user = { ...existing, ...values };
+    }
+    if (values.token !== undefined && values.token !== existing?.token) {
+      user.tokenUpdatedAt = now;
+    }
+
+    const missing = REQUIRED_FIELDS.filter((field) => user[field] === undefined || user[field] === null);
+    if (missing.length > 0) {
+      errors.push(`Missing required fields: ${missing.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return item;
+    }
+
+    item.user = user;
+    if (!existing) {
+      item.action = 'create';
+      return item;
+    }
+    item.changes = TRANSFER_FIELDS.filter(
+      (field) => JSON.stringify(user[field] ?? null) !== JSON.stringify(existing[field] ?? null)
+    );
+    item.action = item.changes.length > 0 ? 'update' : 'unchanged';
+    return item;
+  });
+
+  const invalid = items.filter((item) => item.action === 'invalid').length;
+  return { mode, total: items.length, valid: items.length - invalid, invalid, items };
+}
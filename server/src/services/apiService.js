@@ -1,6 +1,7 @@
 import axios from 'axios';
 import https from 'https';
 import { logger } from '../utils/logger.js';
+import { observeUpstream } from '../utils/metrics.js';
 
 const API_BASE_URL = process.env.API_BASE_URL || 'https://h5-proxy.fdcompute.com';
 
@@ -23,6 +24,30 @@ class APIService {
       timeout: 30000, // Increase timeout to 30 seconds
       httpsAgent: httpsAgent,
     });
+
+    // Request count and latency per method and ret.code
+    this.client.interceptors.request.use((config) => {
+      config.metadata = { startedAt: process.hrtime.bigint() };
+      return config;
+    });
+    this.client.interceptors.response.use(
+      (response) => {
+        this.observe(response.config, response.data?.ret?.code ?? `http_${response.status}`);
+        return response;
+      },
+      (error) => {
+        if (error.config) {
+          this.observe(error.config, error.response ? `http_${error.response.status}` : 'network');
+        }
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  observe(config, code) {
+    const method = (config.url || '').split('/').pop();
+    const seconds = config.metadata ? Number(process.hrtime.bigint() - config.metadata.startedAt) / 1e9 : 0;
+    observeUpstream(method, code, seconds);
   }
 
   /**
@@ -232,7 +257,7 @@ class APIService {
   /**
    * Draw prize (lottery)
    */
-  async drawPrize(flowId, uid, uuid, accessKey, token, machineId, platform = 'mac') {
+  async drawPrize(flowId, uid, uuid, accessKey, token, machineId, platform = 'mac', drawType = 1) {
     try {
       logger.info(`[drawprize] Attempting to draw prize for uid: ${uid}`);
       
@@ -243,7 +268,7 @@ class APIService {
           uid,
           uuid,
           access_key: accessKey,
-          draw_type: 1,
+          draw_type: drawType,
         },
         {
           headers: this.buildHeaders({
@@ -283,15 +308,16 @@ class APIService {
    * @param {string} token - Auth token
    * @param {string} machineId - Machine ID
    * @param {string} platform - Platform (mac/ios/android)
+   * @param {Object} page - { offset, limit } (newest first by update_time)
    * @returns {Promise<object>} Order history data
    */
-  async getOrderHistory(flowId, uid, uuid, accessKey, token, machineId = '830504a3-d020-43af-b3e6-4c8690f5d6be', platform = 'mac') {
+  async getOrderHistory(flowId, uid, uuid, accessKey, token, machineId = '830504a3-d020-43af-b3e6-4c8690f5d6be', platform = 'mac', { offset = 0, limit = 100 } = {}) {
     try {
       const response = await this.client.post(
         '/v1/nika/client/orderhistory',
         {
-          offset: 0,
-          limit: 100,
+          offset,
+          limit,
           order: 'desc',
           sorts: 'update_time',
           cond_list: [],
@@ -321,6 +347,25 @@ class APIService {
       throw error;
     }
   }
+
+  /**
+   * Check that the upstream host answers at all (any HTTP status counts)
+   * Bypasses this.client so health checks stay out of the upstream metrics
+   * @returns {Promise<{ok: boolean, status: number|null, latencyMs: number, error: string|null}>}
+   */
+  async ping(timeout = 5000) {
+    const startedAt = Date.now();
+    try {
+      const response = await axios.head(API_BASE_URL, {
+        timeout,
+        httpsAgent: this.client.defaults.httpsAgent,
+        validateStatus: () => true,
+      });
+      return { ok: true, status: response.status, latencyMs: Date.now() - startedAt, error: null };
+    } catch (error) {
+      return { ok: false, status: null, latencyMs: Date.now() - startedAt, error: error.code || error.message };
+    }
+  }
 }
 
 export default new APIService();
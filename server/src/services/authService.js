@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCOUNTS_KEY = 'auth:accounts';
+const sessionKey = (token) => `auth:session:${token}`;
+const accountSessionsKey = (username) => `auth:sessions:${username}`;
+const failuresKey = (ip) => `auth:failures:${ip}`;
+
+const sessionTtlHours = parseInt(process.env.AUTH_SESSION_TTL_HOURS, 10);
+const SESSION_TTL_SECONDS = (Number.isNaN(sessionTtlHours) ? 12 : sessionTtlHours) * 60 * 60;
+const MAX_LOGIN_FAILURES = 10;
+const LOGIN_FAILURE_WINDOW_SECONDS = 15 * 60;
+
+export const ROLES = ['admin', 'viewer'];
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+/**
+ * 仪表板登录与角色 (Dashboard authentication)
+ * auth:accounts             - hash of username -> { role, passwordHash, createdAt }
+ * auth:session:{token}      - session JSON { username, role }, expires after AUTH_SESSION_TTL_HOURS
+ * auth:sessions:{username}  - set of the account's session tokens (revoked on delete/password change)
+ */
+class AuthService {
+  /**
+   * Create the first admin account when none exists
+   * Uses ADMIN_USERNAME / ADMIN_PASSWORD, or generates a password and logs it once
+   */
+  async ensureBootstrapAdmin() {
+    const count = await redisClient.hLen(ACCOUNTS_KEY);
+    if (count > 0) {
+      return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      password = crypto.randomBytes(12).toString('base64url');
+      logger.warn(`[Auth] No ADMIN_PASSWORD set, generated password for "${username}": ${password}`);
+    }
+
+    await this.saveAccount(username, password, 'admin');
+    logger.info(`[Auth] Bootstrap admin account "${username}" created`);
+  }
+
+  async listAccounts() {
+    const accounts = await redisClient.hGetAll(ACCOUNTS_KEY);
+    return Object.entries(accounts).map(([username, accountJson]) => {
+      const { role, createdAt, updatedAt } = JSON.parse(accountJson);
+      return { username, role, createdAt, updatedAt };
+    });
+  }
+
+  /**
+   * Create or update an account; changing the password or role revokes its sessions
+   */
+  async saveAccount(username, password, role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role, expected one of: ${ROLES.join(', ')}`);
+    }
+
+    const existingJson = await redisClient.hGet(ACCOUNTS_KEY, username);
+    const existing = existingJson ? JSON.parse(existingJson) : null;
+
+    if (!existing && !password) {
+      throw new Error('Password is required for new accounts');
+    }
+
+    const account = {
+      role,
+      passwordHash: password ? await hashPassword(password) : existing.passwordHash,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await redisClient.hSet(ACCOUNTS_KEY, username, JSON.stringify(account));
+    if (existing) {
+      await this.revokeSessions(username);
+    }
+
+    return { username, role, createdAt: account.createdAt, updatedAt: account.updatedAt };
+  }
+
+  async deleteAccount(username) {
+    const removed = await redisClient.hDel(ACCOUNTS_KEY, username);
+    await this.revokeSessions(username);
+    return removed > 0;
+  }
+
+  /**
+   * Check credentials and open a session
+   * @returns {Promise<{token: string, username: string, role: string, expiresAt: string}|null>}
+   */
+  async login(username, password, ip = 'unknown') {
+    const failures = parseInt(await redisClient.get(failuresKey(ip)), 10) || 0;
+    if (failures >= MAX_LOGIN_FAILURES) {
+      throw new Error('TOO_MANY_LOGIN_ATTEMPTS');
+    }
+
+    const accountJson = username ? await redisClient.hGet(ACCOUNTS_KEY, username) : null;
+    const account = accountJson ? JSON.parse(accountJson) : null;
+
+    if (!account || !(await verifyPassword(password || '', account.passwordHash))) {
+      await redisClient.incr(failuresKey(ip));
+      await redisClient.expire(failuresKey(ip), LOGIN_FAILURE_WINDOW_SECONDS);
+      logger.warn(`[Auth] Failed login for "${username}" from ${ip}`);
+      return null;
+    }
+
+    await redisClient.del(failuresKey(ip));
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = { username, role: account.role, createdAt: new Date().toISOString() };
+    await redisClient.set(sessionKey(token), JSON.stringify(session), { EX: SESSION_TTL_SECONDS });
+    await redisClient.sAdd(accountSessionsKey(username), token);
+
+    logger.info(`[Auth] User "${username}" logged in (${account.role})`);
+    return {
+      token,
+      username,
+      role: account.role,
+      expiresAt: new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Resolve a session token
+   * @returns {Promise<{username: string, role: string}|null>}
+   */
+  async getSession(token) {
+    if (!token) {
+      return null;
+    }
+    const sessionJson = await redisClient.get(sessionKey(token));
+    return sessionJson ? JSON.parse(sessionJson) : null;
+  }
+
+  async logout(token) {
+    const session = await this.getSession(token);
+    await redisClient.del(sessionKey(token));
+    if (session) {
+      await redisClient.sRem(accountSessionsKey(session.username), token);
+    }
+  }
+
+  async revokeSessions(username) {
+    const tokens = await redisClient.sMembers(accountSessionsKey(username));
+    if (tokens.length > 0) {
+      await redisClient.del(tokens.map(sessionKey));
+    }
+    await redisClient.del(accountSessionsKey(username));
+  }
+}
+
+export default new AuthService();
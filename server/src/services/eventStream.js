@@ -0,0 +1,87 @@
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+
+// Every event sent to the dashboards, in order
+const STREAM_KEY = 'events';
+
+const maxLength = parseInt(process.env.EVENT_STREAM_MAXLEN, 10);
+const MAX_LENGTH = Number.isNaN(maxLength) ? 10000 : maxLength;
+
+const replayLimit = parseInt(process.env.EVENT_REPLAY_LIMIT, 10);
+const REPLAY_LIMIT = Number.isNaN(replayLimit) ? 1000 : replayLimit;
+
+const EVENT_ID = /^(\d+)-(\d+)$/;
+
+export function isEventId(id) {
+  return typeof id === 'string' && EVENT_ID.test(id);
+}
+
+// Negative when a is older than b
+export function compareEventIds(a, b) {
+  const [, aMs, aSeq] = a.match(EVENT_ID);
+  const [, bMs, bSeq] = b.match(EVENT_ID);
+  return Number(aMs) - Number(bMs) || Number(aSeq) - Number(bSeq);
+}
+
+// Smallest id after `id` (XRANGE start is inclusive)
+function nextEventId(id) {
+  const [, ms, seq] = id.match(EVENT_ID);
+  return `${ms}-${Number(seq) + 1}`;
+}
+
+/**
+ * 事件流 (Dashboard event log)
+ * events - Redis Stream of every WebSocket event, trimmed to about EVENT_STREAM_MAXLEN entries.
+ * The stream id of an event is its `eventId`; reconnecting clients replay everything after
+ * the last id they saw.
+ */
+class EventStream {
+  /**
+   * Never throws: returns null when Redis is unavailable, the event is then only sent live
+   * @returns {Promise<string|null>} event id
+   */
+  async append(event) {
+    try {
+      return await redisClient.xAdd(
+        STREAM_KEY,
+        '*',
+        { event: JSON.stringify(event) },
+        { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: MAX_LENGTH } }
+      );
+    } catch (error) {
+      logger.error('[EventStream] Failed to append event:', error.message);
+      return null;
+    }
+  }
+
+  // Id of the newest event, null while the stream is empty
+  async lastId() {
+    const [entry] = await redisClient.xRevRange(STREAM_KEY, '+', '-', { COUNT: 1 });
+    return entry ? entry.id : null;
+  }
+
+  /**
+   * Events after `since`, oldest first
+   * `truncated` is set when events may have been missed: `since` was already trimmed from the
+   * stream, or more than `limit` events followed it
+   * @returns {Promise<{events: Array, lastId: string, truncated: boolean}>}
+   */
+  async readSince(since, limit = REPLAY_LIMIT) {
+    const [first] = await redisClient.xRange(STREAM_KEY, '-', '+', { COUNT: 1 });
+    const entries = await redisClient.xRange(STREAM_KEY, nextEventId(since), '+', { COUNT: limit + 1 });
+
+    const trimmed = Boolean(first) && compareEventIds(first.id, since) > 0;
+    const events = entries.slice(0, limit).map((entry) => ({
+      ...JSON.parse(entry.message.event),
+      eventId: entry.id,
+    }));
+
+    return {
+      events,
+      lastId: events.length > 0 ? events[events.length - 1].eventId : since,
+      truncated: trimmed || entries.length > limit,
+    };
+  }
+}
+
+export default new EventStream();
@@ -0,0 +1,148 @@
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import apiService from './apiService.js';
+import userStore from './userStore.js';
+import runHistory from './runHistory.js';
+
+const tokenMaxAgeHours = parseInt(process.env.HEALTH_TOKEN_MAX_AGE_HOURS, 10);
+const TOKEN_MAX_AGE_MS = (Number.isNaN(tokenMaxAgeHours) ? 24 : tokenMaxAgeHours) * 60 * 60 * 1000;
+
+const upstreamCacheSeconds = parseInt(process.env.HEALTH_UPSTREAM_CACHE_SECONDS, 10);
+const UPSTREAM_CACHE_MS = (Number.isNaN(upstreamCacheSeconds) ? 60 : upstreamCacheSeconds) * 1000;
+
+const CHECK_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 健康检查 (Liveness and readiness)
+ * - live: the process answers
+ * - ready: Redis answers and the scheduler is initialized (otherwise 503)
+ * An unreachable upstream only marks the service degraded: restarting the container would not fix it.
+ * Token age is informational: tokens are refreshed when a run needs them, so an old token is normal
+ * between runs.
+ */
+class HealthService {
+  constructor() {
+    // Last upstream probe, reused for UPSTREAM_CACHE_MS so frequent probes don't hit FuFuHub
+    this.upstream = null;
+  }
+
+  liveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async checkRedis() {
+    if (!redisClient.isReady) {
+      return { ok: false, latencyMs: null, error: 'Not connected' };
+    }
+    const startedAt = Date.now();
+    try {
+      await withTimeout(redisClient.ping(), CHECK_TIMEOUT_MS, 'PING');
+      return { ok: true, latencyMs: Date.now() - startedAt, error: null };
+    } catch (error) {
+      return { ok: false, latencyMs: null, error: error.message };
+    }
+  }
+
+  checkScheduler(scheduler) {
+    return {
+      ok: Boolean(scheduler?.initialized),
+      initialized: Boolean(scheduler?.initialized),
+      running: Boolean(scheduler?.isRunning),
+    };
+  }
+
+  async checkUpstream() {
+    const now = Date.now();
+    if (!this.upstream || now - Date.parse(this.upstream.checkedAt) >= UPSTREAM_CACHE_MS) {
+      const result = await apiService.ping(CHECK_TIMEOUT_MS);
+      this.upstream = { ...result, checkedAt: new Date(now).toISOString() };
+    }
+    return this.upstream;
+  }
+
+  /**
+   * Token freshness and last runs of every account
+   */
+  async checkAccounts() {
+    const users = await userStore.listUsers();
+    const now = Date.now();
+
+    return Promise.all(
+      users.map(async (user) => {
+        const [lastRun, lastSuccess] = await Promise.all([
+          runHistory.latest(user.uid),
+          runHistory.latestSuccessful(user.uid),
+        ]);
+        const tokenAgeMs = user.tokenUpdatedAt ? now - Date.parse(user.tokenUpdatedAt) : null;
+
+        return {
+          uid: user.uid,
+          isActive: user.isActive !== false,
+          hasToken: Boolean(user.token),
+          tokenUpdatedAt: user.tokenUpdatedAt || null,
+          tokenAgeMinutes: tokenAgeMs === null ? null : Math.round(tokenAgeMs / 60000),
+          tokenFresh: Boolean(user.token) && tokenAgeMs !== null && tokenAgeMs < TOKEN_MAX_AGE_MS,
+          lastRunAt: lastRun?.startedAt || null,
+          lastRunStatus: lastRun?.status || null,
+          lastSuccessAt: lastSuccess?.finishedAt || null,
+        };
+      })
+    );
+  }
+
+  /**
+   * @param {TaskScheduler|null} scheduler
+   * @param {Object} options - { details: include the per-account list (authenticated callers only) }
+   * @returns {Promise<{status: 'ready'|'degraded'|'not_ready', checks: Object, accounts: Object,
+   *          accountDetails?: Array, timestamp: string}>} - accounts: { total, active, staleTokens }
+   */
+  async readiness(scheduler, { details = false } = {}) {
+    const [redis, upstream] = await Promise.all([this.checkRedis(), this.checkUpstream()]);
+    const checks = { redis, scheduler: this.checkScheduler(scheduler), upstream };
+
+    let accounts = [];
+    if (redis.ok) {
+      try {
+        accounts = await withTimeout(this.checkAccounts(), CHECK_TIMEOUT_MS, 'Account check');
+      } catch (error) {
+        logger.warn(`[Health] Failed to check accounts: ${error.message}`);
+        checks.redis = { ...redis, ok: false, error: error.message };
+      }
+    }
+
+    const active = accounts.filter((account) => account.isActive);
+    const summary = {
+      total: accounts.length,
+      active: active.length,
+      staleTokens: active.filter((account) => !account.tokenFresh).length,
+    };
+
+    let status = 'ready';
+    if (!checks.redis.ok || !checks.scheduler.ok) {
+      status = 'not_ready';
+    } else if (!checks.upstream.ok) {
+      status = 'degraded';
+    }
+
+    const result = { status, checks, accounts: summary, timestamp: new Date().toISOString() };
+    if (details) {
+      result.tokenMaxAgeHours = TOKEN_MAX_AGE_MS / (60 * 60 * 1000);
+      result.accountDetails = accounts;
+    }
+    return result;
+  }
+}
+
+export default new HealthService();
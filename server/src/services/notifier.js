@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import {
+  encryptValue,
+  decryptValue,
+  isCurrentKey,
+  isMasked,
+  maskValue,
+  hasMasterKey,
+} from '../utils/secrets.js';
+import { RUN_STATUSES } from './runHistory.js';
+import webhook from './notifiers/webhook.js';
+import telegram from './notifiers/telegram.js';
+import email from './notifiers/email.js';
+import bark from './notifiers/bark.js';
+import serverchan from './notifiers/serverchan.js';
+
+const CHANNELS_KEY = 'notify:channels';
+const STATUS_KEY = 'notify:status';
+
+export const NOTIFY_EVENTS = ['runFinished', 'taskFailed', 'tokenRefreshFailed', 'prizeWon'];
+
+// Channel drivers: { type, label, fields, send(config, message) }
+export const CHANNEL_TYPES = Object.fromEntries(
+  [webhook, telegram, email, bark, serverchan].map((driver) => [driver.type, driver])
+);
+
+const secretFieldsOf = (type) =>
+  CHANNEL_TYPES[type].fields.filter((field) => field.secret).map((field) => field.name);
+
+function mapSecrets(channel, transform) {
+  const config = { ...channel.config };
+  for (const field of secretFieldsOf(channel.type)) {
+    if (config[field]) {
+      config[field] = transform(config[field]);
+    }
+  }
+  return { ...channel, config };
+}
+
+/**
+ * Build the human-readable message for an event
+ * @returns {{event: string, uid: number, title: string, text: string, timestamp: string, data: Object}}
+ */
+export function formatMessage(event, payload) {
+  const { uid } = payload;
+  let title;
+  let lines;
+
+  switch (event) {
+    case 'runFinished': {
+      const { run } = payload;
+      const icons = { success: '✅', partial: '⚠️', cancelled: '🛑' };
+      const icon = icons[run.status] || '❌';
+      const { completed, incomplete, skipped, failed, draws } = run.summary;
+      title = `${icon} FuFuHub 执行${run.status === 'success' ? '完成' : '异常'} - UID ${uid}`;
+      lines = [
+        `Status: ${run.status} (${run.trigger}${run.runNumber ? ` #${run.runNumber}` : ''})`,
+        `Tasks: ${completed} completed, ${incomplete} incomplete, ${skipped} skipped, ${failed} failed`,
+        `Lottery draws: ${draws}`,
+        ...run.errors.map((error) => `Error (${error.stage}): ${error.message}`),
+      ];
+      break;
+    }
+    case 'taskFailed':
+      title = `❌ FuFuHub 任务失败 - UID ${uid}`;
+      lines = [
+        `Task: ${payload.task.task_name} (${payload.task.task_id})`,
+        `Error: ${payload.error}`,
+      ];
+      break;
+    case 'tokenRefreshFailed':
+      title = `🔑 FuFuHub Token 刷新失败 - UID ${uid}`;
+      lines = [
+        `All ${payload.attempts} refresh attempts failed`,
+        `Error: ${payload.error}`,
+        'Update the account credentials if this keeps happening.',
+      ];
+      break;
+    case 'prizeWon':
+      title = `🎁 FuFuHub 抽中奖品 - UID ${uid}`;
+      lines = [`${payload.prize.prize_name}${payload.prize.prize_desc ? ` (${payload.prize.prize_desc})` : ''}`];
+      break;
+    default:
+      title = `FuFuHub ${event} - UID ${uid}`;
+      lines = [payload.text || ''];
+  }
+
+  return {
+    event,
+    uid,
+    title,
+    text: lines.join('\n'),
+    timestamp: new Date().toISOString(),
+    data: payload,
+  };
+}
+
+/**
+ * 通知渠道 (Notification channels)
+ * notify:channels - hash of channel id -> { id, type, name, enabled, config, events, uids, runStatuses }
+ *                   secret config fields are encrypted like account secrets
+ * notify:status   - hash of channel id -> { lastAttemptAt, lastSuccessAt, lastError }
+ * A channel receives an event only when it is enabled, subscribed to the event
+ * and the account opted in (uid listed in uids).
+ */
+class Notifier {
+  /**
+   * Validate and normalize a channel definition from the API
+   * @throws {Error} - with a user-facing message
+   */
+  normalizeChannel(input, existing = null) {
+    const driver = CHANNEL_TYPES[input.type];
+    if (!driver) {
+      throw new Error(`Invalid channel type, expected one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+    }
+
+    const events = input.events ?? [];
+    if (!Array.isArray(events) || events.some((event) => !NOTIFY_EVENTS.includes(event))) {
+      throw new Error(`Invalid events, expected any of: ${NOTIFY_EVENTS.join(', ')}`);
+    }
+
+    const runStatuses = input.runStatuses ?? [];
+    if (!Array.isArray(runStatuses) || runStatuses.some((status) => !RUN_STATUSES.includes(status))) {
+      throw new Error(`Invalid runStatuses, expected any of: ${RUN_STATUSES.join(', ')}`);
+    }
+
+    const uids = (input.uids ?? []).map((uid) => parseInt(uid, 10));
+    if (uids.some((uid) => Number.isNaN(uid))) {
+      throw new Error('uids must be a list of account uids');
+    }
+
+    const config = {};
+    for (const field of driver.fields) {
+      let value = input.config?.[field.name];
+      // Masked secrets sent back by the dashboard mean "unchanged"
+      if (field.secret && isMasked(value) && existing?.type === input.type) {
+        value = existing.config[field.name];
+      }
+      if (field.required && (value === undefined || value === null || value === '')) {
+        throw new Error(`${driver.label}: ${field.label} is required`);
+      }
+      if (value !== undefined && value !== '') {
+        config[field.name] = field.type === 'checkbox' ? Boolean(value) : value;
+      }
+    }
+
+    return {
+      id: existing?.id || input.id || crypto.randomBytes(6).toString('hex'),
+      type: input.type,
+      name: input.name || driver.label,
+      enabled: input.enabled !== false,
+      config,
+      events,
+      uids,
+      // Only for runFinished; empty = every status
+      runStatuses,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  async listChannels() {
+    const channels = await redisClient.hGetAll(CHANNELS_KEY);
+    return Object.values(channels)
+      .map((channelJson) => mapSecrets(JSON.parse(channelJson), decryptValue))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getChannel(id) {
+    const channelJson = await redisClient.hGet(CHANNELS_KEY, id);
+    return channelJson ? mapSecrets(JSON.parse(channelJson), decryptValue) : null;
+  }
+
+  async saveChannel(input) {
+    const existing = input.id ? await this.getChannel(input.id) : null;
+    const channel = this.normalizeChannel(input, existing);
+    await redisClient.hSet(CHANNELS_KEY, channel.id, JSON.stringify(mapSecrets(channel, encryptValue)));
+    return channel;
+  }
+
+  async deleteChannel(id) {
+    const removed = await redisClient.hDel(CHANNELS_KEY, id);
+    await redisClient.hDel(STATUS_KEY, id);
+    return removed > 0;
+  }
+
+  /**
+   * Re-encrypt channel secrets with the current master key (see userStore.reencryptAll)
+   * @returns {Promise<number>} - number of channels rewritten
+   */
+  async reencryptAll() {
+    if (!hasMasterKey()) {
+      return 0;
+    }
+
+    let rewritten = 0;
+    const channels = await redisClient.hGetAll(CHANNELS_KEY);
+    for (const [id, channelJson] of Object.entries(channels)) {
+      const stored = JSON.parse(channelJson);
+      const stale = secretFieldsOf(stored.type).some(
+        (field) => stored.config[field] && !isCurrentKey(stored.config[field])
+      );
+      if (!stale) {
+        continue;
+      }
+
+      try {
+        const channel = mapSecrets(stored, decryptValue);
+        await redisClient.hSet(CHANNELS_KEY, id, JSON.stringify(mapSecrets(channel, encryptValue)));
+        rewritten++;
+      } catch (error) {
+        logger.error(`[Secrets] Failed to re-encrypt notification channel ${id}: ${error.message}`);
+      }
+    }
+    return rewritten;
+  }
+
+  async getStatuses() {
+    const statuses = await redisClient.hGetAll(STATUS_KEY);
+    return Object.fromEntries(
+      Object.entries(statuses).map(([id, statusJson]) => [id, JSON.parse(statusJson)])
+    );
+  }
+
+  /**
+   * Channel as shown to the browser: secret config fields masked
+   */
+  toPublic(channel, status = null) {
+    return { ...mapSecrets(channel, maskValue), status };
+  }
+
+  matches(channel, event, payload) {
+    if (!channel.enabled || !channel.events.includes(event) || !channel.uids.includes(payload.uid)) {
+      return false;
+    }
+    if (event === 'runFinished' && channel.runStatuses.length > 0) {
+      return channel.runStatuses.includes(payload.run.status);
+    }
+    return true;
+  }
+
+  /**
+   * Deliver one message through a channel and record the outcome
+   */
+  async deliver(channel, message) {
+    const status = { lastAttemptAt: new Date().toISOString() };
+    try {
+      await CHANNEL_TYPES[channel.type].send(channel.config, message);
+      status.lastSuccessAt = status.lastAttemptAt;
+      status.lastError = null;
+      logger.info(`[Notify] Sent ${message.event} for user ${message.uid} via ${channel.type} "${channel.name}"`);
+    } catch (error) {
+      status.lastError = error.message;
+      logger.warn(`[Notify] Failed to send ${message.event} via ${channel.type} "${channel.name}": ${error.message}`);
+    }
+
+    const previousJson = await redisClient.hGet(STATUS_KEY, channel.id);
+    const previous = previousJson ? JSON.parse(previousJson) : {};
+    await redisClient.hSet(STATUS_KEY, channel.id, JSON.stringify({ ...previous, ...status }));
+
+    if (status.lastError) {
+      throw new Error(status.lastError);
+    }
+  }
+
+  /**
+   * Fan an event out to every matching channel
+   * Never throws: a broken channel must not affect the run that produced the event
+   * @param {string} event - One of NOTIFY_EVENTS
+   * @param {Object} payload - Event data, always includes uid
+   */
+  async notify(event, payload) {
+    try {
+      const channels = (await this.listChannels()).filter((channel) =>
+        this.matches(channel, event, payload)
+      );
+      if (channels.length === 0) {
+        return;
+      }
+
+      const message = formatMessage(event, payload);
+      await Promise.allSettled(channels.map((channel) => this.deliver(channel, message)));
+    } catch (error) {
+      logger.error(`[Notify] Failed to dispatch ${event}:`, error.message);
+    }
+  }
+
+  /**
+   * Send a test message through a channel, throws on delivery failure
+   */
+  async sendTest(channel) {
+    const message = {
+      event: 'test',
+      uid: null,
+      title: '🔔 FuFuHub 测试通知 (Test notification)',
+      text: `Channel "${channel.name}" is configured correctly.`,
+      timestamp: new Date().toISOString(),
+      data: {},
+    };
+    await this.deliver(channel, message);
+  }
+}
+
+export default new Notifier();
@@ -0,0 +1,31 @@
+import axios from 'axios';
+
+/**
+ * Bark (iOS push): POST {serverUrl}/{deviceKey}
+ */
+export default {
+  type: 'bark',
+  label: 'Bark',
+  fields: [
+    { name: 'deviceKey', label: 'Device key', required: true, secret: true },
+    { name: 'serverUrl', label: 'Server URL', placeholder: 'https://api.day.app' },
+    { name: 'group', label: 'Group', placeholder: 'FuFuHub' },
+  ],
+
+  async send(config, message) {
+    const serverUrl = config.serverUrl || 'https://api.day.app';
+    const response = await axios.post(
+      `${serverUrl}/${config.deviceKey}`,
+      {
+        title: message.title,
+        body: message.text,
+        group: config.group || 'FuFuHub',
+      },
+      { timeout: 10000 }
+    );
+
+    if (response.data?.code !== 200) {
+      throw new Error(`Bark error: ${response.data?.message || 'unknown error'}`);
+    }
+  },
+};
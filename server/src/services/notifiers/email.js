@@ -0,0 +1,36 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP email
+ * Username/password are optional so a local SMTP stand-in can be used
+ */
+export default {
+  type: 'email',
+  label: 'Email (SMTP)',
+  fields: [
+    { name: 'host', label: 'SMTP host', required: true },
+    { name: 'port', label: 'Port', type: 'number', placeholder: '587' },
+    { name: 'secure', label: 'Use TLS (port 465)', type: 'checkbox' },
+    { name: 'username', label: 'Username' },
+    { name: 'password', label: 'Password', secret: true },
+    { name: 'from', label: 'From', required: true },
+    { name: 'to', label: 'To (comma-separated)', required: true },
+  ],
+
+  async send(config, message) {
+    const transporter = nodemailer.createTransport({
+      host: config.host,
+      port: parseInt(config.port, 10) || 587,
+      secure: Boolean(config.secure),
+      auth: config.username ? { user: config.username, pass: config.password } : undefined,
+      connectionTimeout: 10000,
+    });
+
+    await transporter.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: message.title,
+      text: message.text,
+    });
+  },
+};
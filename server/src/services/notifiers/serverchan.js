@@ -0,0 +1,26 @@
+import axios from 'axios';
+
+/**
+ * ServerChan (Server酱, WeChat push): POST {apiBaseUrl}/{sendKey}.send
+ */
+export default {
+  type: 'serverchan',
+  label: 'ServerChan',
+  fields: [
+    { name: 'sendKey', label: 'SendKey', required: true, secret: true },
+    { name: 'apiBaseUrl', label: 'API base URL', placeholder: 'https://sctapi.ftqq.com' },
+  ],
+
+  async send(config, message) {
+    const baseUrl = config.apiBaseUrl || 'https://sctapi.ftqq.com';
+    const response = await axios.post(
+      `${baseUrl}/${config.sendKey}.send`,
+      new URLSearchParams({ title: message.title, desp: message.text }),
+      { timeout: 10000 }
+    );
+
+    if (response.data?.code !== 0) {
+      throw new Error(`ServerChan error: ${response.data?.message || 'unknown error'}`);
+    }
+  },
+};
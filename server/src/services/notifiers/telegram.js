@@ -0,0 +1,31 @@
+import axios from 'axios';
+
+/**
+ * Telegram bot: sendMessage to a chat
+ * apiBaseUrl can point at a local stand-in for testing
+ */
+export default {
+  type: 'telegram',
+  label: 'Telegram Bot',
+  fields: [
+    { name: 'botToken', label: 'Bot token', required: true, secret: true },
+    { name: 'chatId', label: 'Chat ID', required: true },
+    { name: 'apiBaseUrl', label: 'API base URL', placeholder: 'https://api.telegram.org' },
+  ],
+
+  async send(config, message) {
+    const baseUrl = config.apiBaseUrl || 'https://api.telegram.org';
+    const response = await axios.post(
+      `${baseUrl}/bot${config.botToken}/sendMessage`,
+      {
+        chat_id: config.chatId,
+        text: `${message.title}\n\n${message.text}`,
+      },
+      { timeout: 10000 }
+    );
+
+    if (!response.data?.ok) {
+      throw new Error(`Telegram error: ${response.data?.description || 'unknown error'}`);
+    }
+  },
+};
@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+/**
+ * Generic webhook: POSTs the notification as JSON
+ * With a secret, the body is signed: X-FuFuHub-Signature: sha256=<hmac hex>
+ */
+export default {
+  type: 'webhook',
+  label: 'Webhook',
+  fields: [
+    { name: 'url', label: 'URL', required: true, secret: true },
+    { name: 'secret', label: 'Signing secret', secret: true },
+  ],
+
+  async send(config, message) {
+    const body = JSON.stringify(message);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.secret) {
+      const signature = crypto.createHmac('sha256', config.secret).update(body).digest('hex');
+      headers['X-FuFuHub-Signature'] = `sha256=${signature}`;
+    }
+
+    await axios.post(config.url, body, { headers, timeout: 10000 });
+  },
+};
@@ -0,0 +1,145 @@
+import redisClient from '../utils/redis.js';
+import userStore from './userStore.js';
+import runHistory from './runHistory.js';
+import rewardLedger from './rewardLedger.js';
+import { daysUntil } from './rewardExpiry.js';
+
+// Latest getuserinfo result of an account: { nickname, points, signDay, lotteryNum, fetchedAt }
+const userInfoKey = (uid) => `userinfo:${uid}`;
+
+// task_state of a finished task in getactivitytask
+const TASK_STATE_COMPLETED = 3;
+
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Asia/Shanghai';
+const dayOf = (time) => new Date(time).toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+
+/**
+ * 账户总览 (Cross-account overview)
+ * Built from what runs already stored (tasks:{uid}, run history, reward ledger and the
+ * userinfo:{uid} snapshot), so it never calls upstream.
+ */
+class Overview {
+  /**
+   * Keep the figures of a getuserinfo response for the overview
+   */
+  async recordUserInfo(uid, userInfo) {
+    if (!userInfo) {
+      return;
+    }
+    await redisClient.set(
+      userInfoKey(uid),
+      JSON.stringify({
+        nickname: userInfo.nickname ?? null,
+        points: userInfo.points ?? null,
+        signDay: userInfo.sign_day ?? null,
+        lotteryNum: userInfo.lottery_num ?? null,
+        fetchedAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  async getUserInfo(uid) {
+    const infoJson = await redisClient.get(userInfoKey(uid));
+    return infoJson ? JSON.parse(infoJson) : null;
+  }
+
+  /**
+   * Today's task counts from the stored task list (null when it was not fetched today)
+   */
+  async todayTasks(uid, today) {
+    const [tasksJson, fetchedAt] = await Promise.all([
+      redisClient.get(`tasks:${uid}`),
+      redisClient.get(`tasks:${uid}:fetchedAt`),
+    ]);
+    if (!tasksJson || !fetchedAt || dayOf(fetchedAt) !== today) {
+      return { completed: null, pending: null, fetchedAt: fetchedAt || null };
+    }
+    const tasks = JSON.parse(tasksJson);
+    const completed = tasks.filter((task) => task.task_state === TASK_STATE_COMPLETED).length;
+    return { completed, pending: tasks.length - completed, fetchedAt };
+  }
+
+  /**
+   * Minutes of reward cards that are neither used nor expired
+   */
+  async unusedMinutes(uid, now) {
+    const cards = await rewardLedger.unusedCards(uid);
+    return cards
+      .filter((card) => (daysUntil(card.expiryDate, now) ?? -1) >= 0)
+      .reduce((sum, card) => sum + card.minutes, 0);
+  }
+
+  async account(user, now, today) {
+    const [lastRun, info, tasks, unusedMinutes] = await Promise.all([
+      runHistory.latest(user.uid),
+      this.getUserInfo(user.uid),
+      this.todayTasks(user.uid, today),
+      this.unusedMinutes(user.uid, now),
+    ]);
+    const tokenAgeMs = user.tokenUpdatedAt ? now - Date.parse(user.tokenUpdatedAt) : null;
+
+    return {
+      uid: user.uid,
+      phone: user.phone || null,
+      nickname: info?.nickname ?? null,
+      isActive: user.isActive !== false,
+      tokenUpdatedAt: user.tokenUpdatedAt || null,
+      tokenAgeMinutes: tokenAgeMs === null ? null : Math.round(tokenAgeMs / 60000),
+      lastRun: lastRun
+        ? {
+            runId: lastRun.runId,
+            status: lastRun.status,
+            trigger: lastRun.trigger,
+            startedAt: lastRun.startedAt,
+            summary: lastRun.summary,
+          }
+        : null,
+      tasksCompleted: tasks.completed,
+      tasksPending: tasks.pending,
+      tasksFetchedAt: tasks.fetchedAt,
+      points: info?.points ?? null,
+      signDay: info?.signDay ?? null,
+      lotteryNum: info?.lotteryNum ?? null,
+      userInfoFetchedAt: info?.fetchedAt ?? null,
+      unusedMinutes,
+    };
+  }
+
+  /**
+   * @returns {Promise<{generatedAt: string, accounts: Array, totals: Object}>}
+   */
+  async build() {
+    const now = Date.now();
+    const today = dayOf(now);
+    const users = await userStore.listUsers();
+    const accounts = await Promise.all(users.map((user) => this.account(user, now, today)));
+
+    const sum = (field) => accounts.reduce((total, account) => total + (account[field] || 0), 0);
+    const lastRunStatuses = {};
+    for (const account of accounts) {
+      const status = account.lastRun?.status || 'none';
+      lastRunStatuses[status] = (lastRunStatuses[status] || 0) + 1;
+    }
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      accounts,
+      totals: {
+        accounts: accounts.length,
+        active: accounts.filter((account) => account.isActive).length,
+        tasksCompleted: sum('tasksCompleted'),
+        tasksPending: sum('tasksPending'),
+        points: sum('points'),
+        lotteryNum: sum('lotteryNum'),
+        unusedMinutes: sum('unusedMinutes'),
+        lastRunStatuses,
+      },
+    };
+  }
+
+  async deleteUser(uid) {
+    await redisClient.del(userInfoKey(uid));
+  }
+}
+
+export default new Overview();
@@ -0,0 +1,147 @@
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import { broadcastToClients } from '../utils/broadcast.js';
+import { AccountSession } from './accountSession.js';
+import rewardLedger from './rewardLedger.js';
+import userStore from './userStore.js';
+
+// Last scan: { scannedAt, horizonDays, items, alerted }
+const EXPIRING_KEY = 'rewards:expiring';
+
+const horizonDays = parseInt(process.env.REWARD_EXPIRY_HORIZON_DAYS, 10);
+export const REWARD_EXPIRY_HORIZON_DAYS = Number.isNaN(horizonDays) ? 3 : horizonDays;
+const checkHours = parseInt(process.env.REWARD_EXPIRY_CHECK_HOURS, 10);
+export const REWARD_EXPIRY_CHECK_HOURS = Number.isNaN(checkHours) ? 6 : checkHours;
+
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Asia/Shanghai';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayOf = (time) => new Date(time).toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+
+/**
+ * Whole days from today until the card's expiry date (0 = expires today, negative = expired)
+ * sale_duration is a date ("2026-01-31") or a date time; only the day counts
+ */
+export function daysUntil(expiryDate, now = Date.now()) {
+  const expiry = Date.parse(expiryDate);
+  if (Number.isNaN(expiry)) {
+    return null;
+  }
+  const expiryDay = /^\d{4}-\d{2}-\d{2}$/.test(expiryDate) ? expiryDate : dayOf(expiry);
+  return Math.round((Date.parse(expiryDay) - Date.parse(dayOf(now))) / DAY_MS);
+}
+
+/**
+ * 奖励到期提醒 (Reward expiry tracking)
+ * Syncs every active account's order history into the reward ledger, then lists the unused
+ * cards expiring within REWARD_EXPIRY_HORIZON_DAYS (used or redeemed cards are ignored). Cards not reported by the previous scan
+ * are alerted once through the system log and a 'rewardsExpiring' WebSocket message.
+ * TaskScheduler runs the scan every REWARD_EXPIRY_CHECK_HOURS while it is running.
+ */
+class RewardExpiry {
+  async getLatest() {
+    const resultJson = await redisClient.get(EXPIRING_KEY);
+    return resultJson ? JSON.parse(resultJson) : null;
+  }
+
+  /**
+   * Unused cards of an account expiring within the horizon, soonest first
+   */
+  async expiringCards(user, now = Date.now()) {
+    const cards = await rewardLedger.unusedCards(user.uid);
+    return cards
+      .map((card) => ({ card, daysLeft: daysUntil(card.expiryDate, now) }))
+      .filter(({ daysLeft }) => daysLeft !== null && daysLeft >= 0 && daysLeft <= REWARD_EXPIRY_HORIZON_DAYS)
+      .map(({ card, daysLeft }) => ({
+        uid: user.uid,
+        phone: user.phone || null,
+        orderId: card.id,
+        saleName: card.saleName,
+        minutes: card.minutes,
+        state: card.state,
+        expiryDate: card.expiryDate,
+        daysLeft,
+      }))
+      .sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+
+  /**
+   * Recompute the expiring cards of every active account
+   * @param {Object} options - { sync: pull the order history first, log: (message, type) => void for system logs }
+   * @returns {Promise<{scannedAt: string, horizonDays: number, items: Array, errors: Array}>}
+   */
+  async scan({ sync = true, log = null } = {}) {
+    const previous = await this.getLatest();
+    const alreadyAlerted = new Set(previous?.alerted || []);
+    const users = (await userStore.listUsers()).filter((user) => user.isActive !== false);
+    const items = [];
+    const errors = [];
+
+    for (const user of users) {
+      if (sync) {
+        try {
+          await rewardLedger.sync(await AccountSession.forUser(user));
+        } catch (error) {
+          // The ledger still knows the cards from earlier syncs
+          logger.warn(`[Rewards] Expiry scan could not sync user ${user.uid}: ${error.message}`);
+          errors.push({ uid: user.uid, message: error.message });
+        }
+      }
+      items.push(...(await this.expiringCards(user)));
+    }
+
+    const result = {
+      scannedAt: new Date().toISOString(),
+      horizonDays: REWARD_EXPIRY_HORIZON_DAYS,
+      items,
+      errors,
+      alerted: items.map((item) => `${item.uid}:${item.orderId}`),
+    };
+    await redisClient.set(EXPIRING_KEY, JSON.stringify(result));
+
+    const fresh = items.filter((item) => !alreadyAlerted.has(`${item.uid}:${item.orderId}`));
+    if (fresh.length > 0) {
+      this.alert(fresh, log);
+    }
+    logger.info(`[Rewards] Expiry scan: ${items.length} card(s) expiring within ${REWARD_EXPIRY_HORIZON_DAYS} day(s), ${fresh.length} new`);
+
+    return result;
+  }
+
+  alert(items, log) {
+    const byUser = new Map();
+    for (const item of items) {
+      byUser.set(item.uid, [...(byUser.get(item.uid) || []), item]);
+    }
+
+    for (const [uid, cards] of byUser) {
+      const minutes = cards.reduce((sum, card) => sum + card.minutes, 0);
+      const soonest = cards[0];
+      log?.(
+        `⏳ 用户 ${uid} 有 ${cards.length} 张时长卡（共 ${minutes} 分钟）即将过期，最早 ${soonest.expiryDate} (${cards.length} card(s) / ${minutes} min expiring, first on ${soonest.expiryDate})`,
+        'warning'
+      );
+    }
+
+    broadcastToClients({
+      type: 'rewardsExpiring',
+      items,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Forget alerts of a removed account
+   */
+  async deleteUser(uid) {
+    const latest = await this.getLatest();
+    if (!latest) {
+      return;
+    }
+    latest.items = latest.items.filter((item) => item.uid !== uid);
+    latest.alerted = latest.alerted.filter((key) => !key.startsWith(`${uid}:`));
+    await redisClient.set(EXPIRING_KEY, JSON.stringify(latest));
+  }
+}
+
+export default new RewardExpiry();
@@ -0,0 +1,351 @@
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import userStore from './userStore.js';
+
+// Orders of this type are the duration cards earned from tasks and the lottery
+export const REWARD_ORDER_TYPE = 101;
+export const LEDGER_SOURCES = ['order', 'prize'];
+// order.state of a reward card as issued, before it is used
+export const CARD_STATE_UNUSED = 1;
+
+const ordersKey = (uid) => `rewards:${uid}:orders`;
+const ordersIndexKey = (uid) => `rewards:${uid}:index`;
+const syncKey = (uid) => `rewards:${uid}:sync`;
+const prizesKey = (uid) => `prizes:${uid}`;
+
+const pageSize = parseInt(process.env.REWARD_SYNC_PAGE_SIZE, 10);
+const PAGE_SIZE = Number.isNaN(pageSize) ? 100 : pageSize;
+const maxPages = parseInt(process.env.REWARD_SYNC_MAX_PAGES, 10);
+const MAX_PAGES = Number.isNaN(maxPages) ? 20 : maxPages;
+
+const TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Asia/Shanghai';
+
+/**
+ * Minutes of a duration card from its name ("15分钟卡" -> 15, "1小时卡" -> 60)
+ */
+export function parseCardMinutes(name) {
+  const minutesMatch = String(name || '').match(/(\d+)分钟/);
+  const hoursMatch = String(name || '').match(/(\d+)小时/);
+  if (minutesMatch) {
+    return parseInt(minutesMatch[1], 10);
+  }
+  if (hoursMatch) {
+    return parseInt(hoursMatch[1], 10) * 60;
+  }
+  return 0;
+}
+
+/**
+ * Whether a reward card can still be used; cards recorded without a state count as unused
+ */
+export function isUnusedCard(card) {
+  return card.state === null || card.state === undefined || Number(card.state) === CARD_STATE_UNUSED;
+}
+
+// Upstream times may be ISO strings, "YYYY-MM-DD HH:mm:ss" or unix seconds / milliseconds
+function toIsoTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? (value < 1e12 ? value * 1000 : value) : Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function monthOf(time) {
+  return new Date(time).toLocaleDateString('en-CA', { timeZone: TIMEZONE }).slice(0, 7);
+}
+
+function normalizeOrder(uid, order) {
+  return {
+    source: 'order',
+    id: String(order.id),
+    uid,
+    orderType: order.order_type,
+    saleName: order.sale_name ?? null,
+    minutes: parseCardMinutes(order.sale_name),
+    expiryDate: order.sale_duration ?? null,
+    payType: order.pay_type ?? null,
+    state: order.state ?? null,
+    orderTime: toIsoTime(order.order_time),
+    // Kept as sent: an unchanged update_time means the order is already up to date
+    updateTime: order.update_time ?? null,
+  };
+}
+
+const entryTime = (entry) => Date.parse(entry.source === 'prize' ? entry.at : entry.orderTime) || 0;
+
+/**
+ * 奖励台账 (Reward and prize ledger)
+ * rewards:{uid}:orders  - hash of order id -> normalized order (every order type)
+ * rewards:{uid}:index   - sorted set of order ids by order time
+ * rewards:{uid}:sync    - JSON state of the last order history sync
+ * prizes:{uid}          - sorted set of drawn prizes (JSON) by draw time
+ * The order history is read newest first and only until an unchanged known order,
+ * so a sync usually costs one page. A first sync cut short by REWARD_SYNC_MAX_PAGES
+ * continues with the older pages on the next sync.
+ */
+class RewardLedger {
+  async getSyncState(uid) {
+    const stateJson = await redisClient.get(syncKey(uid));
+    return stateJson ? JSON.parse(stateJson) : null;
+  }
+
+  /**
+   * Store one page of orders
+   * @returns {Promise<{added: number, updated: number, reachedKnown: boolean}>}
+   */
+  async storeOrders(uid, orders) {
+    const known = await redisClient.hmGet(
+      ordersKey(uid),
+      orders.map((order) => String(order.id))
+    );
+    const now = new Date().toISOString();
+    const result = { added: 0, updated: 0, reachedKnown: false };
+    const multi = redisClient.multi();
+
+    orders.forEach((order, index) => {
+      const entry = normalizeOrder(uid, order);
+      const existing = known[index] ? JSON.parse(known[index]) : null;
+      if (existing && existing.updateTime === entry.updateTime) {
+        result.reachedKnown = true;
+        return;
+      }
+
+      entry.orderTime ||= existing?.orderTime || now;
+      entry.firstSeenAt = existing?.firstSeenAt || now;
+      multi.hSet(ordersKey(uid), entry.id, JSON.stringify(entry));
+      multi.zAdd(ordersIndexKey(uid), { score: Date.parse(entry.orderTime), value: entry.id });
+      result[existing ? 'updated' : 'added']++;
+    });
+
+    await multi.exec();
+    return result;
+  }
+
+  /**
+   * Read order history pages from `offset` on
+   * @param {Object} options - { stopAtKnown: stop after a page holding an unchanged known order, pages: page budget }
+   */
+  async walk(session, offset, { stopAtKnown, pages }) {
+    const result = { offset, pages: 0, added: 0, updated: 0, total: null, reachedEnd: false };
+
+    while (result.pages < pages) {
+      const history = await session.getOrderHistory({ offset: result.offset, limit: PAGE_SIZE });
+      const orders = history?.order_list || [];
+      result.pages++;
+      result.total = history?.total ?? result.total;
+
+      const stored = orders.length > 0 ? await this.storeOrders(session.uid, orders) : { added: 0, updated: 0 };
+      result.added += stored.added;
+      result.updated += stored.updated;
+      result.offset += orders.length;
+
+      if (orders.length < PAGE_SIZE || (result.total !== null && result.offset >= result.total)) {
+        result.reachedEnd = true;
+        break;
+      }
+      if (stopAtKnown && stored.reachedKnown) {
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Pull new and changed orders from the upstream order history
+   * @param {AccountSession} session
+   * @returns {Promise<Object>} - Sync state { syncedAt, pages, added, updated, total, backfillOffset }
+   */
+  async sync(session) {
+    const uid = session.uid;
+    const previous = await this.getSyncState(uid);
+
+    const head = await this.walk(session, 0, { stopAtKnown: Boolean(previous), pages: MAX_PAGES });
+    let { pages, added, updated } = head;
+    // A first sync that ran out of pages continues from there next time
+    let backfillOffset = !previous && !head.reachedEnd ? head.offset : null;
+
+    // Older pages left over from such a sync; new orders shifted them down
+    if (previous?.backfillOffset != null && !head.reachedEnd) {
+      backfillOffset = previous.backfillOffset + head.added;
+      if (pages < MAX_PAGES) {
+        const tail = await this.walk(session, backfillOffset, { stopAtKnown: false, pages: MAX_PAGES - pages });
+        pages += tail.pages;
+        added += tail.added;
+        updated += tail.updated;
+        backfillOffset = tail.reachedEnd ? null : tail.offset;
+      }
+    }
+
+    const state = {
+      syncedAt: new Date().toISOString(),
+      pages,
+      added,
+      updated,
+      total: head.total,
+      backfillOffset,
+    };
+    await redisClient.set(syncKey(uid), JSON.stringify(state));
+
+    logger.info(
+      `[Rewards] Synced order history for user ${uid}: ${added} new, ${updated} updated (${pages} page(s))` +
+        (backfillOffset !== null ? `, older orders continue from offset ${backfillOffset}` : '')
+    );
+    return state;
+  }
+
+  /**
+   * Record a prize returned by drawPrize
+   * @param {number} uid
+   * @param {Object} draw - { prize, runId, index, drawType }
+   */
+  async recordPrize(uid, { prize, runId = null, index = null, drawType = 1 }) {
+    const entry = {
+      source: 'prize',
+      uid,
+      runId,
+      index,
+      drawType,
+      prizeId: prize?.prize_id ?? null,
+      prizeName: prize?.prize_name ?? null,
+      prizeDesc: prize?.prize_desc ?? null,
+      minutes: parseCardMinutes(prize?.prize_name),
+      at: new Date().toISOString(),
+    };
+    await redisClient.zAdd(prizesKey(uid), { score: Date.parse(entry.at), value: JSON.stringify(entry) });
+    return entry;
+  }
+
+  /**
+   * Ledger entries of one account, newest first
+   */
+  async entriesOf(uid, { source, type, from, to }) {
+    const min = from ? Date.parse(from) : '-inf';
+    const max = to ? Date.parse(to) : '+inf';
+    const entries = [];
+
+    if (source !== 'prize') {
+      const ids = await redisClient.zRange(ordersIndexKey(uid), max, min, { BY: 'SCORE', REV: true });
+      const orders = ids.length > 0 ? await redisClient.hmGet(ordersKey(uid), ids) : [];
+      for (const orderJson of orders) {
+        const order = orderJson && JSON.parse(orderJson);
+        if (order && (type === undefined || order.orderType === type)) {
+          entries.push(order);
+        }
+      }
+    }
+
+    if (source !== 'order') {
+      const prizes = await redisClient.zRange(prizesKey(uid), max, min, { BY: 'SCORE', REV: true });
+      entries.push(...prizes.map((prizeJson) => JSON.parse(prizeJson)));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Every reward card (order_type 101) of an account, newest first
+   */
+  async rewardCards(uid) {
+    return this.entriesOf(uid, { source: 'order', type: REWARD_ORDER_TYPE });
+  }
+
+  /**
+   * Reward cards that have not been used or redeemed yet, newest first
+   */
+  async unusedCards(uid) {
+    return (await this.rewardCards(uid)).filter(isUnusedCard);
+  }
+
+  async accountUids(uid) {
+    return uid ? [uid] : (await userStore.listUsers()).map((user) => user.uid);
+  }
+
+  /**
+   * Query the ledger, newest first
+   * @param {Object} filters - { uid, source: 'order'|'prize', type: order_type (orders only), from, to, page, pageSize }
+   * @returns {Promise<{items: Array, total: number, page: number, pageSize: number}>}
+   */
+  async query({ uid, source, type, from, to, page = 1, pageSize = 50 } = {}) {
+    const entries = [];
+    for (const accountUid of await this.accountUids(uid)) {
+      entries.push(...(await this.entriesOf(accountUid, { source, type, from, to })));
+    }
+    entries.sort((a, b) => entryTime(b) - entryTime(a));
+
+    const offset = (page - 1) * pageSize;
+    return { items: entries.slice(offset, offset + pageSize), total: entries.length, page, pageSize };
+  }
+
+  /**
+   * Card minutes earned per month (reward orders by order time, prizes by draw time)
+   * @returns {Promise<Array<{month: string, minutes: number, orders: number, prizeMinutes: number, prizes: number,
+   *                          accounts: Object<string, number>}>>} - oldest month first; accounts: minutes per uid
+   */
+  async monthlyTotals({ uid, from, to } = {}) {
+    const months = new Map();
+    const monthEntry = (month) => {
+      if (!months.has(month)) {
+        months.set(month, { month, minutes: 0, orders: 0, prizeMinutes: 0, prizes: 0, accounts: {} });
+      }
+      return months.get(month);
+    };
+
+    for (const accountUid of await this.accountUids(uid)) {
+      const entries = await this.entriesOf(accountUid, { from, to });
+      for (const entry of entries) {
+        const totals = monthEntry(monthOf(entryTime(entry)));
+        if (entry.source === 'prize') {
+          totals.prizes++;
+          totals.prizeMinutes += entry.minutes;
+        } else if (entry.orderType === REWARD_ORDER_TYPE) {
+          totals.orders++;
+          totals.minutes += entry.minutes;
+          totals.accounts[accountUid] = (totals.accounts[accountUid] || 0) + entry.minutes;
+        }
+      }
+    }
+
+    return [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+  }
+
+  /**
+   * Distribution of drawn prizes (most frequent first)
+   * @returns {Promise<{draws: number, minutes: number, prizes: Array<{prizeName: string, count: number,
+   *                   share: number, minutes: number}>, drawTypes: Object<string, number>}>}
+   *          share: fraction of all draws; drawTypes: draws per draw type
+   */
+  async prizeStats({ uid, from, to } = {}) {
+    const byName = new Map();
+    const drawTypes = {};
+    let draws = 0;
+    let minutes = 0;
+
+    for (const accountUid of await this.accountUids(uid)) {
+      for (const prize of await this.entriesOf(accountUid, { source: 'prize', from, to })) {
+        const name = prize.prizeName ?? 'Unknown';
+        const stats = byName.get(name) || { prizeName: name, count: 0, share: 0, minutes: 0 };
+        stats.count++;
+        stats.minutes += prize.minutes;
+        byName.set(name, stats);
+
+        // Prizes recorded before draw types were configurable used type 1
+        const drawType = prize.drawType ?? 1;
+        drawTypes[drawType] = (drawTypes[drawType] || 0) + 1;
+        draws++;
+        minutes += prize.minutes;
+      }
+    }
+
+    const prizes = [...byName.values()]
+      .map((stats) => ({ ...stats, share: Math.round((stats.count / draws) * 1000) / 1000 }))
+      .sort((a, b) => b.count - a.count || a.prizeName.localeCompare(b.prizeName));
+    return { draws, minutes, prizes, drawTypes };
+  }
+
+  async deleteUser(uid) {
+    await redisClient.del([ordersKey(uid), ordersIndexKey(uid), syncKey(uid), prizesKey(uid)]);
+  }
+}
+
+export default new RewardLedger();
@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+
+const RUNS_INDEX = 'runs:index';
+const runKey = (runId) => `run:${runId}`;
+const userRunsKey = (uid) => `runs:user:${uid}`;
+
+const retentionDays = parseInt(process.env.RUN_HISTORY_RETENTION_DAYS, 10);
+const RETENTION_MS = (Number.isNaN(retentionDays) ? 30 : retentionDays) * 24 * 60 * 60 * 1000;
+
+export const RUN_TRIGGERS = ['scheduled', 'catch-up', 'manual', 'follow-up'];
+export const RUN_STATUSES = ['running', 'success', 'partial', 'failed', 'cancelled'];
+
+export const TASK_OUTCOMES = {
+  SKIPPED: 'skipped',
+  COMPLETED: 'completed',
+  INCOMPLETE: 'incomplete',
+  FAILED: 'failed',
+};
+
+export function createRunId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * In-memory record of a single executeDailySignIn call
+ * Collects task decisions, lottery draws and errors, then saved by RunHistory
+ */
+export class RunRecord {
+  constructor({ runId, uid, trigger = 'manual', runNumber = null }) {
+    this.runId = runId || createRunId();
+    this.uid = uid;
+    this.trigger = trigger;
+    this.runNumber = runNumber;
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.tasksFetched = 0;
+    this.tasks = [];
+    this.draws = [];
+    // Lottery policy decision: { tickets, draws, drawType, reason }
+    this.lottery = null;
+    this.errors = [];
+  }
+
+  recordTasksFetched(tasks) {
+    this.tasksFetched = tasks.length;
+  }
+
+  recordTask(task, outcome, detail = null) {
+    this.tasks.push({
+      taskId: task.task_id,
+      taskName: task.task_name,
+      taskType: task.task_type,
+      progress: task.task_value ?? null,
+      target: task.task_target ?? null,
+      outcome,
+      detail,
+      at: new Date().toISOString(),
+    });
+  }
+
+  recordDraw(index, prize, error = null) {
+    this.draws.push({
+      index,
+      prizeName: prize?.prize_name ?? null,
+      prizeDesc: prize?.prize_desc ?? null,
+      error: error ? error.message || String(error) : null,
+      at: new Date().toISOString(),
+    });
+  }
+
+  recordLottery(plan) {
+    this.lottery = plan;
+  }
+
+  recordError(stage, error) {
+    this.errors.push({
+      stage,
+      message: error?.message || String(error),
+      at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Close the record; status derives from collected outcomes unless forced
+   */
+  finish(status = null) {
+    this.finishedAt = new Date().toISOString();
+    if (status) {
+      this.status = status;
+    } else {
+      const hasFailures =
+        this.errors.length > 0 ||
+        this.draws.some((draw) => draw.error) ||
+        this.tasks.some((task) => task.outcome === TASK_OUTCOMES.FAILED);
+      this.status = hasFailures ? 'partial' : 'success';
+    }
+    return this;
+  }
+
+  get summary() {
+    const count = (outcome) => this.tasks.filter((task) => task.outcome === outcome).length;
+    return {
+      completed: count(TASK_OUTCOMES.COMPLETED),
+      skipped: count(TASK_OUTCOMES.SKIPPED),
+      incomplete: count(TASK_OUTCOMES.INCOMPLETE),
+      failed: count(TASK_OUTCOMES.FAILED),
+      draws: this.draws.filter((draw) => !draw.error).length,
+      errors: this.errors.length,
+    };
+  }
+
+  toJSON() {
+    return {
+      runId: this.runId,
+      uid: this.uid,
+      trigger: this.trigger,
+      runNumber: this.runNumber,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: this.finishedAt ? Date.parse(this.finishedAt) - Date.parse(this.startedAt) : null,
+      tasksFetched: this.tasksFetched,
+      summary: this.summary,
+      tasks: this.tasks,
+      lottery: this.lottery,
+      draws: this.draws,
+      errors: this.errors,
+    };
+  }
+}
+
+/**
+ * 执行历史记录 (Execution history ledger)
+ * run:{runId}        - JSON run record (expires after RUN_HISTORY_RETENTION_DAYS)
+ * runs:index         - sorted set of all run ids by start time
+ * runs:user:{uid}    - sorted set of a user's run ids by start time
+ */
+class RunHistory {
+  start(options) {
+    return new RunRecord(options);
+  }
+
+  async save(run) {
+    const record = run.toJSON();
+    const score = Date.parse(record.startedAt);
+    const cutoff = Date.now() - RETENTION_MS;
+
+    try {
+      await redisClient.set(runKey(record.runId), JSON.stringify(record), {
+        PX: Math.max(RETENTION_MS, 60 * 1000),
+      });
+      await redisClient.zAdd(RUNS_INDEX, { score, value: record.runId });
+      await redisClient.zAdd(userRunsKey(record.uid), { score, value: record.runId });
+
+      await redisClient.zRemRangeByScore(RUNS_INDEX, '-inf', cutoff);
+      await redisClient.zRemRangeByScore(userRunsKey(record.uid), '-inf', cutoff);
+    } catch (error) {
+      logger.error(`[RunHistory] Failed to save run ${record.runId}:`, error.message);
+    }
+
+    return record;
+  }
+
+  async get(runId) {
+    const recordJson = await redisClient.get(runKey(runId));
+    return recordJson ? JSON.parse(recordJson) : null;
+  }
+
+  /**
+   * Query runs, newest first
+   * @param {Object} filters - { uid, trigger, status, from, to, page, pageSize }
+   * @returns {Promise<{items: Array, total: number, page: number, pageSize: number}>}
+   */
+  async list({ uid, trigger, status, from, to, page = 1, pageSize = 20 } = {}) {
+    const index = uid ? userRunsKey(uid) : RUNS_INDEX;
+    const min = from ? Date.parse(from) : '-inf';
+    const max = to ? Date.parse(to) : '+inf';
+    const offset = (page - 1) * pageSize;
+
+    if (!trigger && !status) {
+      const [total, ids] = await Promise.all([
+        redisClient.zCount(index, min, max),
+        redisClient.zRange(index, max, min, {
+          BY: 'SCORE',
+          REV: true,
+          LIMIT: { offset, count: pageSize },
+        }),
+      ]);
+      const items = await this.load(ids);
+      return { items, total, page, pageSize };
+    }
+
+    const ids = await redisClient.zRange(index, max, min, { BY: 'SCORE', REV: true });
+    const records = (await this.load(ids)).filter(
+      (record) =>
+        (!trigger || record.trigger === trigger) &&
+        (!status || record.status === status)
+    );
+
+    return {
+      items: records.slice(offset, offset + pageSize),
+      total: records.length,
+      page,
+      pageSize,
+    };
+  }
+
+  /**
+   * Most recent run of a user
+   */
+  async latest(uid) {
+    const [runId] = await redisClient.zRange(userRunsKey(uid), 0, 0, { REV: true });
+    return runId ? this.get(runId) : null;
+  }
+
+  /**
+   * Most recent successful run of a user, looking back at most `limit` runs
+   */
+  async latestSuccessful(uid, limit = 50) {
+    const ids = await redisClient.zRange(userRunsKey(uid), 0, limit - 1, { REV: true });
+    const records = await this.load(ids);
+    return records.find((record) => record.status === 'success') || null;
+  }
+
+  async load(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    const records = await redisClient.mGet(ids.map(runKey));
+    return records.filter(Boolean).map((recordJson) => JSON.parse(recordJson));
+  }
+
+  async deleteUser(uid) {
+    const ids = await redisClient.zRange(userRunsKey(uid), 0, -1);
+    if (ids.length > 0) {
+      await redisClient.del(ids.map(runKey));
+      await redisClient.zRem(RUNS_INDEX, ids);
+    }
+    await redisClient.del(userRunsKey(uid));
+  }
+}
+
+export default new RunHistory();
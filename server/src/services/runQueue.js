@@ -0,0 +1,171 @@
+import { logger } from '../utils/logger.js';
+import { broadcastToClients } from '../utils/broadcast.js';
+
+const concurrency = parseInt(process.env.RUN_QUEUE_CONCURRENCY, 10);
+export const RUN_QUEUE_CONCURRENCY = Number.isNaN(concurrency) ? 3 : Math.max(concurrency, 1);
+
+export const RUN_CANCELLED = 'RUN_CANCELLED';
+
+/**
+ * 执行队列 (Run queue)
+ * Every run (scheduled, catch-up, follow-up, manual) goes through this queue: at most
+ * RUN_QUEUE_CONCURRENCY runs execute at once and an account never has two runs at the same time.
+ * Jobs start in the order they were queued, skipping accounts that already have a running job.
+ * The queue lives in memory; queued jobs are lost on restart (scheduled runs are recovered
+ * by the scheduler itself).
+ */
+export class RunQueue {
+  constructor(limit = RUN_QUEUE_CONCURRENCY) {
+    this.concurrency = limit;
+    this.queued = [];
+    this.running = new Map();
+  }
+
+  /**
+   * Queue a run
+   * @param {Object} job - { id: runId, uid, trigger, runNumber, execute: (signal) => Promise }
+   *        `signal` is aborted when the job is cancelled while running
+   * @returns {Promise} - Result of execute; rejects with RUN_CANCELLED when cancelled before it started
+   */
+  enqueue({ id, uid, trigger, runNumber = null, execute }) {
+    return new Promise((resolve, reject) => {
+      this.queued.push({
+        id,
+        uid,
+        trigger,
+        runNumber,
+        execute,
+        resolve,
+        reject,
+        enqueuedAt: new Date().toISOString(),
+      });
+      logger.info(`[Run Queue] Queued run ${id} of user ${uid} (${trigger})`);
+      this.drain();
+      this.publish();
+    });
+  }
+
+  // Start queued jobs while there is room, oldest first, one per account
+  drain() {
+    for (let i = 0; i < this.queued.length && this.running.size < this.concurrency; ) {
+      const job = this.queued[i];
+      if (this.isBusy(job.uid)) {
+        i++;
+        continue;
+      }
+      this.queued.splice(i, 1);
+      this.start(job);
+    }
+  }
+
+  start(job) {
+    job.controller = new AbortController();
+    job.startedAt = new Date().toISOString();
+    this.running.set(job.id, job);
+
+    // Settles once the job has finished and left the running set
+    job.settled = Promise.resolve()
+      .then(() => job.execute(job.controller.signal))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.running.delete(job.id);
+        this.drain();
+        this.publish();
+      });
+  }
+
+  isBusy(uid) {
+    for (const job of this.running.values()) {
+      if (job.uid === uid) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Cancel a job: a queued job is dropped, a running job is asked to stop after its current step
+   * @returns {Object|null} - The job (see list), null when unknown
+   */
+  cancel(id) {
+    const index = this.queued.findIndex((job) => job.id === id);
+    if (index !== -1) {
+      const [job] = this.queued.splice(index, 1);
+      logger.info(`[Run Queue] Cancelled queued run ${id} of user ${job.uid}`);
+      job.reject(new Error(RUN_CANCELLED));
+      this.drain();
+      this.publish();
+      return { ...toJSON(job), state: 'cancelled' };
+    }
+
+    const job = this.running.get(id);
+    if (!job) {
+      return null;
+    }
+    if (!job.controller.signal.aborted) {
+      logger.info(`[Run Queue] Cancelling running run ${id} of user ${job.uid}`);
+      job.controller.abort();
+      this.publish();
+    }
+    return toJSON(job);
+  }
+
+  /**
+   * Drop every queued job matching `filter` (running jobs are left alone)
+   * @returns {number} - Jobs dropped
+   */
+  cancelQueued(filter) {
+    const cancelled = this.queued.filter(filter);
+    if (cancelled.length === 0) {
+      return 0;
+    }
+    this.queued = this.queued.filter((job) => !cancelled.includes(job));
+    for (const job of cancelled) {
+      job.reject(new Error(RUN_CANCELLED));
+    }
+    logger.info(`[Run Queue] Dropped ${cancelled.length} queued run(s)`);
+    this.publish();
+    return cancelled.length;
+  }
+
+  /**
+   * Drop the queued jobs of an account and cancel its running job
+   * @returns {Promise<void>} - Resolves once the running job has stopped
+   */
+  async cancelUser(uid) {
+    this.cancelQueued((job) => job.uid === uid);
+    const running = [...this.running.values()].filter((job) => job.uid === uid);
+    running.forEach((job) => this.cancel(job.id));
+    await Promise.all(running.map((job) => job.settled));
+  }
+
+  /**
+   * @returns {{concurrency: number, running: Object[], queued: Object[]}}
+   *          jobs: { id, uid, trigger, runNumber, state, enqueuedAt, startedAt, cancelling }
+   */
+  list() {
+    return {
+      concurrency: this.concurrency,
+      running: [...this.running.values()].map(toJSON),
+      queued: this.queued.map(toJSON),
+    };
+  }
+
+  publish() {
+    broadcastToClients({ type: 'runQueue', ...this.list(), timestamp: new Date().toISOString() });
+  }
+}
+
+function toJSON(job) {
+  const running = Boolean(job.startedAt);
+  return {
+    id: job.id,
+    uid: job.uid,
+    trigger: job.trigger,
+    runNumber: job.runNumber,
+    state: running ? 'running' : 'queued',
+    enqueuedAt: job.enqueuedAt,
+    startedAt: job.startedAt || null,
+    cancelling: running && job.controller.signal.aborted,
+  };
+}
+
+export default new RunQueue();
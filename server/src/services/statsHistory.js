@@ -0,0 +1,77 @@
+import redisClient from '../utils/redis.js';
+
+// Snapshots of an account after each run, sorted by time
+const historyKey = (uid) => `history:${uid}`;
+
+const retentionDays = parseInt(process.env.STATS_HISTORY_RETENTION_DAYS, 10);
+const RETENTION_MS = (Number.isNaN(retentionDays) ? 365 : retentionDays) * 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// task_state of a finished task in getactivitytask
+const TASK_STATE_COMPLETED = 3;
+
+/**
+ * 积分与连续签到历史 (Points and sign-in streak time series)
+ * TaskScheduler snapshots getuserinfo and the task list after every run into history:{uid}
+ * (sorted set by time, trimmed to STATS_HISTORY_RETENTION_DAYS). A snapshot whose sign_day
+ * is lower than the previous one marks a broken streak.
+ */
+class StatsHistory {
+  /**
+   * @param {number} uid
+   * @param {Object} snapshot - { runId, userInfo: getuserinfo response, tasks: getactivitytask list }
+   * @returns {Promise<Object>} - Stored point
+   */
+  async record(uid, { runId = null, userInfo, tasks = [] }) {
+    if (!userInfo) {
+      return null;
+    }
+    const [previousJson] = await redisClient.zRange(historyKey(uid), 0, 0, { REV: true });
+    const previous = previousJson ? JSON.parse(previousJson) : null;
+    const signDay = userInfo.sign_day ?? null;
+    const now = Date.now();
+
+    const point = {
+      at: new Date(now).toISOString(),
+      runId,
+      points: userInfo.points ?? null,
+      signDay,
+      lotteryNum: userInfo.lottery_num ?? null,
+      tasksCompleted: tasks.filter((task) => task.task_state === TASK_STATE_COMPLETED).length,
+      tasksTotal: tasks.length,
+      streakBroken: previous?.signDay != null && signDay !== null && signDay < previous.signDay,
+      previousSignDay: previous?.signDay ?? null,
+    };
+
+    await redisClient.zAdd(historyKey(uid), { score: now, value: JSON.stringify(point) });
+    await redisClient.zRemRangeByScore(historyKey(uid), '-inf', now - RETENTION_MS);
+    return point;
+  }
+
+  /**
+   * Snapshots between from and to (ISO dates, default the last 30 days), oldest first
+   * @returns {Promise<{from: string, to: string, items: Array, streakBreaks: Array}>}
+   */
+  async query(uid, { from, to } = {}) {
+    const max = to ? Date.parse(to) : Date.now();
+    const min = from ? Date.parse(from) : max - DEFAULT_RANGE_MS;
+    const items = (await redisClient.zRange(historyKey(uid), min, max, { BY: 'SCORE' })).map((pointJson) =>
+      JSON.parse(pointJson)
+    );
+
+    return {
+      from: new Date(min).toISOString(),
+      to: new Date(max).toISOString(),
+      items,
+      streakBreaks: items
+        .filter((point) => point.streakBroken)
+        .map((point) => ({ at: point.at, runId: point.runId, from: point.previousSignDay, to: point.signDay })),
+    };
+  }
+
+  async deleteUser(uid) {
+    await redisClient.del(historyKey(uid));
+  }
+}
+
+export default new StatsHistory();
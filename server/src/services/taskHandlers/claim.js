@@ -0,0 +1,35 @@
+import { TASK_OUTCOMES } from '../runHistory.js';
+
+// task_state values reported by getactivitytask
+const STATE_READY = 1;
+const STATE_COMPLETED = 3;
+
+/**
+ * Type 3 (领取任务): the condition is met outside the client (sharing, recharging, ...)
+ * and upstream flags the task as ready, the reward then only has to be claimed
+ */
+export default {
+  name: 'claim',
+  label: '领取任务 (Claim when ready)',
+  taskTypes: [3],
+
+  canComplete(task) {
+    if (task.task_state === STATE_COMPLETED) {
+      return { ready: false, outcome: TASK_OUTCOMES.SKIPPED, reason: 'Already claimed' };
+    }
+
+    const target = task.task_target || 0;
+    if (task.task_state === STATE_READY || (target > 0 && (task.task_value || 0) >= target)) {
+      return { ready: true, reason: 'Ready to claim' };
+    }
+    return {
+      ready: false,
+      outcome: TASK_OUTCOMES.SKIPPED,
+      reason: 'Waiting for the upstream condition',
+    };
+  },
+
+  complete(task, { session }) {
+    return session.completeTask(task.task_id);
+  },
+};
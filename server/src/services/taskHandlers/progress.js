@@ -0,0 +1,29 @@
+import { TASK_OUTCOMES } from '../runHistory.js';
+
+/**
+ * Type 2 (消耗时间任务): completed once task_value reaches task_target
+ * Incomplete tasks are re-checked by the scheduler's follow-ups
+ */
+export default {
+  name: 'progress',
+  label: '进度任务 (Progress target)',
+  taskTypes: [2],
+
+  canComplete(task) {
+    const progress = task.task_value || 0;
+    const target = task.task_target || 0;
+
+    if (progress >= target) {
+      return { ready: true, reason: `Progress complete ${progress}/${target}` };
+    }
+    return {
+      ready: false,
+      outcome: TASK_OUTCOMES.INCOMPLETE,
+      reason: `${target - progress} remaining (${progress}/${target})`,
+    };
+  },
+
+  complete(task, { session }) {
+    return session.completeTask(task.task_id);
+  },
+};
@@ -0,0 +1,16 @@
+/**
+ * Type 1 (签到任务): can always be completed right away
+ */
+export default {
+  name: 'signIn',
+  label: '签到任务 (Sign-in)',
+  taskTypes: [1],
+
+  canComplete() {
+    return { ready: true, reason: 'Sign-in task' };
+  },
+
+  complete(task, { session }) {
+    return session.completeTask(task.task_id);
+  },
+};
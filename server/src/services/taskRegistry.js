@@ -0,0 +1,73 @@
+import signIn from './taskHandlers/signIn.js';
+import progress from './taskHandlers/progress.js';
+import claim from './taskHandlers/claim.js';
+
+// Task handlers: { name, label, taskTypes, taskIds?, canComplete(task, context), complete(task, context) }
+// canComplete returns { ready, reason, outcome? } (outcome when not ready, default skipped),
+// complete performs the upstream call; context is { session, user }
+// canComplete must not change anything upstream, dry runs call it too
+export const TASK_HANDLERS = Object.fromEntries(
+  [signIn, progress, claim].map((handler) => [handler.name, handler])
+);
+
+/**
+ * Resolve the handler of a task for an account
+ * Lookup order: account override for the task_id, account override for the task_type,
+ * a handler declaring the task_id, a handler declaring the task_type.
+ * Account overrides (user.taskHandlers) name a handler, or are false to disable:
+ *   { tasks: { [task_id]: name|false }, types: { [task_type]: name|false } }
+ * @returns {{handler: Object|null, source: 'account'|'task'|'type'|'disabled'|'unsupported'}}
+ */
+export function resolveTaskHandler(task, user) {
+  const overrides = user?.taskHandlers || {};
+  const choice = overrides.tasks?.[task.task_id] ?? overrides.types?.[task.task_type];
+
+  if (choice === false) {
+    return { handler: null, source: 'disabled' };
+  }
+  if (choice && TASK_HANDLERS[choice]) {
+    return { handler: TASK_HANDLERS[choice], source: 'account' };
+  }
+
+  const handlers = Object.values(TASK_HANDLERS);
+  const byTask = handlers.find((handler) => handler.taskIds?.includes(task.task_id));
+  if (byTask) {
+    return { handler: byTask, source: 'task' };
+  }
+  const byType = handlers.find((handler) => handler.taskTypes.includes(task.task_type));
+  return byType ? { handler: byType, source: 'type' } : { handler: null, source: 'unsupported' };
+}
+
+/**
+ * Validate per-account handler overrides from the API
+ * @throws {Error} - with a user-facing message
+ */
+export function normalizeTaskHandlers(input) {
+  const normalized = { tasks: {}, types: {} };
+  if (input === undefined || input === null) {
+    return normalized;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('taskHandlers must be an object: { tasks: {...}, types: {...} }');
+  }
+
+  for (const scope of ['tasks', 'types']) {
+    for (const [key, value] of Object.entries(input[scope] ?? {})) {
+      const id = parseInt(key, 10);
+      if (Number.isNaN(id)) {
+        throw new Error(`taskHandlers.${scope}: "${key}" is not a numeric id`);
+      }
+      // null / '' = back to the default handler
+      if (value === null || value === '') {
+        continue;
+      }
+      if (value !== false && !TASK_HANDLERS[value]) {
+        throw new Error(
+          `taskHandlers.${scope}.${key}: expected false or one of: ${Object.keys(TASK_HANDLERS).join(', ')}`
+        );
+      }
+      normalized[scope][id] = value;
+    }
+  }
+  return normalized;
+}
@@ -1,20 +1,63 @@
 import schedule from 'node-schedule';
 import redisClient from '../utils/redis.js';
 import { logger } from '../utils/logger.js';
-import apiService from './apiService.js';
-import { broadcastToClients } from '../index.js';
+import { getUserSchedule, parseRunTime, computeRunDelay } from '../utils/schedule.js';
+import { estimateCompletion, TASK_POLL_MAX_PER_DAY } from '../utils/progress.js';
+import { getUserLotteryPolicy, planDraws } from '../utils/lotteryPolicy.js';
+import { AccountSession } from './accountSession.js';
+import runHistory, { TASK_OUTCOMES, createRunId } from './runHistory.js';
+import { resolveTaskHandler } from './taskRegistry.js';
+import rewardLedger from './rewardLedger.js';
+import rewardExpiry, { REWARD_EXPIRY_CHECK_HOURS } from './rewardExpiry.js';
+import overview from './overview.js';
+import statsHistory from './statsHistory.js';
+import accountLog from './accountLog.js';
+import userStore from './userStore.js';
+import notifier from './notifier.js';
+import runQueue, { RUN_CANCELLED } from './runQueue.js';
+import { broadcastToClients } from '../utils/broadcast.js';
+import { observeRun } from '../utils/metrics.js';
+
+// Persisted scheduler state: { isRunning, startedAt, updatedAt }
+const STATE_KEY = 'scheduler:state';
+// Hash of run records keyed by `${uid}:${runIndex}`: { windowStart, fireAt, status, runId }
+// status: pending -> running -> done / failed / cancelled (or skipped / missed)
+const RUNS_KEY = 'scheduler:runs';
+// Hash of pending Type 2 follow-up checks keyed by uid: { fireAt, taskIds, day }
+const FOLLOWUPS_KEY = 'scheduler:followups';
+// Follow-up checks performed by an account on a day
+const pollCountKey = (uid, day) => `scheduler:polls:${uid}:${day}`;
+const drawCountKey = (uid, day) => `scheduler:draws:${uid}:${day}`;
+const progressKey = (uid, taskId) => `task:${uid}:${taskId}:progress`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const graceMinutes = parseInt(process.env.SCHEDULER_CATCHUP_GRACE_MINUTES, 10);
+// Runs missed while the process was down are caught up if no older than this
+const CATCH_UP_GRACE_MS = (Number.isNaN(graceMinutes) ? 60 : graceMinutes) * 60 * 1000;
 
 /**
- * 每天一次的签到任务调度器
- * 每天北京时间 8-9 点的随机时间触发（Asia/Shanghai 时区）
+ * 每日签到任务调度器
+ * 每个账户按照自己的执行计划运行（默认：北京时间 8-9 点 + 12-13 点，Asia/Shanghai 时区）
+ * 运行状态和待执行任务保存在 Redis 中，重启后自动恢复并补执行错过的任务
+ * 每次运行：
  * 1. 获取一次任务列表
  * 2. 按照任务条件（如 90 分钟等待）执行完成
  * 不频繁请求上游接口
  */
 export class TaskScheduler {
   constructor() {
+    // Cron jobs keyed by `${uid}:${runIndex}`
     this.jobs = new Map();
+    // Delayed runs (inside their window) waiting to fire, keyed like jobs: { timer, fireAt }
+    this.pendingRuns = new Map();
+    // Type 2 progress re-checks keyed by uid: { timer, fireAt, taskIds, day }
+    this.followUps = new Map();
+    // Periodic reward expiry scan (node-schedule job), only while running
+    this.expiryJob = null;
     this.isRunning = false;
+    this.startedAt = null;
+    // Set once users are loaded and the persisted state is restored (readiness check)
+    this.initialized = false;
     // 使用北京时区（Asia/Shanghai, UTC+8）
     this.timezone = process.env.SCHEDULER_TIMEZONE || 'Asia/Shanghai';
   }
@@ -23,6 +66,8 @@ export class TaskScheduler {
     try {
       const users = await this.loadUsers();
       logger.info(`Loaded ${users.length} users from configuration`);
+      await this.restoreState();
+      this.initialized = true;
     } catch (error) {
       logger.error('Failed to initialize TaskScheduler:', error);
       throw error;
@@ -31,142 +76,610 @@ export class TaskScheduler {
 
   async loadUsers() {
     try {
-      const usersJson = await redisClient.get('config:users');
-      if (usersJson) {
-        return JSON.parse(usersJson);
-      }
-      return [];
+      return await userStore.listUsers();
     } catch (error) {
       logger.error('Failed to load users:', error);
       return [];
     }
   }
 
-  start() {
+  async loadUser(uid) {
+    return userStore.getUser(uid);
+  }
+
+  async loadState() {
+    const stateJson = await redisClient.get(STATE_KEY);
+    return stateJson ? JSON.parse(stateJson) : null;
+  }
+
+  async saveState() {
+    await redisClient.set(
+      STATE_KEY,
+      JSON.stringify({
+        isRunning: this.isRunning,
+        startedAt: this.startedAt,
+        updatedAt: new Date().toISOString(),
+      })
+    );
+  }
+
+  async start() {
     if (this.isRunning) {
       logger.warn('TaskScheduler is already running');
       return;
     }
 
     this.isRunning = true;
-    logger.info(`TaskScheduler started - Dual execution mode (8-9 AM + 4h later, ${this.timezone})`);
-    this.addSystemLog(`✅ 调度器已启动 - 每天执行两次任务 (8-9点 + 4小时后) (Timezone: ${this.timezone})`, 'success');
+    this.startedAt = new Date().toISOString();
+    await this.saveState();
+    logger.info(`TaskScheduler started - Per-account schedules (${this.timezone})`);
+    this.addSystemLog(`✅ 调度器已启动 - 按账户执行计划运行 (Timezone: ${this.timezone})`, 'success');
+
+    const users = await this.loadUsers();
+    for (const user of users) {
+      this.scheduleUser(user);
+    }
+    this.scheduleExpiryScan();
+  }
 
-    // Schedule daily task execution at random time between 8-9 AM
-    this.scheduleDailyExecution();
+  async stop() {
+    this.shutdown();
+    runQueue.cancelQueued((job) => job.trigger !== 'manual');
+    this.startedAt = null;
+    await this.saveState();
+    await redisClient.del([RUNS_KEY, FOLLOWUPS_KEY]);
+    logger.info('TaskScheduler stopped');
+    this.addSystemLog('⏹️ 调度器已停止 (Scheduler stopped)', 'warning');
   }
 
-  stop() {
+  /**
+   * Cancel in-process jobs without touching the persisted state
+   * Used on process exit so the scheduler resumes after restart
+   */
+  shutdown() {
     this.isRunning = false;
     this.jobs.forEach((job) => {
       job.cancel();
     });
     this.jobs.clear();
-    logger.info('TaskScheduler stopped');
-    this.addSystemLog('⏹️ 调度器已停止 (Scheduler stopped)', 'warning');
+    this.pendingRuns.forEach(({ timer }) => {
+      clearTimeout(timer);
+    });
+    this.pendingRuns.clear();
+    this.followUps.forEach(({ timer }) => {
+      clearTimeout(timer);
+    });
+    this.followUps.clear();
+    this.expiryJob?.cancel();
+    this.expiryJob = null;
+  }
+
+  /**
+   * Scan for reward cards about to expire every REWARD_EXPIRY_CHECK_HOURS (0 disables it)
+   */
+  scheduleExpiryScan() {
+    this.expiryJob?.cancel();
+    this.expiryJob = null;
+    if (REWARD_EXPIRY_CHECK_HOURS <= 0) {
+      return;
+    }
+
+    const rule = REWARD_EXPIRY_CHECK_HOURS >= 24 ? '0 0 * * *' : `0 */${REWARD_EXPIRY_CHECK_HOURS} * * *`;
+    this.expiryJob = schedule.scheduleJob({ rule, tz: this.timezone }, () => this.runExpiryScan());
+    logger.info(`[Schedule] Reward expiry scan every ${Math.min(REWARD_EXPIRY_CHECK_HOURS, 24)}h`);
+  }
+
+  async runExpiryScan() {
+    try {
+      await rewardExpiry.scan({ log: (message, type) => this.addSystemLog(message, type) });
+    } catch (error) {
+      logger.error('[Rewards] Expiry scan failed:', error.message);
+    }
+  }
+
+  /**
+   * Resume the scheduler if it was running before the last restart
+   * Pending runs are re-armed; runs missed while down are caught up within the grace window
+   */
+  async restoreState() {
+    const state = await this.loadState();
+    if (!state?.isRunning) {
+      logger.info('Scheduler was not running before restart (manual control mode)');
+      return;
+    }
+
+    this.isRunning = true;
+    this.startedAt = state.startedAt || new Date().toISOString();
+    logger.info(`TaskScheduler restored - running since ${this.startedAt}`);
+    this.addSystemLog(`♻️ 调度器已恢复运行 (Scheduler restored after restart)`, 'success');
+
+    const users = await this.loadUsers();
+    for (const user of users) {
+      this.scheduleUser(user);
+      if (user.isActive) {
+        await this.recoverUserRuns(user);
+      }
+    }
+
+    await this.restoreFollowUps();
+    this.scheduleExpiryScan();
+  }
+
+  /**
+   * Re-arm today's follow-up checks (overdue ones fire immediately)
+   */
+  async restoreFollowUps() {
+    const today = this.dayOf(Date.now());
+    const followUps = await redisClient.hGetAll(FOLLOWUPS_KEY);
+
+    for (const [uid, followUpJson] of Object.entries(followUps)) {
+      const followUp = JSON.parse(followUpJson);
+      if (followUp.day !== today) {
+        await redisClient.hDel(FOLLOWUPS_KEY, uid);
+        continue;
+      }
+      logger.info(`[Recovery] Re-arming follow-up check for user ${uid} at ${followUp.fireAt}`);
+      this.queueFollowUp(parseInt(uid, 10), followUp);
+    }
   }
 
   /**
-   * Schedule daily sign-in task execution
-   * First execution: Random time between 8-9 AM Beijing Time (Asia/Shanghai)
-   * Second execution: 4 hours after first execution completes
+   * Re-arm or catch up the latest window of every run of a user
    */
-  scheduleDailyExecution() {
-    // CronJob: Run at 8 AM Beijing Time with random minute/second
-    // 0 8 * * * = Every day at 8:00 AM in specified timezone
-    // Add timezone option to ensure Beijing time regardless of server location
-    const job = schedule.scheduleJob(
-      { hour: 8, minute: 0, tz: this.timezone },
-      async () => {
-        if (!this.isRunning) {
-          logger.info('Scheduler not running, skipping daily execution');
-          return;
+  async recoverUserRuns(user) {
+    const now = Date.now();
+    const runs = getUserSchedule(user);
+
+    for (let index = 0; index < runs.length; index++) {
+      const key = `${user.uid}:${index}`;
+      const job = this.jobs.get(key);
+      const next = job?.nextInvocation();
+      if (!next) continue;
+
+      // Most recent window start: one day before the next invocation
+      const lastWindow = next.getTime() - DAY_MS;
+      const recordJson = await redisClient.hGet(RUNS_KEY, key);
+      const record = recordJson ? JSON.parse(recordJson) : null;
+
+      if (record && Date.parse(record.windowStart) >= lastWindow) {
+        if (record.status !== 'pending' && record.status !== 'running') continue;
+
+        const fireAt = Date.parse(record.fireAt);
+        if (fireAt > now) {
+          logger.info(`[Recovery] Re-arming run ${index + 1} for user ${user.uid} at ${record.fireAt}`);
+          this.queueRun(user.uid, index, fireAt);
+        } else if (now - fireAt <= CATCH_UP_GRACE_MS) {
+          logger.info(`[Recovery] Catching up run ${index + 1} for user ${user.uid} (was due ${record.fireAt})`);
+          this.addAccountLog(user.uid, `⏪ 补执行错过的任务 (Catching up missed run ${index + 1}) - UID: ${user.uid}`, 'info');
+          this.queueRun(user.uid, index, now, 'catch-up');
+        } else {
+          await this.markRunMissed(user.uid, index, record);
         }
+        continue;
+      }
 
-        // Add random delay (0-60 minutes) to spread execution between 8-9 AM
-        const randomDelay = Math.floor(Math.random() * 60 * 60 * 1000); // 0-60 minutes in ms
-        const randomMinutes = Math.floor(randomDelay / 60000);
-
-        logger.info(`[First Execution] Trigger at 8 AM ${this.timezone}, scheduling for +${randomMinutes} minutes`);
-
-        setTimeout(async () => {
-          if (!this.isRunning) return;
-
-          const users = await this.loadUsers();
-          logger.info(`[First Execution] Starting for ${users.length} users`);
-          this.addSystemLog(`📅 第一次执行开始 (${users.length} 个账户) - First execution started`, 'info');
-
-          for (const user of users) {
-            if (user.isActive) {
-              try {
-                await this.executeDailySignIn(user, 1);
-              } catch (error) {
-                logger.error(`[First Execution] Error for user ${user.uid}:`, error.message);
-                this.addSystemLog(
-                  `❌ 用户 ${user.uid} 第一次执行失败: ${error.message}`,
-                  'error'
-                );
-              }
-            }
-          }
+      // Window opened while the process was down and was never triggered
+      if (!this.startedAt || lastWindow < Date.parse(this.startedAt)) continue;
 
-          logger.info('[First Execution] Completed');
-          this.addSystemLog('✅ 第一次执行完成 (First execution completed)', 'success');
+      const windowEnd = lastWindow + runs[index].windowMinutes * 60 * 1000;
+      const missedRecord = {
+        windowStart: new Date(lastWindow).toISOString(),
+        fireAt: new Date(now).toISOString(),
+        status: 'pending',
+      };
 
-          // Schedule second execution 4 hours later
-          this.scheduleSecondExecution();
-        }, randomDelay);
+      if (now - windowEnd <= CATCH_UP_GRACE_MS) {
+        logger.info(`[Recovery] Window ${runs[index].time} of user ${user.uid} was missed, catching up now`);
+        this.addAccountLog(user.uid, `⏪ 补执行错过的任务 (Catching up missed run ${index + 1}) - UID: ${user.uid}`, 'info');
+        await redisClient.hSet(RUNS_KEY, key, JSON.stringify(missedRecord));
+        this.queueRun(user.uid, index, now, 'catch-up');
+      } else {
+        await this.markRunMissed(user.uid, index, missedRecord);
       }
+    }
+  }
+
+  async markRunMissed(uid, index, record) {
+    logger.warn(`[Recovery] Run ${index + 1} for user ${uid} is beyond the catch-up grace window, skipping`);
+    this.addAccountLog(
+      uid,
+      `⚠️ 用户 ${uid} 第 ${index + 1} 次执行已错过，超出补执行时间 (Run missed beyond grace window)`,
+      'warning'
     );
+    await redisClient.hSet(RUNS_KEY, `${uid}:${index}`, JSON.stringify({ ...record, status: 'missed' }));
+  }
+
+  /**
+   * Schedule every run of a user's daily plan
+   * Each run fires at its window start, then waits a random delay inside the window (+ jitter)
+   * @param {Object} user - User configuration
+   */
+  scheduleUser(user) {
+    this.unscheduleUser(user.uid);
+
+    if (!this.isRunning || !user.isActive) {
+      return;
+    }
+
+    const runs = getUserSchedule(user);
+    runs.forEach((run, index) => {
+      const { hour, minute } = parseRunTime(run);
+      const key = `${user.uid}:${index}`;
 
-    this.jobs.set('dailyExecution', job);
-    logger.info(`First execution scheduled for 8 AM ${this.timezone} (random time between 8-9 AM)`);
-    logger.info(`Second execution will be scheduled 4 hours after first execution completes`);
+      const job = schedule.scheduleJob(
+        { hour, minute, tz: this.timezone },
+        (fireDate) => this.triggerScheduledRun(user.uid, index, run, fireDate)
+      );
+
+      this.jobs.set(key, job);
+      logger.info(
+        `[Schedule] User ${user.uid} run ${index + 1}/${runs.length} at ${run.time} ${this.timezone} (window ${run.windowMinutes}m, jitter ${run.jitterSeconds}s)`
+      );
+    });
   }
 
   /**
-   * Schedule second execution 4 hours after first execution
+   * Cancel all jobs (and delayed runs) of a user
    */
-  scheduleSecondExecution() {
-    const fourHoursLater = new Date(Date.now() + 4 * 60 * 60 * 1000);
-    logger.info(`[Second Execution] Scheduled for ${fourHoursLater.toLocaleString('zh-CN', { timeZone: this.timezone })}`);
-    this.addSystemLog(
-      `⏰ 第二次执行已安排在 4 小时后 (${fourHoursLater.toLocaleTimeString('zh-CN', { timeZone: this.timezone })})`,
-      'info'
+  unscheduleUser(uid) {
+    const prefix = `${uid}:`;
+    for (const [key, job] of this.jobs) {
+      if (key.startsWith(prefix)) {
+        job.cancel();
+        this.jobs.delete(key);
+      }
+    }
+    for (const [key, { timer }] of this.pendingRuns) {
+      if (key.startsWith(prefix)) {
+        clearTimeout(timer);
+        this.pendingRuns.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Re-apply the latest stored configuration of a user (after create/update/delete)
+   * Run records are cleared since run indexes may no longer match the schedule;
+   * a deleted user also loses its timers, queued runs and daily counters, and its running
+   * run is cancelled and waited for so it can't write them back
+   */
+  async rescheduleUser(uid) {
+    const user = await this.loadUser(uid);
+    if (user) {
+      await this.clearRunRecords(uid);
+      this.scheduleUser(user);
+    } else {
+      this.unscheduleUser(uid);
+      await this.removeFollowUp(uid);
+      await runQueue.cancelUser(uid);
+      await this.clearRunRecords(uid);
+      await this.clearCounters(uid);
+    }
+  }
+
+  async clearRunRecords(uid) {
+    const records = await redisClient.hKeys(RUNS_KEY);
+    const keys = records.filter((key) => key.startsWith(`${uid}:`));
+    if (keys.length > 0) {
+      await redisClient.hDel(RUNS_KEY, keys);
+    }
+  }
+
+  // Daily follow-up / draw counters and task progress samples of an account
+  async clearCounters(uid) {
+    const patterns = [pollCountKey(uid, '*'), drawCountKey(uid, '*'), progressKey(uid, '*')];
+    const keys = [];
+    for (const pattern of patterns) {
+      for await (const key of redisClient.scanIterator({ MATCH: pattern })) {
+        keys.push(key);
+      }
+    }
+    if (keys.length > 0) {
+      await redisClient.del(keys);
+    }
+  }
+
+  /**
+   * Window start reached: pick a random delay inside the window, persist it, then wait
+   */
+  async triggerScheduledRun(uid, index, run, fireDate = new Date()) {
+    if (!this.isRunning) {
+      logger.info('Scheduler not running, skipping scheduled execution');
+      return;
+    }
+
+    const fireAt = Date.now() + computeRunDelay(run);
+
+    logger.info(
+      `[Run ${index + 1}] Window ${run.time} opened for user ${uid}, executing at ${new Date(fireAt).toLocaleTimeString('zh-CN', { timeZone: this.timezone })}`
     );
 
-    const job = schedule.scheduleJob(fourHoursLater, async () => {
-      if (!this.isRunning) {
-        logger.info('[Second Execution] Scheduler not running, skipping');
-        return;
+    try {
+      await redisClient.hSet(
+        RUNS_KEY,
+        `${uid}:${index}`,
+        JSON.stringify({
+          windowStart: new Date(fireDate).toISOString(),
+          fireAt: new Date(fireAt).toISOString(),
+          status: 'pending',
+        })
+      );
+    } catch (error) {
+      logger.error(`[Run ${index + 1}] Failed to persist pending run for user ${uid}:`, error.message);
+    }
+
+    this.queueRun(uid, index, fireAt);
+  }
+
+  /**
+   * Arm the timer of a run at an absolute time (ms since epoch)
+   */
+  queueRun(uid, index, fireAt, trigger = 'scheduled') {
+    const key = `${uid}:${index}`;
+    const existing = this.pendingRuns.get(key);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const timer = setTimeout(() => {
+      this.pendingRuns.delete(key);
+      this.executeScheduledRun(uid, index, trigger);
+    }, Math.max(0, fireAt - Date.now()));
+
+    this.pendingRuns.set(key, { timer, fireAt: new Date(fireAt).toISOString() });
+  }
+
+  async executeScheduledRun(uid, index, trigger = 'scheduled') {
+    if (!this.isRunning) return;
+
+    const key = `${uid}:${index}`;
+    const updateRecord = async (status, fields = {}) => {
+      try {
+        const recordJson = await redisClient.hGet(RUNS_KEY, key);
+        // Cleared by rescheduleUser meanwhile (schedule changed or user deleted)
+        if (!recordJson) return;
+        const record = JSON.parse(recordJson);
+        await redisClient.hSet(
+          RUNS_KEY,
+          key,
+          JSON.stringify({ ...record, ...fields, status, updatedAt: new Date().toISOString() })
+        );
+      } catch (error) {
+        logger.error(`[Run ${index + 1}] Failed to update run record for user ${uid}:`, error.message);
       }
+    };
 
-      const users = await this.loadUsers();
-      logger.info(`[Second Execution] Starting for ${users.length} users`);
-      this.addSystemLog(`📅 第二次执行开始 (${users.length} 个账户) - Second execution started`, 'info');
+    // Reload so edits made since scheduling are respected
+    const user = await this.loadUser(uid);
+    if (!user || !user.isActive) {
+      logger.info(`[Run ${index + 1}] User ${uid} removed or inactive, skipping`);
+      await updateRecord('skipped');
+      return;
+    }
 
-      for (const user of users) {
-        if (user.isActive) {
-          try {
-            await this.executeDailySignIn(user, 2);
-          } catch (error) {
-            logger.error(`[Second Execution] Error for user ${user.uid}:`, error.message);
-            this.addSystemLog(
-              `❌ 用户 ${user.uid} 第二次执行失败: ${error.message}`,
-              'error'
-            );
-          }
+    const runId = createRunId();
+    await updateRecord('running', { runId });
+    let status = 'done';
+    try {
+      const record = await this.enqueueRun(user, {
+        trigger,
+        runNumber: index + 1,
+        runId,
+        onStart: () =>
+          this.addAccountLog(uid, `📅 第 ${index + 1} 次执行开始 (Run ${index + 1} started) - UID: ${uid}`, 'info', {
+            runId,
+          }),
+      });
+      // A run cancelled while executing is logged by executeDailySignIn
+      if (record.status === 'cancelled' || record.status === 'failed') {
+        status = record.status;
+      } else {
+        this.addAccountLog(uid, `✅ 第 ${index + 1} 次执行完成 (Run ${index + 1} completed) - UID: ${uid}`, 'success', {
+          runId,
+        });
+      }
+    } catch (error) {
+      if (error.message === RUN_CANCELLED) {
+        this.addAccountLog(uid, `🛑 第 ${index + 1} 次执行已从队列取消 (Run ${index + 1} removed from the queue)`, 'warning', {
+          runId,
+        });
+        // stop() drops the run records itself
+        if (this.isRunning) {
+          await updateRecord('cancelled');
         }
+        return;
       }
+      logger.error(`[Run ${index + 1}] Error for user ${uid}:`, error.message);
+      this.addAccountLog(uid, `❌ 用户 ${uid} 第 ${index + 1} 次执行失败: ${error.message}`, 'error', { runId });
+      status = 'failed';
+    }
+    await updateRecord(status);
+  }
 
-      logger.info('[Second Execution] Completed');
-      this.addSystemLog('✅ 第二次执行完成 (Second execution completed)', 'success');
+  /**
+   * Calendar day (YYYY-MM-DD) of a time in the scheduler timezone
+   */
+  dayOf(time) {
+    return new Date(time).toLocaleDateString('en-CA', { timeZone: this.timezone });
+  }
 
-      // Clean up this job
-      this.jobs.delete('secondExecution');
-    });
+  /**
+   * Schedule a re-check of incomplete Type 2 tasks for when they should reach their target
+   * The earliest estimate wins; no check is planned past today or beyond TASK_POLL_MAX_PER_DAY
+   * An empty list cancels the pending check (everything got completed)
+   */
+  async planFollowUp(uid, tasks) {
+    try {
+      if (tasks.length === 0) {
+        await this.removeFollowUp(uid);
+        return;
+      }
+      if (!this.isRunning || TASK_POLL_MAX_PER_DAY <= 0) {
+        return;
+      }
+
+      const now = Date.now();
+      const today = this.dayOf(now);
+      let fireAt = Infinity;
+
+      for (const task of tasks) {
+        const key = progressKey(uid, task.task_id);
+        const previousJson = await redisClient.get(key);
+        const estimate = estimateCompletion(task, previousJson ? JSON.parse(previousJson) : null, now);
+        await redisClient.set(
+          key,
+          JSON.stringify({ value: task.task_value || 0, at: new Date(now).toISOString() }),
+          { EX: 2 * 24 * 60 * 60 }
+        );
+
+        logger.info(
+          `[Follow-up] Task ${task.task_id} of user ${uid} at ${task.task_value || 0}/${task.task_target}, ` +
+            `${estimate.ratePerMinute ? `${estimate.ratePerMinute.toFixed(2)}/min` : 'rate unknown'}, ` +
+            `estimated done at ${new Date(estimate.fireAt).toISOString()}`
+        );
+        fireAt = Math.min(fireAt, estimate.fireAt);
+      }
+
+      const polls = parseInt(await redisClient.get(pollCountKey(uid, today)), 10) || 0;
+      if (polls >= TASK_POLL_MAX_PER_DAY) {
+        logger.info(`[Follow-up] User ${uid} used all ${TASK_POLL_MAX_PER_DAY} follow-up checks today`);
+        this.addAccountLog(
+          uid,
+          `⏸️ 用户 ${uid} 今日进度复查次数已用完 (Follow-up limit of ${TASK_POLL_MAX_PER_DAY}/day reached)`,
+          'warning'
+        );
+        await this.removeFollowUp(uid);
+        return;
+      }
+
+      if (this.dayOf(fireAt) !== today) {
+        logger.info(`[Follow-up] Tasks of user ${uid} will not finish today, leaving them to the next run`);
+        await this.removeFollowUp(uid);
+        return;
+      }
+
+      const followUp = {
+        fireAt: new Date(fireAt).toISOString(),
+        taskIds: tasks.map((task) => task.task_id),
+        day: today,
+      };
+      await redisClient.hSet(FOLLOWUPS_KEY, String(uid), JSON.stringify(followUp));
+      this.queueFollowUp(uid, followUp);
+
+      const time = new Date(fireAt).toLocaleTimeString('zh-CN', { timeZone: this.timezone });
+      this.addAccountLog(uid, `🔁 已安排进度复查 ${time} (Follow-up check scheduled) - UID: ${uid}`, 'info');
+    } catch (error) {
+      logger.error(`[Follow-up] Failed to plan follow-up for user ${uid}:`, error.message);
+    }
+  }
+
+  /**
+   * Arm the in-process timer of a follow-up check, replacing any previous one
+   */
+  queueFollowUp(uid, followUp) {
+    const existing = this.followUps.get(uid);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const timer = setTimeout(() => {
+      this.followUps.delete(uid);
+      this.executeFollowUp(uid, followUp);
+    }, Math.max(0, Date.parse(followUp.fireAt) - Date.now()));
 
-    this.jobs.set('secondExecution', job);
+    this.followUps.set(uid, { ...followUp, timer });
+  }
+
+  async removeFollowUp(uid) {
+    const existing = this.followUps.get(uid);
+    if (existing) {
+      clearTimeout(existing.timer);
+      this.followUps.delete(uid);
+    }
+    await redisClient.hDel(FOLLOWUPS_KEY, String(uid));
+  }
+
+  /**
+   * Re-check only the followed-up tasks; completes them if progress allows
+   * (and plans the next check otherwise)
+   */
+  async executeFollowUp(uid, followUp) {
+    await redisClient.hDel(FOLLOWUPS_KEY, String(uid));
+    if (!this.isRunning) return;
+
+    const user = await this.loadUser(uid);
+    if (!user || !user.isActive) {
+      logger.info(`[Follow-up] User ${uid} removed or inactive, skipping`);
+      return;
+    }
+
+    const countKey = pollCountKey(uid, followUp.day);
+    const polls = await redisClient.incr(countKey);
+    await redisClient.expire(countKey, 2 * 24 * 60 * 60);
+
+    this.addAccountLog(
+      uid,
+      `🔁 进度复查 ${polls}/${TASK_POLL_MAX_PER_DAY} (Follow-up check) - UID: ${uid}`,
+      'info'
+    );
+    try {
+      await this.enqueueRun(user, { trigger: 'follow-up', taskIds: followUp.taskIds });
+    } catch (error) {
+      if (error.message === RUN_CANCELLED) {
+        this.addAccountLog(uid, `🛑 进度复查已从队列取消 (Follow-up check removed from the queue)`, 'warning');
+        return;
+      }
+      logger.error(`[Follow-up] Error for user ${uid}:`, error.message);
+    }
+  }
+
+  /**
+   * Pending follow-up checks
+   * @returns {Array<{uid: number, fireAt: string, taskIds: number[]}>}
+   */
+  getFollowUps() {
+    return [...this.followUps.entries()]
+      .map(([uid, { fireAt, taskIds }]) => ({ uid, fireAt, taskIds }))
+      .sort((a, b) => a.fireAt.localeCompare(b.fireAt));
+  }
+
+  /**
+   * Next fire time of every scheduled run
+   * @returns {Array<{uid: number, run: number, nextInvocation: string|null, pending: boolean, fireAt: string|null}>}
+   */
+  getScheduledRuns() {
+    const runs = [];
+    for (const [key, job] of this.jobs) {
+      const [uid, index] = key.split(':').map((part) => parseInt(part, 10));
+      const next = job.nextInvocation();
+      const pending = this.pendingRuns.get(key);
+      runs.push({
+        uid,
+        run: index + 1,
+        nextInvocation: next ? new Date(next.getTime()).toISOString() : null,
+        pending: Boolean(pending),
+        fireAt: pending ? pending.fireAt : null,
+      });
+    }
+    return runs.sort((a, b) => String(a.nextInvocation).localeCompare(String(b.nextInvocation)));
+  }
+
+  /**
+   * Run executeDailySignIn through the run queue (concurrency limit, one run per account)
+   * @param {Object} options - executeDailySignIn options, plus onStart: called when the run leaves the queue
+   * @returns {Promise<Object>} - Saved run record; rejects with RUN_CANCELLED when cancelled while queued
+   */
+  enqueueRun(user, { trigger = 'manual', runNumber = null, runId = createRunId(), taskIds = null, onStart } = {}) {
+    return runQueue.enqueue({
+      id: runId,
+      uid: user.uid,
+      trigger,
+      runNumber,
+      execute: (signal) => {
+        onStart?.();
+        return this.executeDailySignIn(user, { trigger, runNumber, runId, taskIds, signal });
+      },
+    });
   }
 
   /**
@@ -174,73 +687,56 @@ export class TaskScheduler {
    * 1. Fetch tasks once
    * 2. Process each task based on wait conditions
    * Auto-retry with token refresh on TOKEN_EXPIRED
+   * Every call is recorded in the run history ledger
    * @param {Object} user - User configuration
-   * @param {number} executionNumber - 1 for first execution, 2 for second execution
+   * @param {Object} options - { trigger: 'scheduled'|'catch-up'|'manual'|'follow-up', runNumber, runId,
+   *                            taskIds: only process these tasks (follow-up checks),
+   *                            signal: AbortSignal, the run stops before its next step once aborted }
+   * @returns {Promise<Object>} - Saved run record
    */
-  async executeDailySignIn(user, executionNumber = 1) {
-    try {
-      const execLabel = executionNumber === 1 ? 'First' : 'Second';
-      logger.info(`[${execLabel}] Executing daily sign-in for user ${user.uid}`);
+  async executeDailySignIn(
+    user,
+    { trigger = 'manual', runNumber = null, runId = null, taskIds = null, signal = null } = {}
+  ) {
+    const execLabel = runNumber ? `Run ${runNumber}` : taskIds ? 'Follow-up' : 'Manual';
+    const checkCancelled = () => {
+      if (signal?.aborted) {
+        throw new Error(RUN_CANCELLED);
+      }
+    };
+    const run = runHistory.start({ runId, uid: user.uid, trigger, runNumber });
+    await runHistory.save(run);
+    broadcastToClients({
+      type: 'runStarted',
+      uid: user.uid,
+      runId: run.runId,
+      trigger,
+      runNumber,
+      timestamp: run.startedAt,
+    });
 
+    try {
+      logger.info(`[${execLabel}] Executing daily sign-in for user ${user.uid} (run ${run.runId})`);
 
-      // Get user data
-      let userData = await this.getUserData(user.uid);
-      if (!userData.token) {
-        logger.warn(`[${execLabel}] No token available for user ${user.uid}, refreshing...`);
-        userData = await this.refreshUserToken(user);
-        if (!userData.token) {
-          throw new Error('Failed to refresh token');
-        }
-      }
+      // Session owns the token: loads it, refreshes on expiry and persists it
+      const session = await AccountSession.forUser(user, { runId: run.runId });
+      await session.ensureToken();
 
       // ===== FIRST API CALL: GET TASKS (Only once per day) =====
       logger.info(`[${execLabel}] Fetching tasks for user ${user.uid} (ONE TIME ONLY)`);
-      this.addSystemLog(`📥 正在获取任务... (Fetching tasks for UID: ${user.uid})`, 'info');
+      this.addAccountLog(user.uid, `📥 正在获取任务... (Fetching tasks for UID: ${user.uid})`, 'info', {
+        runId: run.runId,
+      });
 
-      let tasks;
-      try {
-        tasks = await apiService.getActivityTasks(
-          user.flowId,
-          user.uid,
-          user.uuid,
-          user.accessKey,
-          userData.token,
-          user.machineId,
-          user.platform || 'mac'
-        );
-      } catch (error) {
-        // If token expired, refresh and retry once
-        if (error.message === 'TOKEN_EXPIRED') {
-          logger.warn(`[${execLabel}] Token expired, refreshing and retrying...`);
-          this.addSystemLog(
-            `🔄 Token 已过期，正在刷新并重试 (Token expired, retrying)`,
-            'warning'
-          );
-          
-          // Refresh token and get updated userData
-          userData = await this.refreshUserToken(user);
-          
-          // Verify token was updated
-          logger.info(`[${execLabel}] Using refreshed token for retry: ${userData.token.substring(0, 50)}...`);
-          
-          tasks = await apiService.getActivityTasks(
-            user.flowId,
-            user.uid,
-            user.uuid,
-            user.accessKey,
-            userData.token,
-            user.machineId,
-            user.platform || 'mac'
-          );
-        } else {
-          throw error;
-        }
-      }
+      const tasks = await session.getActivityTasks();
 
       logger.info(`[${execLabel}] Received ${tasks.length} tasks for user ${user.uid}`);
-      this.addSystemLog(
+      run.recordTasksFetched(tasks);
+      this.addAccountLog(
+        user.uid,
         `📋 获取到 ${tasks.length} 个任务 (Fetched ${tasks.length} tasks)`,
-        'info'
+        'info',
+        { runId: run.runId }
       );
 
       // Save task list
@@ -258,177 +754,46 @@ export class TaskScheduler {
       });
 
       // ===== CHECK AND PERFORM LOTTERY IF AVAILABLE =====
-      // First, fetch fresh user info to check lottery_num
-      try {
-        logger.info(`[${execLabel}] Fetching user info to check lottery tickets for user ${user.uid}`);
-        
-        let userInfo;
-        try {
-          userInfo = await apiService.getUserInfo(
-            user.flowId,
-            user.uuid,
-            user.uid,
-            userData.token,
-            user.accessKey,
-            user.machineId,
-            user.platform || 'mac'
-          );
-        } catch (error) {
-          if (error.message === 'TOKEN_EXPIRED') {
-            logger.warn(`[${execLabel}] Token expired while fetching user info, refreshing...`);
-            userData = await this.refreshUserToken(user);
-            
-            userInfo = await apiService.getUserInfo(
-              user.flowId,
-              user.uuid,
-              user.uid,
-              userData.token,
-              user.accessKey,
-              user.machineId,
-              user.platform || 'mac'
-            );
-          } else {
-            throw error;
-          }
-        }
-
-        const lotteryNum = userInfo?.lottery_num || 0;
-        if (lotteryNum > 0) {
-          logger.info(`[${execLabel}] User ${user.uid} has ${lotteryNum} lottery tickets, performing ${lotteryNum} draws...`);
-          this.addSystemLog(
-            `🎰 用户 ${user.uid} 有 ${lotteryNum} 张盲盒券，开始抽奖... (Performing ${lotteryNum} draws)`,
-            'info'
-          );
-
-          // Draw lottery for each ticket
-          for (let i = 0; i < lotteryNum; i++) {
-            try {
-              logger.info(`[${execLabel}] Drawing lottery ${i + 1}/${lotteryNum} for user ${user.uid}...`);
-              this.addSystemLog(
-                `🎰 正在抽奖 ${i + 1}/${lotteryNum}... (Draw ${i + 1}/${lotteryNum})`,
-                'info'
-              );
-
-              const drawResult = await apiService.drawPrize(
-                user.flowId,
-                user.uid,
-                user.uuid,
-                user.accessKey,
-                userData.token,
-                user.machineId,
-                user.platform || 'mac'
-              );
-
-              if (drawResult) {
-                const prize = drawResult.prize || {};
-                logger.info(`[${execLabel}] ✅ Draw ${i + 1} successful, prize: ${prize.prize_name}`);
-                this.addSystemLog(
-                  `🎁 第 ${i + 1} 次抽奖成功！获得: ${prize.prize_name} (${prize.prize_desc})`,
-                  'success'
-                );
-              }
-            } catch (error) {
-              if (error.message === 'TOKEN_EXPIRED') {
-                logger.warn(`[${execLabel}] Token expired during draw ${i + 1}, will retry remaining draws next time`);
-                this.addSystemLog(
-                  `⚠️ 第 ${i + 1} 次抽奖时 Token 过期，剩余抽奖将在下次重试 (Remaining draws will retry later)`,
-                  'warning'
-                );
-                break; // Stop remaining draws if token expires
-              } else {
-                logger.error(`[${execLabel}] Draw ${i + 1} failed for user ${user.uid}:`, error.message);
-                this.addSystemLog(
-                  `❌ 第 ${i + 1} 次抽奖失败: ${error.message}`,
-                  'error'
-                );
-                // Continue to next draw even if one fails
-              }
-            }
-          }
-        } else {
-          logger.info(`[${execLabel}] User ${user.uid} has no lottery tickets`);
-        }
-      } catch (error) {
-        logger.error(`[${execLabel}] Failed to fetch user info for lottery check:`, error.message);
+      // Follow-up checks only look at their tasks
+      if (!taskIds) {
+        checkCancelled();
+        await this.performLottery(session, run, execLabel, runNumber, signal);
       }
 
       // ===== PROCESS EACH TASK =====
       // Check each task and handle wait conditions
+      const incompleteTasks = [];
       for (const task of tasks) {
-        await this.processDailyTask(user, userData, task);
+        if (taskIds && !taskIds.includes(task.task_id)) continue;
+        checkCancelled();
+        const outcome = await this.processDailyTask(session, task, run);
+        if (outcome === TASK_OUTCOMES.INCOMPLETE) {
+          incompleteTasks.push(task);
+        }
       }
 
+      checkCancelled();
+
+      // Re-check Type 2 tasks once they should have reached their target
+      await this.planFollowUp(user.uid, incompleteTasks);
+
       logger.info(`[${execLabel}] Completed processing for user ${user.uid}, refreshing user info and tasks...`);
-      this.addSystemLog(
+      this.addAccountLog(
+        user.uid,
         `🔄 任务处理完成，正在刷新用户信息和任务列表... (Refreshing user info and tasks)`,
-        'info'
+        'info',
+        { runId: run.runId }
       );
 
       // ===== REFRESH USER INFO AND TASK LIST AFTER COMPLETION =====
       try {
-        // Refresh user info
-        let userInfoAfter;
-        try {
-          userInfoAfter = await apiService.getUserInfo(
-            user.flowId,
-            user.uuid,
-            user.uid,
-            userData.token,
-            user.accessKey,
-            user.machineId,
-            user.platform || 'mac'
-          );
-        } catch (error) {
-          if (error.message === 'TOKEN_EXPIRED') {
-            logger.warn(`[${execLabel}] Token expired while refreshing user info, refreshing token...`);
-            userData = await this.refreshUserToken(user);
-            
-            userInfoAfter = await apiService.getUserInfo(
-              user.flowId,
-              user.uuid,
-              user.uid,
-              userData.token,
-              user.accessKey,
-              user.machineId,
-              user.platform || 'mac'
-            );
-          } else {
-            throw error;
-          }
-        }
-
-        // Refresh task list
-        let tasksAfter;
-        try {
-          tasksAfter = await apiService.getActivityTasks(
-            user.flowId,
-            user.uid,
-            user.uuid,
-            user.accessKey,
-            userData.token,
-            user.machineId,
-            user.platform || 'mac'
-          );
-        } catch (error) {
-          if (error.message === 'TOKEN_EXPIRED') {
-            logger.warn(`[${execLabel}] Token expired while refreshing tasks, refreshing token...`);
-            userData = await this.refreshUserToken(user);
-            
-            tasksAfter = await apiService.getActivityTasks(
-              user.flowId,
-              user.uid,
-              user.uuid,
-              user.accessKey,
-              userData.token,
-              user.machineId,
-              user.platform || 'mac'
-            );
-          } else {
-            throw error;
-          }
-        }
+        // Refresh user info and task list
+        const userInfoAfter = await session.getUserInfo();
+        const tasksAfter = await session.getActivityTasks();
 
         // Update Redis with refreshed data
+        await overview.recordUserInfo(user.uid, userInfoAfter);
+        await statsHistory.record(user.uid, { runId: run.runId, userInfo: userInfoAfter, tasks: tasksAfter });
         await redisClient.set(`tasks:${user.uid}`, JSON.stringify(tasksAfter));
         await redisClient.set(
           `tasks:${user.uid}:fetchedAt`,
@@ -451,175 +816,362 @@ export class TaskScheduler {
         });
 
         logger.info(`[${execLabel}] ✅ Successfully refreshed user info and tasks for user ${user.uid}`);
-        this.addSystemLog(
+        this.addAccountLog(
+          user.uid,
           `✅ 用户信息和任务列表已刷新 (User info and tasks refreshed) - UID: ${user.uid}`,
-          'success'
+          'success',
+          { runId: run.runId }
         );
+
+        // New reward orders (draws, task rewards) go to the reward ledger
+        try {
+          await rewardLedger.sync(session);
+        } catch (error) {
+          logger.warn(`[${execLabel}] Failed to sync order history for user ${user.uid}: ${error.message}`);
+        }
       } catch (error) {
+        run.recordError('refresh', error);
         logger.warn(`[${execLabel}] Failed to refresh user info/tasks after completion:`, error.message);
-        this.addSystemLog(
+        this.addAccountLog(
+          user.uid,
           `⚠️ 刷新用户信息失败，但任务已完成 (Refresh failed but tasks completed): ${error.message}`,
-          'warning'
+          'warning',
+          { runId: run.runId }
         );
       }
     } catch (error) {
-      if (error.message === 'TOKEN_EXPIRED') {
+      if (error.message === RUN_CANCELLED) {
+        run.finish('cancelled');
+        logger.info(`[${execLabel}] Run ${run.runId} of user ${user.uid} cancelled`);
+        this.addAccountLog(user.uid, `🛑 执行已取消 (Run cancelled) - UID: ${user.uid}`, 'warning', {
+          runId: run.runId,
+        });
+      } else if (error.message === 'TOKEN_EXPIRED') {
+        run.recordError('execute', error);
+        run.finish('failed');
         logger.info(`[${execLabel}] Token expired for user ${user.uid}, will retry on next daily run`);
-        this.addSystemLog(
+        this.addAccountLog(
+          user.uid,
           `⚠️ Token 已过期 (Token expired for UID: ${user.uid})`,
-          'warning'
+          'warning',
+          { runId: run.runId }
         );
       } else {
+        run.recordError('execute', error);
+        run.finish('failed');
         logger.error(`[${execLabel}] Failed to execute daily sign-in for user ${user.uid}:`, {
           message: error.message,
           code: error.code,
           stack: error.stack?.split('\n').slice(0, 5).join('\n'),
         });
-        this.addSystemLog(
+        this.addAccountLog(
+          user.uid,
           `❌ 每日签到失败 (Daily sign-in failed for UID: ${user.uid}): ${error.message}`,
-          'error'
+          'error',
+          { runId: run.runId }
         );
       }
     }
+
+    if (run.status === 'running') {
+      run.finish();
+    }
+    const record = await runHistory.save(run);
+    observeRun(record);
+    broadcastToClients({
+      type: 'runFinished',
+      uid: user.uid,
+      runId: record.runId,
+      status: record.status,
+      summary: record.summary,
+      timestamp: record.finishedAt,
+    });
+    notifier.notify('runFinished', { uid: user.uid, runId: record.runId, run: record });
+    return record;
   }
 
   /**
-   * Process a single task based on task type
-   * Type 1: Sign-in tasks - can be executed immediately
-   * Type 2: Time-consuming tasks - check progress completion (task_value/task_target)
-   * Type 3: Ignored for now
+   * Dry run: fetch tasks and user info and report what executeDailySignIn would do
+   * Makes no completeTask / drawPrize calls, records no run and never refreshes or saves the token
+   * @param {Object} user - User configuration
+   * @returns {Promise<Object>} - { uid, generatedAt, userInfo, tasks: [...], lottery, summary };
+   *          rejects with TOKEN_EXPIRED when the stored token is missing or expired
    */
-  async processDailyTask(user, userData, task) {
-    try {
-      logger.info(
-        `[Task] Processing task ${task.task_id} (${task.task_name}) Type: ${task.task_type} for user ${user.uid}`
-      );
+  async planDailySignIn(user) {
+    logger.info(`[Plan] Building dry-run plan for user ${user.uid}`);
 
-      const taskType = task.task_type;
+    const session = await AccountSession.forUser(user, { readOnly: true });
+    const tasks = await session.getActivityTasks();
+    const userInfo = await session.getUserInfo();
 
-      // Type 3: Ignore
-      if (taskType === 3) {
-        logger.info(`[Task] Task ${task.task_id} is Type 3, ignoring`);
-        this.addSystemLog(
-          `⏭️ 任务 ${task.task_id} (Type 3) 已跳过 (Task Type 3 skipped)`,
-          'info'
+    const plannedTasks = [];
+    for (const task of tasks) {
+      const { handler, source, ready, outcome, reason } = await this.decideTask(session, task);
+      plannedTasks.push({
+        taskId: task.task_id,
+        taskName: task.task_name,
+        taskType: task.task_type,
+        taskState: task.task_state ?? null,
+        progress: task.task_value ?? null,
+        target: task.task_target ?? null,
+        handler: handler?.name || null,
+        source,
+        action: ready ? 'complete' : outcome === TASK_OUTCOMES.INCOMPLETE ? 'wait' : 'skip',
+        outcome,
+        reason,
+      });
+    }
+
+    const summary = { complete: 0, wait: 0, skip: 0 };
+    for (const task of plannedTasks) {
+      summary[task.action]++;
+    }
+
+    return {
+      uid: user.uid,
+      generatedAt: new Date().toISOString(),
+      userInfo,
+      tasks: plannedTasks,
+      lottery: await this.planLottery(user, userInfo),
+      summary,
+    };
+  }
+
+  /**
+   * Draw the lottery as the account's lottery policy allows (lottery_num from getuserinfo)
+   * The decision, draws and failures are recorded on the run
+   * @param {number|null} runNumber - scheduled run, null for manual runs
+   * @param {AbortSignal|null} signal - remaining draws are skipped once the run is cancelled
+   */
+  async performLottery(session, run, execLabel, runNumber = null, signal = null) {
+    const { user } = session;
+    // First, fetch fresh user info to check lottery_num
+    try {
+      logger.info(`[${execLabel}] Fetching user info to check lottery tickets for user ${user.uid}`);
+      
+      const userInfo = await session.getUserInfo();
+
+      const plan = await this.planLottery(user, userInfo, runNumber);
+      const { draws: lotteryNum, drawType } = plan;
+      run.recordLottery(plan);
+      if (plan.reason) {
+        logger.info(`[${execLabel}] Lottery policy of user ${user.uid}: ${plan.reason}`);
+        this.addAccountLog(
+          user.uid,
+          `🎰 抽奖策略：${plan.tickets} 张盲盒券中抽 ${lotteryNum} 张 (Lottery policy: ${plan.reason})`,
+          'info',
+          { runId: run.runId }
         );
-        return;
       }
-
-      // Type 1: Sign-in tasks - execute immediately
-      if (taskType === 1) {
-        logger.info(`[Task] Task ${task.task_id} is Type 1 (sign-in), can be completed immediately`);
-        this.addSystemLog(
-          `✅ 任务 ${task.task_id} (签到任务) 可立即完成 (Sign-in task ready to complete)`,
-          'info'
+      if (lotteryNum > 0) {
+        logger.info(`[${execLabel}] User ${user.uid} has ${lotteryNum} lottery tickets, performing ${lotteryNum} draws...`);
+        this.addAccountLog(
+          user.uid,
+          `🎰 用户 ${user.uid} 有 ${lotteryNum} 张盲盒券，开始抽奖... (Performing ${lotteryNum} draws)`,
+          'info',
+          { runId: run.runId }
         );
-        await this.completeTaskCall(user, userData, task);
-        return;
+
+        // Draw lottery for each ticket
+        for (let i = 0; i < lotteryNum; i++) {
+          if (signal?.aborted) break;
+          try {
+            logger.info(`[${execLabel}] Drawing lottery ${i + 1}/${lotteryNum} for user ${user.uid}...`);
+            this.addAccountLog(
+              user.uid,
+              `🎰 正在抽奖 ${i + 1}/${lotteryNum}... (Draw ${i + 1}/${lotteryNum})`,
+              'info',
+              { runId: run.runId }
+            );
+
+            const drawResult = await session.drawPrize(drawType);
+
+            run.recordDraw(i + 1, drawResult?.prize);
+            if (drawResult) {
+              const prize = drawResult.prize || {};
+              logger.info(`[${execLabel}] ✅ Draw ${i + 1} successful, prize: ${prize.prize_name}`);
+              this.addAccountLog(
+                user.uid,
+                `🎁 第 ${i + 1} 次抽奖成功！获得: ${prize.prize_name} (${prize.prize_desc})`,
+                'success',
+                { runId: run.runId }
+              );
+              notifier.notify('prizeWon', { uid: user.uid, runId: run.runId, prize });
+              await rewardLedger
+                .recordPrize(user.uid, { prize, runId: run.runId, index: i + 1, drawType })
+                .catch((error) => logger.warn(`[${execLabel}] Failed to record prize: ${error.message}`));
+              await this.countDraw(user.uid);
+            }
+          } catch (error) {
+            run.recordDraw(i + 1, null, error);
+            if (error.message === 'TOKEN_EXPIRED') {
+              logger.warn(`[${execLabel}] Token expired during draw ${i + 1}, will retry remaining draws next time`);
+              this.addAccountLog(
+                user.uid,
+                `⚠️ 第 ${i + 1} 次抽奖时 Token 过期，剩余抽奖将在下次重试 (Remaining draws will retry later)`,
+                'warning',
+                { runId: run.runId }
+              );
+              break; // Stop remaining draws if token expires
+            } else {
+              logger.error(`[${execLabel}] Draw ${i + 1} failed for user ${user.uid}:`, error.message);
+              this.addAccountLog(
+                user.uid,
+                `❌ 第 ${i + 1} 次抽奖失败: ${error.message}`,
+                'error',
+                { runId: run.runId }
+              );
+              // Continue to next draw even if one fails
+            }
+          }
+        }
+      } else if (plan.tickets === 0) {
+        logger.info(`[${execLabel}] User ${user.uid} has no lottery tickets`);
       }
+    } catch (error) {
+      run.recordError('lottery', error);
+      logger.error(`[${execLabel}] Failed to fetch user info for lottery check:`, error.message);
+    }
+  }
 
-      // Type 2: Time-consuming tasks - check progress
-      if (taskType === 2) {
-        const progress = task.task_value || 0;
-        const target = task.task_target || 0;
-        
-        logger.info(
-          `[Task] Task ${task.task_id} is Type 2 (time-consuming), Progress: ${progress}/${target}`
-        );
+  /**
+   * Lottery decision for an account under its lottery policy
+   * @param {number|null} runNumber - scheduled run, null for manual runs and dry runs
+   * @returns {Promise<{tickets: number, draws: number, drawType: number, reason: string|null}>}
+   */
+  async planLottery(user, userInfo, runNumber = null) {
+    const tickets = userInfo?.lottery_num || 0;
+    const drawnToday = parseInt(await redisClient.get(drawCountKey(user.uid, this.dayOf(Date.now()))), 10) || 0;
+    return planDraws(getUserLotteryPolicy(user), { tickets, runNumber, drawnToday });
+  }
 
-        if (progress >= target) {
-          // Progress is complete, can execute task
-          logger.info(
-            `[Task] Task ${task.task_id} progress complete (${progress}/${target}), executing completion`
-          );
-          this.addSystemLog(
-            `✅ 任务 ${task.task_id} 进度已完成 ${progress}/${target}，开始完成任务 (Progress complete, executing task)`,
-            'success'
+  // Successful draws per day, for the daily cap of the lottery policy
+  async countDraw(uid) {
+    const countKey = drawCountKey(uid, this.dayOf(Date.now()));
+    await redisClient.incr(countKey);
+    await redisClient.expire(countKey, 2 * 24 * 60 * 60);
+  }
+
+  /**
+   * Decide what to do with a task, without calling upstream
+   * @returns {Promise<{handler: Object|null, source: string, ready: boolean, outcome: string, reason: string|null}>}
+   *          outcome is the TASK_OUTCOMES value the task ends with (COMPLETED when ready)
+   */
+  async decideTask(session, task) {
+    const { user } = session;
+    const { handler, source } = resolveTaskHandler(task, user);
+    if (!handler) {
+      return {
+        handler,
+        source,
+        ready: false,
+        outcome: TASK_OUTCOMES.SKIPPED,
+        reason:
+          source === 'disabled'
+            ? 'Disabled for this account'
+            : `No handler for task type ${task.task_type}`,
+      };
+    }
+
+    const check = await handler.canComplete(task, { session, user });
+    return {
+      handler,
+      source,
+      ready: Boolean(check.ready),
+      outcome: check.ready ? TASK_OUTCOMES.COMPLETED : check.outcome || TASK_OUTCOMES.SKIPPED,
+      reason: check.reason || null,
+    };
+  }
+
+  /**
+   * Process a single task with the handler resolved for it (see taskRegistry)
+   * Tasks without a handler, or disabled for the account, are skipped
+   * The decision for each task is recorded on the run (when given)
+   * @returns {Promise<string>} - One of TASK_OUTCOMES
+   */
+  async processDailyTask(session, task, run = null) {
+    const { user } = session;
+    const context = { runId: run?.runId ?? null, taskId: task.task_id };
+    try {
+      logger.info(
+        `[Task] Processing task ${task.task_id} (${task.task_name}) Type: ${task.task_type} for user ${user.uid}`
+      );
+
+      const { handler, source, ready, outcome, reason } = await this.decideTask(session, task);
+      if (!handler) {
+        logger.info(`[Task] Task ${task.task_id} skipped: ${reason}`);
+        run?.recordTask(task, outcome, reason);
+        this.addAccountLog(user.uid, `⏭️ 任务 ${task.task_id} 已跳过 (${reason})`, 'info', context);
+        return outcome;
+      }
+
+      if (!ready) {
+        logger.info(`[Task] Task ${task.task_id} not ready (${handler.name} handler): ${reason}`);
+        run?.recordTask(task, outcome, reason);
+        if (outcome === TASK_OUTCOMES.INCOMPLETE) {
+          this.addAccountLog(
+            user.uid,
+            `⏳ 任务 ${task.task_id} 未完成 (Not ready yet): ${reason}`,
+            'warning',
+            context
           );
-          await this.completeTaskCall(user, userData, task);
         } else {
-          // Progress not complete yet
-          const remaining = target - progress;
-          logger.info(
-            `[Task] Task ${task.task_id} progress incomplete (${progress}/${target}), ${remaining} remaining`
-          );
-          this.addSystemLog(
-            `⏳ 任务 ${task.task_id} 进度未完成 ${progress}/${target}，还需 ${remaining} (Progress incomplete, ${remaining} remaining)`,
-            'warning'
-          );
+          this.addAccountLog(user.uid, `⏭️ 任务 ${task.task_id} 已跳过 (${reason})`, 'info', context);
         }
-        return;
+        return outcome;
       }
 
-      // Unknown task type
-      logger.warn(`[Task] Task ${task.task_id} has unknown type: ${taskType}`);
-      this.addSystemLog(
-        `⚠️ 任务 ${task.task_id} 类型未知 (Unknown task type: ${taskType})`,
-        'warning'
+      logger.info(`[Task] Task ${task.task_id} ready (${handler.name} handler, ${source}): ${reason}`);
+      this.addAccountLog(
+        user.uid,
+        `✅ 任务 ${task.task_id} ${handler.label} 可完成 (Ready to complete): ${reason}`,
+        'info',
+        context
       );
+      await this.completeTaskCall(session, task, handler, run);
+      run?.recordTask(task, TASK_OUTCOMES.COMPLETED);
+      return TASK_OUTCOMES.COMPLETED;
     } catch (error) {
       logger.error(
         `[Task] Failed to process task ${task.task_id}:`,
         error.message
       );
-      this.addSystemLog(
+      run?.recordTask(task, TASK_OUTCOMES.FAILED, error.message);
+      this.addAccountLog(
+        user.uid,
         `❌ 任务处理失败 ${task.task_id}: ${error.message}`,
-        'error'
+        'error',
+        context
       );
+      notifier.notify('taskFailed', {
+        uid: user.uid,
+        runId: run?.runId ?? null,
+        task: { task_id: task.task_id, task_name: task.task_name, task_type: task.task_type },
+        error: error.message,
+      });
+      return TASK_OUTCOMES.FAILED;
     }
   }
 
   /**
-   * Make the completeTask API call (Second API call, minimal frequency)
+   * Complete a task through its handler (Second API call, minimal frequency)
    */
-  async completeTaskCall(user, userData, task) {
+  async completeTaskCall(session, task, handler, run = null) {
+    const { user } = session;
+    const context = { runId: run?.runId ?? null, taskId: task.task_id };
     try {
       logger.info(
         `[Task] Making completeTask API call for task ${task.task_id}`
       );
 
-      let result;
-      try {
-        result = await apiService.completeTask(
-          user.flowId,
-          user.uid,
-          user.uuid,
-          user.accessKey,
-          task.task_id,
-          userData.token,
-          user.machineId,
-          user.platform || 'mac'
-        );
-      } catch (error) {
-        // If token expired, refresh and retry once
-        if (error.message === 'TOKEN_EXPIRED') {
-          logger.warn(`[Task] Token expired for task ${task.task_id}, refreshing and retrying...`);
-          this.addSystemLog(
-            `🔄 Token 已过期，正在刷新并重试完成任务 (Token expired, retrying task completion)`,
-            'warning'
-          );
-          
-          const updatedData = await this.refreshUserToken(user);
-          
-          result = await apiService.completeTask(
-            user.flowId,
-            user.uid,
-            user.uuid,
-            user.accessKey,
-            task.task_id,
-            updatedData.token,
-            user.machineId,
-            user.platform || 'mac'
-          );
-        } else {
-          throw error;
-        }
-      }
+      const result = await handler.complete(task, { session, user });
 
       logger.info(`[Task] Task ${task.task_id} completed successfully`);
-      this.addSystemLog(
+      this.addAccountLog(
+        user.uid,
         `✅ 任务 ${task.task_id} 已完成 (Task ${task.task_id} completed)`,
-        'success'
+        'success',
+        context
       );
 
       broadcastToClients({
@@ -642,93 +1194,23 @@ export class TaskScheduler {
       );
     } catch (error) {
       logger.error(`[Task] Failed to complete task ${task.task_id}:`, error.message);
-      this.addSystemLog(
+      this.addAccountLog(
+        user.uid,
         `❌ 完成任务失败 ${task.task_id}: ${error.message}`,
-        'error'
+        'error',
+        context
       );
       throw error;
     }
   }
 
   /**
-   * Non-intrusive token refresh (every 4 hours)
-  /**
-   * Refresh user token
-   * Always saves updated token back to Redis
-   * Includes retry mechanism for network failures
+   * Log an account event to the account's own log (logs:{uid}, delivered on the user:{uid} topic)
+   * The system log is kept for scheduler-wide events
+   * @param {Object} context - { runId, taskId } the entry is tagged with
    */
-  async refreshUserToken(user, retries = 3) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        logger.info(`[Token] Refreshing token for user ${user.uid} (attempt ${attempt}/${retries})`);
-
-        // Get latest user data from Redis
-        let userData = await this.getUserData(user.uid);
-        
-        // If no userData exists in Redis, create initial structure
-        if (!userData || Object.keys(userData).length === 0) {
-          userData = {
-            uid: user.uid,
-            uuid: user.uuid,
-            flowId: user.flowId,
-            accessKey: user.accessKey,
-            machineId: user.machineId || '830504a3-d020-43af-b3e6-4c8690f5d6be',
-            platform: user.platform || 'mac',
-            phone: user.phone,
-          };
-        }
-
-        const currentToken = userData?.token;
-
-        const loginResult = await apiService.checkLogin(
-          user.uid,
-          user.platform || 'mac',
-          user.accessKey,
-          user.machineId || '830504a3-d020-43af-b3e6-4c8690f5d6be',
-          currentToken
-        );
-
-        // Update token and save to Redis
-        userData.token = loginResult.token;
-        userData.accessKey = loginResult.access_key || user.accessKey;
-        userData.tokenUpdatedAt = new Date().toISOString();
-
-        await redisClient.set(`user:${user.uid}`, JSON.stringify(userData));
-
-        logger.info(`[Token] Token refreshed and saved to Redis for user ${user.uid}`);
-        
-        return userData; // Return updated userData
-      } catch (error) {
-        lastError = error;
-        logger.error(`[Token] Attempt ${attempt}/${retries} failed for user ${user.uid}:`, error.message);
-        
-        // If this is not the last attempt, wait before retrying
-        if (attempt < retries) {
-          const waitTime = attempt * 2000; // Progressive delay: 2s, 4s, 6s
-          logger.info(`[Token] Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-    }
-    
-    // All retries failed
-    logger.error(`[Token] All ${retries} attempts failed for user ${user.uid}`);
-    throw lastError;
-  }
-
-  async getUserData(uid) {
-    try {
-      const userData = await redisClient.get(`user:${uid}`);
-      if (userData) {
-        return JSON.parse(userData);
-      }
-      return {};
-    } catch (error) {
-      logger.error(`Failed to get user data for ${uid}:`, error);
-      return {};
-    }
+  async addAccountLog(uid, message, type = 'info', context = {}) {
+    await accountLog.write(uid, message, type, { ...context, source: 'scheduler' });
   }
 
   async addSystemLog(message, type = 'info') {
@@ -0,0 +1,221 @@
+import { WatchError } from 'redis';
+import redisClient from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import {
+  SECRET_FIELDS,
+  encryptSecrets,
+  decryptSecrets,
+  isEncrypted,
+  isCurrentKey,
+  hasMasterKey,
+} from '../utils/secrets.js';
+
+const INDEX_KEY = 'accounts:index';
+const UPDATE_ATTEMPTS = 5;
+const accountKey = (uid) => `account:${uid}`;
+
+// Layout before per-account hashes, migrated on startup
+const LEGACY_USERS_KEY = 'config:users';
+const legacyUserKey = (uid) => `user:${uid}`;
+
+function toHash(fields) {
+  const hash = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      hash[field] = JSON.stringify(value);
+    }
+  }
+  return hash;
+}
+
+function fromHash(hash) {
+  const record = {};
+  for (const [field, value] of Object.entries(hash)) {
+    record[field] = JSON.parse(value);
+  }
+  return record;
+}
+
+/**
+ * 账户存储 (Account records)
+ * account:{uid}    - hash, one JSON-encoded value per field (uid, accessKey, token, schedule, ...)
+ * accounts:index   - set of configured uids
+ * Every write touches only the hash fields it changes, so a token refresh and a
+ * schedule edit of the same account can no longer overwrite each other.
+ * Secret fields (token, accessKey, machineId) are encrypted before writing and
+ * decrypted on read, callers always see plaintext.
+ */
+class UserStore {
+  async getUser(uid) {
+    const hash = await redisClient.hGetAll(accountKey(uid));
+    return Object.keys(hash).length > 0 ? decryptSecrets(fromHash(hash)) : null;
+  }
+
+  /**
+   * All configured users, ordered by uid
+   */
+  async listUsers() {
+    const uids = await redisClient.sMembers(INDEX_KEY);
+    if (uids.length === 0) {
+      return [];
+    }
+
+    const multi = redisClient.multi();
+    for (const uid of uids) {
+      multi.hGetAll(accountKey(uid));
+    }
+    const hashes = await multi.exec();
+
+    const users = [];
+    for (const hash of hashes) {
+      if (!hash || Object.keys(hash).length === 0) {
+        continue;
+      }
+      const stored = fromHash(hash);
+      try {
+        users.push(decryptSecrets(stored));
+      } catch (error) {
+        // One unreadable account (e.g. encrypted under a missing key) must not hide the others
+        logger.error(`[UserStore] Skipping user ${stored.uid}: ${error.message}`);
+      }
+    }
+    return users.sort((a, b) => a.uid - b.uid);
+  }
+
+  /**
+   * Create or fully replace a user record
+   */
+  async saveUser(user) {
+    await redisClient
+      .multi()
+      .del(accountKey(user.uid))
+      .hSet(accountKey(user.uid), toHash(encryptSecrets(user)))
+      .sAdd(INDEX_KEY, String(user.uid))
+      .exec();
+    return user;
+  }
+
+  /**
+   * Update some fields of an existing user
+   * WATCH guards against recreating a user that is deleted concurrently
+   * @returns {Promise<boolean>} - false when the user does not exist
+   */
+  async updateUser(uid, changes) {
+    const key = accountKey(uid);
+    const hash = toHash(encryptSecrets(changes));
+
+    return redisClient.executeIsolated(async (isolatedClient) => {
+      for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+        await isolatedClient.watch(key);
+
+        if (!(await isolatedClient.exists(key))) {
+          await isolatedClient.unwatch();
+          return false;
+        }
+
+        try {
+          await isolatedClient.multi().hSet(key, hash).exec();
+          return true;
+        } catch (error) {
+          if (!(error instanceof WatchError)) {
+            throw error;
+          }
+          logger.debug(`[UserStore] User ${uid} changed during update, retrying (${attempt}/${UPDATE_ATTEMPTS})`);
+        }
+      }
+      throw new Error(`Failed to update user ${uid}: too many concurrent changes`);
+    });
+  }
+
+  async deleteUser(uid) {
+    const [removed] = await redisClient
+      .multi()
+      .del(accountKey(uid))
+      .sRem(INDEX_KEY, String(uid))
+      .exec();
+    return removed > 0;
+  }
+
+  /**
+   * Move users from config:users + user:{uid} into per-account hashes
+   * user:{uid} carries the latest token, so its fields win over the config copy
+   * Secrets are copied as stored (still encrypted if they were)
+   * @returns {Promise<number>} - number of users migrated
+   */
+  async migrateLegacy() {
+    const usersJson = await redisClient.get(LEGACY_USERS_KEY);
+    const configured = usersJson ? JSON.parse(usersJson) : [];
+
+    const uids = new Set(configured.map((u) => String(u.uid)));
+    for await (const key of redisClient.scanIterator({ MATCH: 'user:*' })) {
+      uids.add(key.slice('user:'.length));
+    }
+
+    if (uids.size === 0 && !usersJson) {
+      return 0;
+    }
+
+    let migrated = 0;
+    for (const uid of uids) {
+      const userJson = await redisClient.get(legacyUserKey(uid));
+      const userData = userJson ? JSON.parse(userJson) : null;
+      const config = configured.find((u) => String(u.uid) === uid) || null;
+      const user = { ...config, ...userData };
+      user.uid = parseInt(uid, 10);
+
+      const multi = redisClient.multi();
+      // Never overwrite an account that already lives in the new layout
+      if (!(await redisClient.exists(accountKey(uid)))) {
+        multi.hSet(accountKey(uid), toHash(user)).sAdd(INDEX_KEY, uid);
+        migrated++;
+      }
+      multi.del(legacyUserKey(uid));
+      await multi.exec();
+    }
+
+    await redisClient.del(LEGACY_USERS_KEY);
+    logger.info(`[UserStore] Migrated ${migrated} user(s) to per-account hashes`);
+    return migrated;
+  }
+
+  /**
+   * Re-encrypt every stored secret with the current master key
+   * Used at startup (encrypts legacy plaintext) and by the key rotation command
+   * @returns {Promise<number>} - number of records rewritten
+   */
+  async reencryptAll() {
+    if (!hasMasterKey()) {
+      return 0;
+    }
+
+    const isStale = (value) =>
+      value !== null && value !== undefined && !(isEncrypted(value) && isCurrentKey(value));
+
+    let rewritten = 0;
+    const uids = await redisClient.sMembers(INDEX_KEY);
+
+    for (const uid of uids) {
+      const hash = await redisClient.hGetAll(accountKey(uid));
+      const stored = fromHash(hash);
+      const staleFields = SECRET_FIELDS.filter((field) => isStale(stored[field]));
+      if (staleFields.length === 0) {
+        continue;
+      }
+
+      try {
+        const changes = Object.fromEntries(staleFields.map((field) => [field, stored[field]]));
+        await this.updateUser(uid, decryptSecrets(changes));
+        rewritten++;
+      } catch (error) {
+        logger.error(`[Secrets] Failed to re-encrypt user ${uid}: ${error.message}`);
+      }
+    }
+
+    if (rewritten > 0) {
+      logger.info(`[Secrets] Re-encrypted ${rewritten} account record(s) with the current master key`);
+    }
+    return rewritten;
+  }
+}
+
+export default new UserStore();
@@ -0,0 +1,140 @@
+import eventStream, { compareEventIds } from '../services/eventStream.js';
+import { logger } from './logger.js';
+import { PROTOCOL_VERSION, topicsOf, parseClientMessage } from './wsProtocol.js';
+
+/**
+ * Connected dashboard WebSocket clients -> { topics, alive, pending }
+ * Kept apart from index.js so services (and tests) can broadcast without starting the server
+ * `pending` holds live events while the client still replays missed ones.
+ */
+const wsClients = new Map();
+
+function send(ws, data) {
+  if (ws.readyState === 1) { // WebSocket.OPEN = 1
+    ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...data }));
+  }
+}
+
+function isSubscribed(client, event) {
+  return topicsOf(event).some((topic) => client.topics.has(topic));
+}
+
+/**
+ * Register a client and catch it up
+ * Sends the events after `since` on its topics (or none for a new client), then a 'ready'
+ * message with the id to resume from. Events broadcast meanwhile are delivered after the
+ * replay, in order.
+ * @param {Object} options - { since: last event id the client saw, topics: initial subscriptions }
+ */
+export async function addClient(ws, { since = null, topics = [] } = {}) {
+  const client = { topics: new Set(topics), alive: true, pending: [] };
+  wsClients.set(ws, client);
+
+  let ready = { type: 'ready', lastEventId: since, replayed: 0, truncated: false };
+  try {
+    if (since) {
+      const { events, lastId, truncated } = await eventStream.readSince(since);
+      const subscribed = events.filter((event) => isSubscribed(client, event));
+      subscribed.forEach((event) => send(ws, event));
+      ready = { ...ready, lastEventId: lastId, replayed: subscribed.length, truncated };
+    } else {
+      ready.lastEventId = await eventStream.lastId();
+    }
+  } catch (error) {
+    logger.error('Failed to replay events:', error.message);
+    // The client cannot tell what it missed
+    ready.truncated = Boolean(since);
+  }
+
+  const { pending } = client;
+  client.pending = null;
+  send(ws, { ...ready, topics: [...client.topics] });
+  pending
+    .filter((event) => !event.eventId || !ready.lastEventId || compareEventIds(event.eventId, ready.lastEventId) > 0)
+    .filter((event) => isSubscribed(client, event))
+    .forEach((event) => send(ws, event));
+}
+
+export function removeClient(ws) {
+  wsClients.delete(ws);
+}
+
+export function clientCount() {
+  return wsClients.size;
+}
+
+/**
+ * Handle a subscribe / unsubscribe / ping message of a client
+ */
+export function handleClientMessage(ws, raw) {
+  const client = wsClients.get(ws);
+  if (!client) {
+    return;
+  }
+
+  const { message, error } = parseClientMessage(raw);
+  if (error) {
+    send(ws, { type: 'protocolError', message: error });
+    return;
+  }
+
+  if (message.type === 'ping') {
+    send(ws, { type: 'pong' });
+    return;
+  }
+
+  for (const topic of message.topics) {
+    if (message.type === 'subscribe') {
+      client.topics.add(topic);
+    } else {
+      client.topics.delete(topic);
+    }
+  }
+  send(ws, { type: 'subscriptions', topics: [...client.topics] });
+}
+
+// Any pong or message proves the client is still there
+export function markAlive(ws) {
+  const client = wsClients.get(ws);
+  if (client) {
+    client.alive = true;
+  }
+}
+
+/**
+ * Ping every client each interval; clients that did not answer the previous ping are terminated
+ * @returns {Function} stop
+ */
+export function startHeartbeat(intervalMs) {
+  const timer = setInterval(() => {
+    wsClients.forEach((client, ws) => {
+      if (!client.alive) {
+        logger.warn('Terminating unresponsive WebSocket client');
+        wsClients.delete(ws);
+        ws.terminate();
+        return;
+      }
+      client.alive = false;
+      ws.ping();
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Broadcast message to the clients subscribed to one of its topics
+ * The event is appended to the event stream first and sent with its `eventId`
+ */
+export async function broadcastToClients(data) {
+  const eventId = await eventStream.append(data);
+  const event = eventId ? { ...data, eventId } : data;
+
+  wsClients.forEach((client, ws) => {
+    if (client.pending) {
+      client.pending.push(event);
+    } else if (isSubscribed(client, event)) {
+      send(ws, event);
+    }
+  });
+}
@@ -0,0 +1,84 @@
+/**
+ * Minimal RFC 4180 CSV: comma separated, double-quoted cells, "" escapes a quote
+ */
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<string>} columns - Header row and cell order; objects are written as JSON
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text with a header row into one object per record (cells as strings)
+ * Blank lines are skipped
+ * @returns {Array<Object>}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted cell');
+  }
+  if (cell !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  const [header = [], ...rows] = records;
+  const columns = header.map((column) => column.trim());
+  return rows.map((cells) => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+}
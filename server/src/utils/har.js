@@ -0,0 +1,134 @@
+/**
+ * HAR 导入 (Account extraction from HAR captures)
+ * Scans the FuFuHub client requests (/v1/nika/client/*) of a HAR file and collects,
+ * per uid, what the add-user form needs: uuid and flow_id from the request bodies,
+ * accesskey / machineid / platform from the headers, and the newest token
+ * (authorization header, or the token returned by checklogin).
+ */
+
+const CLIENT_PATH = '/v1/nika/client/';
+
+// Fields an account needs before it can be saved (same as POST /users)
+export const REQUIRED_ACCOUNT_FIELDS = ['uid', 'uuid', 'flowId', 'accessKey'];
+
+function parseJson(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function headerMap(headers = []) {
+  const map = {};
+  for (const { name, value } of headers) {
+    if (name && value !== undefined) {
+      map[name.toLowerCase()] = value;
+    }
+  }
+  return map;
+}
+
+function responseBody(response) {
+  const content = response?.content;
+  if (!content?.text) {
+    return null;
+  }
+  const text =
+    content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+  return parseJson(text);
+}
+
+/**
+ * Extract FuFuHub accounts from a parsed HAR document
+ * @param {Object} har - HAR JSON ({ log: { entries: [...] } })
+ * @returns {{entries: number, requests: number, accounts: Array<Object>}}
+ *          accounts: { uid, uuid, flowId, accessKey, machineId, platform, token, tokenSeenAt,
+ *                      methods: [...], missing: [...] }
+ * @throws {Error} - when the document is not a HAR file
+ */
+export function extractAccountsFromHar(har) {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a HAR file: log.entries is missing');
+  }
+
+  const accounts = new Map();
+  let requests = 0;
+
+  // Oldest first, so later requests overwrite earlier values
+  const sorted = [...entries].sort((a, b) =>
+    String(a.startedDateTime || '').localeCompare(String(b.startedDateTime || ''))
+  );
+
+  for (const entry of sorted) {
+    const url = entry.request?.url || '';
+    const index = url.indexOf(CLIENT_PATH);
+    if (index === -1) {
+      continue;
+    }
+    const method = url.slice(index + CLIENT_PATH.length).split(/[/?#]/)[0];
+    const body = parseJson(entry.request.postData?.text) || {};
+    const headers = headerMap(entry.request.headers);
+
+    const uid = parseInt(body.uid, 10);
+    if (Number.isNaN(uid)) {
+      continue;
+    }
+    requests++;
+
+    if (!accounts.has(uid)) {
+      accounts.set(uid, { uid, methods: new Set() });
+    }
+    const account = accounts.get(uid);
+    const seenAt = entry.startedDateTime || null;
+
+    account.methods.add(method);
+    if (body.uuid) account.uuid = String(body.uuid);
+    if (body.flow_id !== undefined && body.flow_id !== null) account.flowId = body.flow_id;
+    if (headers.accesskey) account.accessKey = headers.accesskey;
+    else if (body.access_key) account.accessKey = body.access_key;
+    if (headers.machineid) account.machineId = headers.machineid;
+    if (headers.platform) account.platform = headers.platform;
+    if (headers.authorization) {
+      account.token = headers.authorization;
+      account.tokenSeenAt = seenAt;
+    }
+
+    // checklogin hands out a fresh token (and sometimes a new access key)
+    if (method === 'checklogin') {
+      const result = responseBody(entry.response);
+      if (result?.ret?.code === 0 && result.body?.token) {
+        account.token = result.body.token;
+        account.tokenSeenAt = seenAt;
+        if (result.body.access_key) {
+          account.accessKey = result.body.access_key;
+        }
+      }
+    }
+  }
+
+  return {
+    entries: entries.length,
+    requests,
+    accounts: [...accounts.values()]
+      .map((account) => ({
+        uid: account.uid,
+        uuid: account.uuid ?? null,
+        flowId: account.flowId ?? null,
+        accessKey: account.accessKey ?? null,
+        machineId: account.machineId ?? null,
+        platform: account.platform ?? null,
+        token: account.token ?? null,
+        tokenSeenAt: account.tokenSeenAt ?? null,
+        methods: [...account.methods].sort(),
+        missing: REQUIRED_ACCOUNT_FIELDS.filter(
+          (field) => account[field] === undefined || account[field] === null || account[field] === ''
+        ),
+      }))
+      .sort((a, b) => a.uid - b.uid),
+  };
+}
@@ -0,0 +1,101 @@
+import { MAX_RUNS_PER_DAY } from './schedule.js';
+
+/**
+ * 抽奖策略 (Per-account lottery policy)
+ * - enabled: false 时不抽奖
+ * - reserve: 保留的盲盒券数量，只抽超出部分
+ * - runNumber: 只在第几次定时执行时抽奖（null 为每次执行；手动执行不受此限制）
+ * - dailyCap: 每天最多抽奖次数（null 为不限）
+ * - drawType: drawprize 请求的 draw_type
+ */
+export const DEFAULT_LOTTERY_POLICY = {
+  enabled: true,
+  reserve: 0,
+  runNumber: null,
+  dailyCap: null,
+  drawType: 1,
+};
+
+const MAX_TICKETS = 9999;
+
+function toInteger(value, field, min, max, optional) {
+  if (value === undefined || value === null || value === '') {
+    return optional ? null : DEFAULT_LOTTERY_POLICY[field];
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`lotteryPolicy.${field} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate and normalize a lottery policy from user input
+ * @param {Object} policy - Raw policy (undefined/null falls back to the default: draw every ticket)
+ * @throws {Error} - with a user-facing message
+ */
+export function normalizeLotteryPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return { ...DEFAULT_LOTTERY_POLICY };
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('lotteryPolicy must be an object: { enabled, reserve, runNumber, dailyCap, drawType }');
+  }
+  if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+    throw new Error('lotteryPolicy.enabled must be true or false');
+  }
+
+  return {
+    enabled: policy.enabled ?? true,
+    reserve: toInteger(policy.reserve, 'reserve', 0, MAX_TICKETS, false),
+    runNumber: toInteger(policy.runNumber, 'runNumber', 1, MAX_RUNS_PER_DAY, true),
+    dailyCap: toInteger(policy.dailyCap, 'dailyCap', 1, MAX_TICKETS, true),
+    drawType: toInteger(policy.drawType, 'drawType', 1, 99, false),
+  };
+}
+
+/**
+ * Effective lottery policy of a user, falling back to the default
+ * for records created before policies existed
+ */
+export function getUserLotteryPolicy(user) {
+  try {
+    return normalizeLotteryPolicy(user?.lotteryPolicy);
+  } catch {
+    return normalizeLotteryPolicy();
+  }
+}
+
+/**
+ * How many tickets to draw now
+ * @param {Object} policy - Normalized policy
+ * @param {Object} state - { tickets: lottery_num, runNumber: scheduled run (null for manual runs), drawnToday }
+ * @returns {{tickets: number, draws: number, drawType: number, reason: string|null}}
+ *          reason explains why fewer than all tickets are drawn
+ */
+export function planDraws(policy, { tickets, runNumber = null, drawnToday = 0 }) {
+  const plan = { tickets, draws: 0, drawType: policy.drawType, reason: null };
+
+  if (tickets <= 0) {
+    return plan;
+  }
+  if (!policy.enabled) {
+    return { ...plan, reason: 'Lottery disabled' };
+  }
+  if (policy.runNumber !== null && runNumber !== null && runNumber !== policy.runNumber) {
+    return { ...plan, reason: `Draws only in run ${policy.runNumber}` };
+  }
+
+  let draws = Math.max(tickets - policy.reserve, 0);
+  if (draws < tickets) {
+    plan.reason = `Keeping ${Math.min(policy.reserve, tickets)} ticket(s) in reserve`;
+  }
+  if (policy.dailyCap !== null) {
+    const left = Math.max(policy.dailyCap - drawnToday, 0);
+    if (left < draws) {
+      draws = left;
+      plan.reason = `Daily cap of ${policy.dailyCap} draw(s), ${drawnToday} drawn today`;
+    }
+  }
+  return { ...plan, draws };
+}
@@ -0,0 +1,152 @@
+import client from 'prom-client';
+import { clientCount } from './broadcast.js';
+import runQueue from '../services/runQueue.js';
+
+/**
+ * Prometheus 指标 (Metrics exposed on /metrics)
+ * Counters and histograms are updated where things happen (APIService, AccountSession,
+ * TaskScheduler); scheduler and WebSocket gauges are read at scrape time.
+ */
+export const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'fufuhub_' });
+
+// Scheduler whose state the gauges report, set once it is initialized
+let scheduler = null;
+
+export function trackScheduler(taskScheduler) {
+  scheduler = taskScheduler;
+}
+
+const upstreamRequests = new client.Counter({
+  name: 'fufuhub_upstream_requests_total',
+  help: 'FuFuHub API calls by method and ret.code (http_<status> / network when there is no ret)',
+  labelNames: ['method', 'code'],
+  registers: [register],
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'fufuhub_upstream_request_duration_seconds',
+  help: 'FuFuHub API call latency by method and ret.code',
+  labelNames: ['method', 'code'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const tokenRefreshAttempts = new client.Counter({
+  name: 'fufuhub_token_refresh_attempts_total',
+  help: 'Token refreshes started (one per expired token, retries included)',
+  registers: [register],
+});
+
+const tokenRefreshFailures = new client.Counter({
+  name: 'fufuhub_token_refresh_failures_total',
+  help: 'Token refreshes that failed after every retry',
+  registers: [register],
+});
+
+const tasksProcessed = new client.Counter({
+  name: 'fufuhub_tasks_total',
+  help: 'Tasks processed by runs, by task type and outcome',
+  labelNames: ['type', 'outcome'],
+  registers: [register],
+});
+
+const lotteryDraws = new client.Counter({
+  name: 'fufuhub_lottery_draws_total',
+  help: 'Lottery draws by result (success / failed)',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+const runDuration = new client.Histogram({
+  name: 'fufuhub_run_duration_seconds',
+  help: 'Sign-in run duration by trigger and final status',
+  labelNames: ['trigger', 'status'],
+  buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: 'fufuhub_scheduler_running',
+  help: '1 when the task scheduler is running',
+  registers: [register],
+  collect() {
+    this.set(scheduler?.isRunning ? 1 : 0);
+  },
+});
+
+new client.Gauge({
+  name: 'fufuhub_scheduler_next_run_timestamp_seconds',
+  help: 'Next scheduled run of each account (unix time, jitter applied once the window opened)',
+  labelNames: ['uid'],
+  registers: [register],
+  collect() {
+    this.reset();
+    const next = new Map();
+    for (const run of scheduler?.getScheduledRuns() || []) {
+      const at = Date.parse(run.fireAt || run.nextInvocation);
+      if (!Number.isNaN(at) && (!next.has(run.uid) || at < next.get(run.uid))) {
+        next.set(run.uid, at);
+      }
+    }
+    for (const [uid, at] of next) {
+      this.set({ uid: String(uid) }, at / 1000);
+    }
+  },
+});
+
+new client.Gauge({
+  name: 'fufuhub_run_queue_jobs',
+  help: 'Runs in the run queue by state (running / queued)',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    const { running, queued } = runQueue.list();
+    this.set({ state: 'running' }, running.length);
+    this.set({ state: 'queued' }, queued.length);
+  },
+});
+
+new client.Gauge({
+  name: 'fufuhub_websocket_clients',
+  help: 'Connected dashboard WebSocket clients',
+  registers: [register],
+  collect() {
+    this.set(clientCount());
+  },
+});
+
+/**
+ * Record one upstream call
+ * @param {string} method - APIService method (last path segment, e.g. getuserinfo)
+ * @param {number|string} code - ret.code, or http_<status> / network
+ * @param {number} seconds - Latency
+ */
+export function observeUpstream(method, code, seconds) {
+  const labels = { method, code: String(code) };
+  upstreamRequests.inc(labels);
+  upstreamDuration.observe(labels, seconds);
+}
+
+export function countTokenRefresh(failed = false) {
+  if (failed) {
+    tokenRefreshFailures.inc();
+  } else {
+    tokenRefreshAttempts.inc();
+  }
+}
+
+/**
+ * Record a finished run record (RunRecord.toJSON())
+ */
+export function observeRun(record) {
+  for (const task of record.tasks) {
+    tasksProcessed.inc({ type: String(task.taskType ?? 'unknown'), outcome: task.outcome });
+  }
+  for (const draw of record.draws) {
+    lotteryDraws.inc({ result: draw.error ? 'failed' : 'success' });
+  }
+  if (record.durationMs !== null) {
+    runDuration.observe({ trigger: record.trigger, status: record.status }, record.durationMs / 1000);
+  }
+}
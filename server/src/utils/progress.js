@@ -0,0 +1,50 @@
+/**
+ * Type 2 (time-consuming) task progress estimation
+ * Progress observations { value, at } of the same task are compared to derive a rate,
+ * the follow-up check is scheduled when the target should be reached.
+ */
+
+const maxPolls = parseInt(process.env.TASK_POLL_MAX_PER_DAY, 10);
+// Follow-up checks per account per day (0 disables follow-ups)
+export const TASK_POLL_MAX_PER_DAY = Number.isNaN(maxPolls) ? 6 : maxPolls;
+
+const fallbackMinutes = parseInt(process.env.TASK_POLL_FALLBACK_MINUTES, 10);
+// Re-check delay when no progress rate is known yet
+export const TASK_POLL_FALLBACK_MS = (Number.isNaN(fallbackMinutes) ? 30 : fallbackMinutes) * 60 * 1000;
+
+// Never poll more often than this
+export const MIN_POLL_DELAY_MS = 5 * 60 * 1000;
+// Upstream progress lags behind actual play time, check a bit after the estimate
+export const POLL_SETTLE_MS = 60 * 1000;
+// Older observations are not used for the rate (progress resets daily)
+const MAX_OBSERVATION_AGE_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Estimate when a task reaches its target
+ * @param {Object} task - Task from getactivitytask (task_value, task_target)
+ * @param {Object|null} previous - Previous observation { value, at (ISO) }
+ * @param {number} now - Current time (ms)
+ * @returns {{fireAt: number, ratePerMinute: number|null}}
+ */
+export function estimateCompletion(task, previous, now = Date.now()) {
+  const value = task.task_value || 0;
+  const remaining = Math.max((task.task_target || 0) - value, 0);
+
+  let ratePerMinute = null;
+  if (previous) {
+    const elapsed = now - Date.parse(previous.at);
+    const gained = value - previous.value;
+    if (elapsed > 0 && elapsed <= MAX_OBSERVATION_AGE_MS && gained > 0) {
+      ratePerMinute = gained / (elapsed / 60000);
+    }
+  }
+
+  const delay = ratePerMinute
+    ? (remaining / ratePerMinute) * 60000 + POLL_SETTLE_MS
+    : TASK_POLL_FALLBACK_MS;
+
+  return {
+    fireAt: now + Math.max(delay, MIN_POLL_DELAY_MS),
+    ratePerMinute,
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * 账户执行计划 (Per-account run schedule)
+ * 每个账户可配置每天任意次数的运行，每次运行包含：
+ * - time: 窗口开始时间 (HH:mm, 调度器时区)
+ * - windowMinutes: 在窗口内随机选择一个分钟执行
+ * - jitterSeconds: 额外的随机秒数，避免同一窗口的账户同时请求
+ * 窗口加抖动必须小于 24 小时，否则第二天同一次运行的触发会覆盖尚未执行的这次
+ */
+
+// Matches the previous hardcoded plan: 8-9 AM, then roughly 4 hours later
+export const DEFAULT_SCHEDULE = [
+  { time: '08:00', windowMinutes: 60, jitterSeconds: 0 },
+  { time: '12:00', windowMinutes: 60, jitterSeconds: 0 },
+];
+
+export const MAX_RUNS_PER_DAY = 24;
+const MAX_WINDOW_MINUTES = 24 * 60 - 1;
+const MAX_JITTER_SECONDS = 3600;
+// A run must fire before the same run of the next day opens its window
+const MAX_DELAY_SECONDS = 24 * 60 * 60;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function toInteger(value, field, index, max) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    throw new Error(`Run ${index + 1}: ${field} must be an integer between 0 and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate and normalize a schedule from user input
+ * Throws an Error describing the first invalid run
+ * @param {Array} schedule - Raw schedule (undefined/null falls back to the default)
+ * @returns {Array<{time: string, windowMinutes: number, jitterSeconds: number}>} - Runs sorted by time
+ */
+export function normalizeSchedule(schedule) {
+  if (schedule === undefined || schedule === null) {
+    return DEFAULT_SCHEDULE.map((run) => ({ ...run }));
+  }
+
+  if (!Array.isArray(schedule)) {
+    throw new Error('schedule must be an array of runs');
+  }
+
+  if (schedule.length > MAX_RUNS_PER_DAY) {
+    throw new Error(`schedule supports at most ${MAX_RUNS_PER_DAY} runs per day`);
+  }
+
+  const runs = schedule.map((run, index) => {
+    const match = TIME_PATTERN.exec(String(run?.time || '').trim());
+    if (!match) {
+      throw new Error(`Run ${index + 1}: time must be in HH:mm format`);
+    }
+
+    const windowMinutes = toInteger(run.windowMinutes, 'windowMinutes', index, MAX_WINDOW_MINUTES);
+    const jitterSeconds = toInteger(run.jitterSeconds, 'jitterSeconds', index, MAX_JITTER_SECONDS);
+    if (windowMinutes * 60 + jitterSeconds >= MAX_DELAY_SECONDS) {
+      throw new Error(`Run ${index + 1}: windowMinutes plus jitterSeconds must stay under 24 hours`);
+    }
+
+    return {
+      time: `${match[1].padStart(2, '0')}:${match[2]}`,
+      windowMinutes,
+      jitterSeconds,
+    };
+  });
+
+  runs.sort((a, b) => a.time.localeCompare(b.time));
+
+  for (let i = 1; i < runs.length; i++) {
+    if (runs[i].time === runs[i - 1].time) {
+      throw new Error(`Duplicate run time: ${runs[i].time}`);
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Get the effective schedule of a user, falling back to the default plan
+ * for records created before schedules existed
+ */
+export function getUserSchedule(user) {
+  if (Array.isArray(user?.schedule)) {
+    try {
+      return normalizeSchedule(user.schedule);
+    } catch {
+      return normalizeSchedule();
+    }
+  }
+  return normalizeSchedule();
+}
+
+/**
+ * Parse the HH:mm start of a run
+ */
+export function parseRunTime(run) {
+  const [hour, minute] = run.time.split(':').map((part) => parseInt(part, 10));
+  return { hour, minute };
+}
+
+/**
+ * Random delay (ms) inside the run window plus jitter
+ */
+export function computeRunDelay(run) {
+  const windowDelay = Math.floor(Math.random() * (run.windowMinutes || 0) * 60 * 1000);
+  const jitterDelay = Math.floor(Math.random() * (run.jitterSeconds || 0) * 1000);
+  return windowDelay + jitterDelay;
+}
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+
+/**
+ * 账户敏感字段加密 (Account secrets at rest)
+ * Values are sealed with AES-256-GCM under SECRETS_MASTER_KEY:
+ *   enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>   (base64url parts)
+ * keyId identifies the master key so rotation can tell which records are stale.
+ * SECRETS_PREVIOUS_KEYS (comma-separated) lets old records be read while rotating.
+ */
+export const SECRET_FIELDS = ['token', 'accessKey', 'machineId'];
+
+const PREFIX = 'enc:v1:';
+const MASK = '••••';
+
+function deriveKey(secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { key, keyId };
+}
+
+// Keys are read lazily so dotenv and the rotation command can set them first
+function getMasterKey() {
+  const secret = process.env.SECRETS_MASTER_KEY;
+  return secret ? deriveKey(secret) : null;
+}
+
+function getDecryptionKeys() {
+  const secrets = [
+    process.env.SECRETS_MASTER_KEY,
+    ...(process.env.SECRETS_PREVIOUS_KEYS || '').split(','),
+  ]
+    .map((secret) => secret?.trim())
+    .filter(Boolean);
+  return secrets.map(deriveKey);
+}
+
+export function hasMasterKey() {
+  return Boolean(process.env.SECRETS_MASTER_KEY);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Whether an encrypted value was sealed with the current master key
+ */
+export function isCurrentKey(value) {
+  const master = getMasterKey();
+  return Boolean(master) && isEncrypted(value) && value.split(':')[2] === master.keyId;
+}
+
+export function encryptValue(value) {
+  const master = getMasterKey();
+  if (!master || value === null || value === undefined || isEncrypted(value)) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', master.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return `${PREFIX}${master.keyId}:${iv.toString('base64url')}:${authTag.toString('base64url')}:${ciphertext.toString('base64url')}`;
+}
+
+export function decryptValue(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, , keyId, iv, authTag, ciphertext] = value.split(':');
+  const entry = getDecryptionKeys().find((candidate) => candidate.keyId === keyId);
+  if (!entry) {
+    throw new Error(`SECRETS_KEY_UNAVAILABLE: no master key for key id ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Return a copy of the record (or partial update) with secret fields encrypted
+ * (plaintext when no master key is configured)
+ */
+export function encryptSecrets(record) {
+  if (!record) {
+    return record;
+  }
+  const sealed = { ...record };
+  for (const field of SECRET_FIELDS) {
+    if (field in sealed) {
+      sealed[field] = encryptValue(sealed[field]);
+    }
+  }
+  return sealed;
+}
+
+export function decryptSecrets(record) {
+  if (!record) {
+    return record;
+  }
+  const opened = { ...record };
+  for (const field of SECRET_FIELDS) {
+    if (field in opened) {
+      opened[field] = decryptValue(opened[field]);
+    }
+  }
+  return opened;
+}
+
+export function maskValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+  const text = String(value);
+  return text.length > 8 ? `${MASK}${text.slice(-4)}` : MASK;
+}
+
+export function isMasked(value) {
+  return typeof value === 'string' && value.startsWith(MASK);
+}
+
+/**
+ * Return a copy of the record safe to send to the browser
+ */
+export function maskSecrets(record) {
+  if (!record) {
+    return record;
+  }
+  const masked = { ...record };
+  for (const field of SECRET_FIELDS) {
+    if (field in masked) {
+      masked[field] = maskValue(masked[field]);
+    }
+  }
+  return masked;
+}
@@ -0,0 +1,104 @@
+/**
+ * Dashboard WebSocket protocol
+ * Every server message is a JSON object with `v` (PROTOCOL_VERSION) and `type`. Events also carry
+ * their `eventId` and are only delivered to clients subscribed to one of their topics.
+ *
+ * Topics: `system`, `runs`, `user:{uid}`
+ *
+ * Client -> server
+ *   { type: 'subscribe', topics: [topic] }
+ *   { type: 'unsubscribe', topics: [topic] }
+ *   { type: 'ping' }
+ *
+ * Server -> client (control)
+ *   ready         { lastEventId, replayed, truncated, topics }  after connecting and replaying
+ *   subscriptions { topics }                                     after (un)subscribing
+ *   pong          {}                                             answer to ping
+ *   protocolError { message }                                    invalid client message
+ *
+ * Bump PROTOCOL_VERSION when a message changes incompatibly.
+ */
+export const PROTOCOL_VERSION = 1;
+
+const USER_TOPIC = /^user:(\d+)$/;
+
+const userTopic = (event) => [`user:${event.uid}`];
+
+/**
+ * Event type -> topics it is delivered on
+ * Fields besides `type`, `eventId` and `v` are listed for reference.
+ */
+export const EVENT_TOPICS = {
+  // { log: { id, message, type, timestamp } }
+  systemLog: () => ['system'],
+  // { items: [{ uid, phone, orderId, saleName, minutes, state, expiryDate, daysLeft }], timestamp }
+  rewardsExpiring: () => ['system'],
+  // { user, timestamp }; userRemoved: { uid, timestamp }
+  userAdded: (event) => ['system', `user:${event.user.uid}`],
+  userUpdated: (event) => ['system', `user:${event.user.uid}`],
+  userRemoved: (event) => ['system', `user:${event.uid}`],
+  // { uid, runId, trigger, runNumber, timestamp }
+  runStarted: (event) => ['runs', `user:${event.uid}`],
+  // { uid, runId, status, summary, timestamp }
+  runFinished: (event) => ['runs', `user:${event.uid}`],
+  // { concurrency, running: [job], queued: [job], timestamp }, job: see RunQueue.list
+  runQueue: () => ['runs'],
+  // { uid, tasks, timestamp }
+  tasksUpdated: userTopic,
+  // { uid, userInfo, timestamp }
+  userInfoUpdated: userTopic,
+  // { uid, taskId, taskName, result, timestamp }
+  taskCompleted: userTopic,
+  // { uid, log: { id, uid, level, message, runId, taskId, source, timestamp } }
+  accountLog: userTopic,
+};
+
+export function isTopic(topic) {
+  return topic === 'system' || topic === 'runs' || USER_TOPIC.test(topic);
+}
+
+// Unknown event types go to `system` so nothing is silently dropped
+export function topicsOf(event) {
+  const topics = EVENT_TOPICS[event.type];
+  return topics ? topics(event) : ['system'];
+}
+
+/**
+ * Parse a comma-separated topic list (the `topics` connection parameter)
+ * Invalid topics are ignored
+ */
+export function parseTopicList(value) {
+  return (value || '')
+    .split(',')
+    .map((topic) => topic.trim())
+    .filter(isTopic);
+}
+
+/**
+ * Validate a client message
+ * @returns {{message: Object}|{error: string}}
+ */
+export function parseClientMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return { error: 'Message must be JSON' };
+  }
+
+  if (message?.type === 'ping') {
+    return { message };
+  }
+
+  if (message?.type !== 'subscribe' && message?.type !== 'unsubscribe') {
+    return { error: `Unknown message type: ${message?.type}` };
+  }
+  if (!Array.isArray(message.topics) || message.topics.length === 0) {
+    return { error: 'topics must be a non-empty array' };
+  }
+  const invalid = message.topics.filter((topic) => !isTopic(topic));
+  if (invalid.length > 0) {
+    return { error: `Unknown topic(s): ${invalid.join(', ')}` };
+  }
+  return { message };
+}
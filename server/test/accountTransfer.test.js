@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportAccounts, accountsToCsv, parseImport, planImport } from '../src/services/accountTransfer.js';
+
+const stored = {
+  uid: 7,
+  phone: '138',
+  uuid: 'u-7',
+  flowId: 3,
+  platform: 'ios',
+  isActive: true,
+  accessKey: 'ak-7',
+  machineId: 'm-7',
+  token: 'token-7',
+  tokenUpdatedAt: '2026-01-01T00:00:00.000Z',
+  schedule: [{ time: '09:00', windowMinutes: 0, jitterSeconds: 0 }],
+  taskHandlers: { tasks: { 5: false }, types: {} },
+  lotteryPolicy: { enabled: true, reserve: 2, runNumber: 1, dailyCap: 3, drawType: 2 },
+  createdAt: '2025-12-01T00:00:00.000Z',
+};
+
+test('a CSV export without secrets imports back unchanged', () => {
+  const accounts = exportAccounts([stored]);
+  assert.equal('accessKey' in accounts[0], false);
+
+  const csv = accountsToCsv(accounts);
+  assert.equal(csv.split('\r\n')[0], 'uid,phone,uuid,flowId,platform,isActive,schedule,taskHandlers,lotteryPolicy');
+
+  const plan = planImport(parseImport(csv, 'csv'), [stored], { mode: 'replace' });
+  assert.deepEqual(
+    plan.items.map(({ uid, action, errors }) => ({ uid, action, errors })),
+    [{ uid: 7, action: 'unchanged', errors: [] }]
+  );
+  assert.equal(plan.items[0].user.accessKey, 'ak-7');
+  assert.equal(plan.items[0].user.createdAt, stored.createdAt);
+  assert.deepEqual(plan.items[0].user.lotteryPolicy, stored.lotteryPolicy);
+});
+
+test('the lottery policy round-trips through a JSON export and is validated on import', () => {
+  const [account] = exportAccounts([stored], { includeSecrets: true });
+  assert.deepEqual(account.lotteryPolicy, stored.lotteryPolicy);
+
+  const [created] = planImport(parseImport({ accounts: [account] }, 'json'), []).items;
+  assert.equal(created.action, 'create');
+  assert.deepEqual(created.user.lotteryPolicy, stored.lotteryPolicy);
+
+  const [invalid] = planImport([{ ...account, lotteryPolicy: { reserve: -1 } }], [stored]).items;
+  assert.equal(invalid.action, 'invalid');
+  assert.deepEqual(invalid.errors, ['lotteryPolicy.reserve must be an integer between 0 and 9999']);
+});
+
+test('merge keeps missing fields, replace resets them to the defaults', () => {
+  const rows = [{ uid: '7', uuid: 'u-7', flowId: '3', token: '••••' }];
+
+  const [merged] = planImport(rows, [stored], { mode: 'merge' }).items;
+  assert.equal(merged.action, 'unchanged');
+
+  const [replaced] = planImport(rows, [stored], { mode: 'replace' }).items;
+  assert.equal(replaced.action, 'update');
+  assert.deepEqual(replaced.changes, ['phone', 'platform', 'schedule', 'taskHandlers', 'lotteryPolicy']);
+  assert.equal(replaced.user.token, 'token-7');
+  assert.equal(replaced.user.platform, 'mac');
+});
+
+test('reports every invalid row with its errors', () => {
+  const csv = [
+    'uid,uuid,flowId,accessKey,isActive,schedule',
+    '8,u-8,1,ak-8,yes,',
+    'abc,u-9,1,ak-9,,',
+    '10,u-10,x,,maybe,"[{""time"":""25:00""}]"',
+    '8,u-8,1,ak-8,,',
+    ',u-11,1,ak-11,,',
+  ].join('\n');
+
+  const plan = planImport(parseImport(csv, 'csv'), [], { mode: 'merge' });
+
+  assert.deepEqual(
+    plan.items.map(({ row, action, errors }) => ({ row, action, errors })),
+    [
+      { row: 1, action: 'create', errors: [] },
+      { row: 2, action: 'invalid', errors: ['uid must be a positive integer'] },
+      {
+        row: 3,
+        action: 'invalid',
+        errors: [
+          'flowId must be a positive integer',
+          'isActive must be true or false',
+          'Run 1: time must be in HH:mm format',
+          'Missing required fields: flowId, accessKey',
+        ],
+      },
+      { row: 4, action: 'invalid', errors: ['Duplicate uid 8 (first in row 1)'] },
+      { row: 5, action: 'invalid', errors: ['Missing uid'] },
+    ]
+  );
+  assert.equal(plan.valid, 1);
+  assert.equal(plan.items[0].user.isActive, true);
+  assert.throws(() => parseImport({ users: [] }, 'json'), /Expected an array of accounts/);
+});
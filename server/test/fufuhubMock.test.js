@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockUpstream, MOCK_ERROR_CODES } from '../src/mock/fufuhubMock.js';
+
+// The mock is exercised through the real APIService; it reads API_BASE_URL when loaded
+const mock = createMockUpstream();
+let apiService;
+
+const UID = 1001;
+const args = { flowId: 1, uuid: 'uuid-1001', accessKey: 'ak-1001', machineId: 'machine-1001' };
+
+before(async () => {
+  process.env.API_BASE_URL = await mock.listen();
+  process.env.LOG_LEVEL ??= 'error';
+  ({ default: apiService } = await import('../src/services/apiService.js'));
+});
+
+after(() => mock.close());
+
+async function login() {
+  const { token } = await apiService.checkLogin(UID, 'mac', args.accessKey, args.machineId);
+  return token;
+}
+
+const getTasks = (token) =>
+  apiService.getActivityTasks(args.flowId, UID, args.uuid, args.accessKey, token, args.machineId);
+
+test('rejects unknown tokens with the token expired code', async () => {
+  mock.reset('default');
+  await assert.rejects(getTasks('not-a-token'), { message: 'TOKEN_EXPIRED' });
+});
+
+test('tokens expire after the scenario TTL', async () => {
+  mock.reset('expiring-token');
+  const token = await login();
+  assert.equal((await getTasks(token)).length, 1);
+
+  mock.advance(31);
+  await assert.rejects(getTasks(token), { message: 'TOKEN_EXPIRED' });
+});
+
+test('Type 2 progress follows the mock clock', async () => {
+  mock.reset('type2-progress');
+  const token = await login();
+  assert.equal((await getTasks(token))[0].task_value, 0);
+
+  const early = await apiService.completeTask(args.flowId, UID, args.uuid, args.accessKey, 102, token, args.machineId);
+  assert.equal(early, null);
+  assert.equal(mock.getAccount(UID).tasks[0].task_state, 2);
+
+  mock.advance(15);
+  assert.equal((await getTasks(token))[0].task_value, 30);
+
+  mock.advance(15);
+  const [task] = await getTasks(token);
+  assert.equal(task.task_value, 60);
+  await apiService.completeTask(args.flowId, UID, args.uuid, args.accessKey, 102, token, args.machineId);
+  assert.equal(mock.getAccount(UID).tasks[0].task_state, 3);
+});
+
+test('draws consume tickets and show up in the order history', async () => {
+  mock.reset('lottery');
+  const token = await login();
+
+  for (let i = 0; i < 3; i++) {
+    await apiService.drawPrize(args.flowId, UID, args.uuid, args.accessKey, token, args.machineId);
+  }
+  await assert.rejects(
+    apiService.drawPrize(args.flowId, UID, args.uuid, args.accessKey, token, args.machineId),
+    { message: new RegExp(String(MOCK_ERROR_CODES.NO_LOTTERY_TICKETS)) }
+  );
+
+  const history = await apiService.getOrderHistory(args.flowId, UID, args.uuid, args.accessKey, token, args.machineId);
+  assert.equal(history.total, 3);
+  assert.deepEqual(
+    history.order_list.map((order) => order.sale_name),
+    ['1小时卡', '30分钟卡', '15分钟卡']
+  );
+});
+
+test('injected failures answer the next calls only', async () => {
+  mock.reset('default');
+  const token = await login();
+  mock.injectFailure({ method: 'getactivitytask', code: MOCK_ERROR_CODES.SYSTEM_BUSY, msg: 'busy', times: 2 });
+
+  await assert.rejects(getTasks(token), { message: /busy/ });
+  await assert.rejects(getTasks(token), { message: /busy/ });
+  assert.equal((await getTasks(token)).length, 3);
+});
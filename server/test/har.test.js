@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractAccountsFromHar } from '../src/utils/har.js';
+
+const BASE = 'https://api.example.com/v1/nika/client';
+
+function entry(method, startedDateTime, body, headers = {}, response = null) {
+  return {
+    startedDateTime,
+    request: {
+      method: 'POST',
+      url: `${BASE}/${method}`,
+      headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+      postData: { mimeType: 'application/json', text: JSON.stringify(body) },
+    },
+    response: response || { status: 200, content: {} },
+  };
+}
+
+test('collects body fields and headers per uid, newest values win', () => {
+  const har = {
+    log: {
+      entries: [
+        entry('getuserinfo', '2026-01-02T10:00:00.000Z', { uid: 7, uuid: 'u-7', flow_id: 3 }, {
+          AccessKey: 'ak-new',
+          MachineId: 'm-7',
+          Platform: 'ios',
+          Authorization: 'token-new',
+        }),
+        entry('getactivitytask', '2026-01-01T10:00:00.000Z', { uid: '7', uuid: 'u-7', flow_id: 3 }, {
+          accesskey: 'ak-old',
+          authorization: 'token-old',
+        }),
+        { startedDateTime: '2026-01-01T09:00:00.000Z', request: { url: 'https://cdn.example.com/a.js' } },
+      ],
+    },
+  };
+
+  const { entries, requests, accounts } = extractAccountsFromHar(har);
+
+  assert.equal(entries, 3);
+  assert.equal(requests, 2);
+  assert.deepEqual(accounts, [
+    {
+      uid: 7,
+      uuid: 'u-7',
+      flowId: 3,
+      accessKey: 'ak-new',
+      machineId: 'm-7',
+      platform: 'ios',
+      token: 'token-new',
+      tokenSeenAt: '2026-01-02T10:00:00.000Z',
+      methods: ['getactivitytask', 'getuserinfo'],
+      missing: [],
+    },
+  ]);
+});
+
+test('takes the token from a base64 checklogin response and reports missing fields', () => {
+  const login = { ret: { code: 0, msg: 'ok' }, body: { token: 'fresh-token' } };
+  const har = {
+    log: {
+      entries: [
+        entry('checklogin', '2026-01-01T08:00:00.000Z', { uid: 9 }, { accesskey: 'ak-9' }, {
+          status: 200,
+          content: { encoding: 'base64', text: Buffer.from(JSON.stringify(login)).toString('base64') },
+        }),
+      ],
+    },
+  };
+
+  const [account] = extractAccountsFromHar(har).accounts;
+
+  assert.equal(account.token, 'fresh-token');
+  assert.deepEqual(account.missing, ['uuid', 'flowId']);
+});
+
+test('rejects documents that are not HAR files', () => {
+  assert.throws(() => extractAccountsFromHar({ entries: [] }), /Not a HAR file/);
+});
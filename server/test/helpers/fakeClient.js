@@ -0,0 +1,7 @@
+/**
+ * Stand-in for a dashboard WebSocket: open, and keeps every message it is sent (parsed)
+ */
+export function fakeClient() {
+  const messages = [];
+  return { readyState: 1, messages, send: (json) => messages.push(JSON.parse(json)) };
+}
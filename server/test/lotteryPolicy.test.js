@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLotteryPolicy, planDraws, DEFAULT_LOTTERY_POLICY } from '../src/utils/lotteryPolicy.js';
+
+const policy = (overrides = {}) => ({ ...DEFAULT_LOTTERY_POLICY, ...overrides });
+
+test('by default every ticket is drawn', () => {
+  assert.deepEqual(planDraws(policy(), { tickets: 3 }), { tickets: 3, draws: 3, drawType: 1, reason: null });
+  assert.deepEqual(planDraws(policy(), { tickets: 0 }), { tickets: 0, draws: 0, drawType: 1, reason: null });
+});
+
+test('the reserve, daily cap, run number and switch limit the draws', () => {
+  assert.deepEqual(planDraws(policy({ reserve: 2 }), { tickets: 3 }), {
+    tickets: 3,
+    draws: 1,
+    drawType: 1,
+    reason: 'Keeping 2 ticket(s) in reserve',
+  });
+  assert.equal(planDraws(policy({ reserve: 5 }), { tickets: 3 }).reason, 'Keeping 3 ticket(s) in reserve');
+
+  const capped = planDraws(policy({ dailyCap: 2 }), { tickets: 5, drawnToday: 1 });
+  assert.equal(capped.draws, 1);
+  assert.equal(capped.reason, 'Daily cap of 2 draw(s), 1 drawn today');
+  assert.equal(planDraws(policy({ dailyCap: 2 }), { tickets: 5, drawnToday: 3 }).draws, 0);
+
+  // Manual runs (no run number) are not limited to the configured run
+  assert.equal(planDraws(policy({ runNumber: 2 }), { tickets: 2, runNumber: 1 }).reason, 'Draws only in run 2');
+  assert.equal(planDraws(policy({ runNumber: 2 }), { tickets: 2, runNumber: 2 }).draws, 2);
+  assert.equal(planDraws(policy({ runNumber: 2 }), { tickets: 2 }).draws, 2);
+
+  assert.deepEqual(planDraws(policy({ enabled: false, drawType: 2 }), { tickets: 2 }), {
+    tickets: 2,
+    draws: 0,
+    drawType: 2,
+    reason: 'Lottery disabled',
+  });
+});
+
+test('policies are validated and filled with the defaults', () => {
+  assert.deepEqual(normalizeLotteryPolicy(undefined), DEFAULT_LOTTERY_POLICY);
+  assert.deepEqual(normalizeLotteryPolicy({ reserve: '2', dailyCap: '' }), policy({ reserve: 2 }));
+  assert.throws(() => normalizeLotteryPolicy([]), /lotteryPolicy must be an object/);
+  assert.throws(() => normalizeLotteryPolicy({ enabled: 'yes' }), { message: 'lotteryPolicy.enabled must be true or false' });
+  assert.throws(() => normalizeLotteryPolicy({ runNumber: 25 }), {
+    message: 'lotteryPolicy.runNumber must be an integer between 1 and 24',
+  });
+});
@@ -0,0 +1,165 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import net from 'node:net';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import webhook from '../src/services/notifiers/webhook.js';
+import telegram from '../src/services/notifiers/telegram.js';
+import email from '../src/services/notifiers/email.js';
+
+/**
+ * Notification channels against local stand-ins: an HTTP server for webhook / Telegram
+ * and a minimal SMTP server for email
+ */
+const message = {
+  event: 'runFinished',
+  uid: 3001,
+  title: '✅ FuFuHub 执行完成 - UID 3001',
+  text: 'Status: success (manual)',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  data: {},
+};
+
+// Every request to the HTTP stand-in; `reply` decides the response
+const requests = [];
+let reply = () => ({ status: 200, body: { ok: true } });
+let httpServer;
+let httpUrl;
+
+// Every mail accepted by the SMTP stand-in
+const mails = [];
+let smtpServer;
+let smtpPort;
+
+function startSmtp() {
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let mail = null;
+    socket.write('220 stand-in ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (mail?.reading) {
+          if (line === '.') {
+            mail.reading = false;
+            mails.push(mail);
+            socket.write('250 OK queued\r\n');
+          } else {
+            mail.data.push(line);
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 stand-in\r\n');
+        } else if (/^MAIL FROM:/i.test(line)) {
+          mail = { from: line.slice(10), to: [], data: [] };
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO:/i.test(line)) {
+          mail.to.push(line.slice(8));
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          mail.reading = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+  httpServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const { status, body: responseBody } = reply(req);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+  await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+  httpUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+  smtpServer = await startSmtp();
+  smtpPort = smtpServer.address().port;
+});
+
+after(async () => {
+  await new Promise((resolve) => httpServer.close(resolve));
+  await new Promise((resolve) => smtpServer.close(resolve));
+});
+
+test('webhook posts the message as JSON and signs it with the secret', async () => {
+  requests.length = 0;
+  reply = () => ({ status: 204, body: {} });
+
+  await webhook.send({ url: `${httpUrl}/hook`, secret: 'shh' }, message);
+
+  assert.equal(requests.length, 1);
+  const [request] = requests;
+  assert.equal(request.url, '/hook');
+  assert.deepEqual(JSON.parse(request.body), message);
+  const signature = crypto.createHmac('sha256', 'shh').update(request.body).digest('hex');
+  assert.equal(request.headers['x-fufuhub-signature'], `sha256=${signature}`);
+
+  // Without a secret nothing is signed
+  await webhook.send({ url: `${httpUrl}/hook` }, message);
+  assert.equal(requests[1].headers['x-fufuhub-signature'], undefined);
+});
+
+test('webhook rejects on HTTP errors and unreachable URLs', async () => {
+  reply = () => ({ status: 500, body: { error: 'boom' } });
+  await assert.rejects(webhook.send({ url: `${httpUrl}/hook` }, message), /500/);
+
+  // Port 1 on localhost refuses connections
+  await assert.rejects(webhook.send({ url: 'http://127.0.0.1:1/hook' }, message));
+});
+
+test('telegram sends the title and text to the chat through the bot API', async () => {
+  requests.length = 0;
+  reply = () => ({ status: 200, body: { ok: true, result: {} } });
+
+  await telegram.send({ botToken: '123:abc', chatId: '42', apiBaseUrl: httpUrl }, message);
+
+  assert.equal(requests[0].url, '/bot123:abc/sendMessage');
+  assert.deepEqual(JSON.parse(requests[0].body), {
+    chat_id: '42',
+    text: `${message.title}\n\n${message.text}`,
+  });
+
+  reply = () => ({ status: 200, body: { ok: false, description: 'chat not found' } });
+  await assert.rejects(
+    telegram.send({ botToken: '123:abc', chatId: '42', apiBaseUrl: httpUrl }, message),
+    { message: 'Telegram error: chat not found' }
+  );
+});
+
+test('email delivers the message over SMTP', async () => {
+  mails.length = 0;
+
+  await email.send(
+    { host: '127.0.0.1', port: String(smtpPort), from: 'bot@example.com', to: 'a@example.com, b@example.com' },
+    message
+  );
+
+  assert.equal(mails.length, 1);
+  const [mail] = mails;
+  assert.match(mail.from, /bot@example\.com/);
+  assert.deepEqual(mail.to.map((to) => to.replace(/[<>\s]/g, '')), ['a@example.com', 'b@example.com']);
+  const data = mail.data.join('\n');
+  assert.match(data, /^Subject: /m);
+  assert.match(data, /Status: success \(manual\)/);
+});
+
+test('email rejects when the SMTP server is unreachable', async () => {
+  await assert.rejects(email.send({ host: '127.0.0.1', port: '1', from: 'bot@example.com', to: 'a@example.com' }, message));
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../src/utils/logger.js';
+import { RunQueue, RUN_CANCELLED } from '../src/services/runQueue.js';
+
+// The queue publishes through the event stream, which only logs without Redis
+logger.silent = true;
+
+const ids = (jobs) => jobs.map((job) => job.id);
+// Jobs start executing on a later tick
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Queue whose jobs run until finished by hand: finishers[id](value) resolves job id
+ */
+function manualQueue(concurrency) {
+  const queue = new RunQueue(concurrency);
+  const finishers = {};
+  const signals = {};
+  const enqueue = (id, uid) =>
+    queue.enqueue({
+      id,
+      uid,
+      trigger: 'manual',
+      execute: (signal) => {
+        signals[id] = signal;
+        return new Promise((resolve) => {
+          finishers[id] = resolve;
+        });
+      },
+    });
+  return { queue, finishers, signals, enqueue };
+}
+
+test('the run queue limits concurrency, runs one job per account and cancels jobs', async () => {
+  const { queue, finishers, signals, enqueue } = manualQueue(2);
+
+  const a1 = enqueue('a1', 1);
+  const a2 = enqueue('a2', 1);
+  enqueue('b1', 2);
+  const c1 = enqueue('c1', 3);
+
+  // a2 waits for a1 (same account), c1 for a free slot
+  assert.deepEqual(ids(queue.list().running), ['a1', 'b1']);
+  assert.deepEqual(ids(queue.list().queued), ['a2', 'c1']);
+  assert.equal(queue.isBusy(1), true);
+  assert.equal(queue.isBusy(3), false);
+
+  assert.equal(queue.cancel('c1').state, 'cancelled');
+  await assert.rejects(c1, { message: RUN_CANCELLED });
+
+  // Running jobs are only asked to stop
+  assert.equal(queue.cancel('b1').cancelling, true);
+  assert.equal(signals.b1.aborted, true);
+  assert.equal(queue.cancel('missing'), null);
+
+  finishers.a1('done');
+  assert.equal(await a1, 'done');
+  await tick();
+  assert.deepEqual(ids(queue.list().running), ['b1', 'a2']);
+  assert.deepEqual(queue.list().queued, []);
+  finishers.b1();
+  finishers.a2();
+  await a2;
+});
+
+test('jobs start oldest first, skipping accounts that are busy', async () => {
+  const { queue, finishers, enqueue } = manualQueue(1);
+
+  enqueue('a1', 1);
+  enqueue('a2', 1);
+  enqueue('b1', 2);
+  assert.deepEqual(ids(queue.list().queued), ['a2', 'b1']);
+
+  await tick();
+  finishers.a1();
+  await tick();
+  assert.deepEqual(ids(queue.list().running), ['a2']);
+  finishers.a2();
+  await tick();
+  assert.deepEqual(ids(queue.list().running), ['b1']);
+  finishers.b1();
+});
+
+test('cancelling an account drops its queued jobs and waits for its running job', async () => {
+  const { queue, finishers, signals, enqueue } = manualQueue(2);
+
+  const a1 = enqueue('a1', 1);
+  const a2 = enqueue('a2', 1);
+  const b1 = enqueue('b1', 2);
+  const dropped = assert.rejects(a2, { message: RUN_CANCELLED });
+
+  let stopped = false;
+  const cancelling = queue.cancelUser(1).then(() => {
+    stopped = true;
+  });
+  await dropped;
+  assert.equal(signals.a1.aborted, true);
+  assert.equal(signals.b1.aborted, false);
+
+  // Still running until the job itself returns
+  await tick();
+  assert.equal(stopped, false);
+  finishers.a1('stopped');
+  await cancelling;
+  assert.equal(await a1, 'stopped');
+  assert.equal(queue.isBusy(1), false);
+
+  finishers.b1();
+  await b1;
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSchedule, computeRunDelay } from '../src/utils/schedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a run window plus jitter has to stay under 24 hours', () => {
+  assert.throws(
+    () => normalizeSchedule([{ time: '08:00', windowMinutes: 1439, jitterSeconds: 60 }]),
+    { message: 'Run 1: windowMinutes plus jitterSeconds must stay under 24 hours' }
+  );
+  assert.throws(
+    () => normalizeSchedule([{ time: '06:00' }, { time: '08:00', windowMinutes: 1400, jitterSeconds: 3600 }]),
+    /^Error: Run 2: windowMinutes plus jitterSeconds/
+  );
+
+  // The largest allowed window still fires before the next day's trigger of the same run
+  const [run] = normalizeSchedule([{ time: '08:00', windowMinutes: 1439, jitterSeconds: 59 }]);
+  assert.ok((run.windowMinutes * 60 + run.jitterSeconds) * 1000 < DAY_MS);
+  for (let i = 0; i < 1000; i++) {
+    assert.ok(computeRunDelay(run) < DAY_MS);
+  }
+});
+
+test('schedules are sorted by time and reject duplicate times', () => {
+  assert.deepEqual(normalizeSchedule([{ time: '9:30', windowMinutes: '15' }, { time: '08:00' }]), [
+    { time: '08:00', windowMinutes: 0, jitterSeconds: 0 },
+    { time: '09:30', windowMinutes: 15, jitterSeconds: 0 },
+  ]);
+  assert.throws(() => normalizeSchedule([{ time: '08:00' }, { time: '8:00' }]), { message: 'Duplicate run time: 08:00' });
+});
@@ -0,0 +1,696 @@
+import net from 'node:net';
+import { test as nodeTest, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockUpstream, MOCK_ERROR_CODES } from '../src/mock/fufuhubMock.js';
+import { fakeClient } from './helpers/fakeClient.js';
+
+/**
+ * TaskScheduler against the mock upstream
+ * Needs a Redis server: REDIS_HOST / REDIS_PORT (default 127.0.0.1:6379),
+ * TEST_REDIS_DB selects the database that is flushed between tests (default 15).
+ * The tests are skipped when Redis can't be reached (the client would retry forever).
+ */
+process.env.REDIS_HOST ??= '127.0.0.1';
+process.env.REDIS_PORT ??= '6379';
+
+function canReach(host, port, timeoutMs = 2000) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port: Number(port) });
+    const done = (reachable) => {
+      socket.destroy();
+      resolve(reachable);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+const REDIS_ADDRESS = `${process.env.REDIS_HOST}:${process.env.REDIS_PORT}`;
+const redisReachable = await canReach(process.env.REDIS_HOST, process.env.REDIS_PORT);
+const test = (name, fn) => nodeTest(name, { skip: !redisReachable && `Redis not reachable at ${REDIS_ADDRESS}` }, fn);
+
+const mock = createMockUpstream();
+let redisClient;
+let userStore;
+let scheduler;
+
+const UID = 2001;
+const user = {
+  uid: UID,
+  uuid: 'uuid-2001',
+  flowId: 1,
+  accessKey: 'ak-2001',
+  machineId: 'machine-2001',
+  platform: 'mac',
+  phone: 'mock',
+  isActive: true,
+  // Never issued by the mock: the first call of every run has to refresh it
+  token: 'stale-token',
+};
+
+before(async () => {
+  if (!redisReachable) return;
+  // Modules read their configuration when loaded, so set it up before importing them
+  process.env.API_BASE_URL = await mock.listen();
+  process.env.REDIS_DB = process.env.TEST_REDIS_DB || '15';
+  process.env.LOG_LEVEL ??= 'error';
+  // Small pages so the reward ledger has to paginate
+  process.env.REWARD_SYNC_PAGE_SIZE = '2';
+
+  ({ default: redisClient } = await import('../src/utils/redis.js'));
+  ({ default: userStore } = await import('../src/services/userStore.js'));
+  const { TaskScheduler } = await import('../src/services/taskScheduler.js');
+
+  await redisClient.connect();
+  scheduler = new TaskScheduler();
+});
+
+after(async () => {
+  if (!redisReachable) return;
+  await redisClient?.quit();
+  await mock.close();
+});
+
+beforeEach(async () => {
+  if (!redisReachable) return;
+  await redisClient.flushDb();
+  await userStore.saveUser(user);
+});
+
+const outcomes = (run) => Object.fromEntries(run.tasks.map((task) => [task.taskId, task.outcome]));
+
+test('completes ready tasks, waits on Type 2 and draws the available ticket', async () => {
+  mock.reset('default');
+
+  const run = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+
+  assert.equal(run.status, 'success');
+  assert.deepEqual(outcomes(run), { 101: 'completed', 102: 'incomplete', 103: 'completed' });
+  assert.equal(run.draws.length, 1);
+  assert.equal(run.draws[0].prizeName, '15分钟卡');
+
+  const account = mock.getAccount(UID);
+  assert.equal(account.sign_day, 4);
+  assert.equal(account.points, 115);
+});
+
+test('refreshes the stored token once and persists the new one', async () => {
+  mock.reset('expiring-token');
+
+  const first = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  assert.equal(first.status, 'success');
+  assert.equal(mock.callsTo('checklogin', UID).length, 1);
+  assert.equal((await userStore.getUser(UID)).token, mock.getAccount(UID).token);
+
+  // The refreshed token is reused until it expires upstream
+  await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  assert.equal(mock.callsTo('checklogin', UID).length, 1);
+
+  mock.advance(31);
+  const afterExpiry = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  assert.equal(afterExpiry.errors.length, 0);
+  assert.equal(mock.callsTo('checklogin', UID).length, 2);
+  assert.equal((await userStore.getUser(UID)).token, mock.getAccount(UID).token);
+});
+
+test('completes a Type 2 task once its progress reaches the target', async () => {
+  mock.reset('type2-progress');
+
+  const first = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  assert.deepEqual(outcomes(first), { 102: 'incomplete' });
+  assert.equal(mock.callsTo('completetask', UID).length, 0);
+
+  mock.advance(30);
+  const userInfoCalls = mock.callsTo('getuserinfo', UID).length;
+  const followUp = await scheduler.executeDailySignIn(user, { trigger: 'follow-up', taskIds: [102] });
+  assert.deepEqual(outcomes(followUp), { 102: 'completed' });
+  assert.equal(mock.getAccount(UID).tasks[0].task_state, 3);
+  // Follow-up checks leave the lottery alone: user info is only refreshed once at the end
+  assert.equal(mock.callsTo('getuserinfo', UID).length - userInfoCalls, 1);
+});
+
+test('draws once per ticket and the prizes reach the order history', async () => {
+  mock.reset('lottery');
+
+  const run = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+
+  assert.deepEqual(
+    run.draws.map((draw) => draw.prizeName),
+    ['15分钟卡', '30分钟卡', '1小时卡']
+  );
+  // The sign-in reward ticket arrives after the draws, it is left for the next run
+  assert.equal(mock.getAccount(UID).lottery_num, 1);
+
+  const { AccountSession } = await import('../src/services/accountSession.js');
+  const session = await AccountSession.load(UID);
+  const history = await session.getOrderHistory();
+  assert.equal(history.order_list.filter((order) => order.order_type === 101).length, 3);
+});
+
+test('upstream error codes are recorded on the run', async () => {
+  mock.reset('errors');
+
+  const failed = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.errors[0].stage, 'execute');
+  assert.match(failed.errors[0].message, new RegExp(String(MOCK_ERROR_CODES.SYSTEM_BUSY)));
+
+  const partial = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  assert.equal(partial.status, 'partial');
+  assert.equal(partial.draws.length, 2);
+  assert.match(partial.draws[0].error, new RegExp(String(MOCK_ERROR_CODES.SYSTEM_BUSY)));
+  assert.equal(partial.draws[1].error, null);
+});
+
+test('dry run makes no mutating upstream calls and never refreshes the token', async () => {
+  mock.reset('default');
+  const { AccountSession } = await import('../src/services/accountSession.js');
+
+  // The stored token was never issued: the plan fails instead of logging in again
+  await assert.rejects(scheduler.planDailySignIn(user), { message: 'TOKEN_EXPIRED' });
+  assert.equal(mock.callsTo('checklogin').length, 0);
+  assert.equal((await userStore.getUser(UID)).token, 'stale-token');
+
+  const { token } = await (await AccountSession.load(UID)).refreshToken();
+  const plan = await scheduler.planDailySignIn(user);
+  assert.equal(mock.callsTo('checklogin').length, 1);
+  assert.equal((await userStore.getUser(UID)).token, token);
+
+  assert.deepEqual(plan.summary, { complete: 2, wait: 1, skip: 0 });
+  assert.deepEqual(plan.lottery, { tickets: 1, draws: 1, drawType: 1, reason: null });
+  assert.equal(mock.callsTo('completetask').length, 0);
+  assert.equal(mock.callsTo('drawprize').length, 0);
+});
+
+test('runs and upstream calls are counted in the metrics', async () => {
+  mock.reset('default');
+  const { register } = await import('../src/utils/metrics.js');
+  const value = async (name, labels) => {
+    const metric = await register.getSingleMetric(name).get();
+    const match = metric.values.find((entry) =>
+      Object.entries(labels).every(([key, expected]) => entry.labels[key] === expected)
+    );
+    return match?.value ?? 0;
+  };
+  const before = {
+    claimed: await value('fufuhub_tasks_total', { type: '3', outcome: 'completed' }),
+    expired: await value('fufuhub_upstream_requests_total', { method: 'getactivitytask', code: '3584901' }),
+    refreshes: await value('fufuhub_token_refresh_attempts_total', {}),
+  };
+
+  await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+
+  assert.equal(await value('fufuhub_tasks_total', { type: '3', outcome: 'completed' }), before.claimed + 1);
+  assert.equal(
+    await value('fufuhub_upstream_requests_total', { method: 'getactivitytask', code: '3584901' }),
+    before.expired + 1
+  );
+  assert.equal(await value('fufuhub_token_refresh_attempts_total', {}), before.refreshes + 1);
+});
+
+test('readiness counts stale tokens without degrading and tracks the last successful run', async () => {
+  mock.reset('default');
+  const { default: health } = await import('../src/services/health.js');
+  await scheduler.initialize();
+
+  // The saved user has never refreshed its token: reported, but runs refresh it when needed
+  const before = await health.readiness(scheduler, { details: true });
+  assert.equal(before.status, 'ready');
+  assert.deepEqual(before.accounts, { total: 1, active: 1, staleTokens: 1 });
+  assert.equal(before.accountDetails[0].tokenFresh, false);
+  assert.equal(before.accountDetails[0].lastSuccessAt, null);
+
+  const run = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+
+  const after = await health.readiness(scheduler, { details: true });
+  assert.equal(after.status, 'ready');
+  assert.equal(after.accounts.staleTokens, 0);
+  assert.equal(after.accountDetails[0].tokenFresh, true);
+  assert.equal(after.accountDetails[0].lastSuccessAt, run.finishedAt);
+
+  // Without details (the unauthenticated probe) no account is identified
+  const probe = await health.readiness(scheduler);
+  assert.equal(probe.accountDetails, undefined);
+  assert.doesNotMatch(JSON.stringify(probe), new RegExp(String(UID)));
+});
+
+test('the reward ledger keeps drawn prizes and pages through the order history once', async () => {
+  mock.reset('lottery');
+  const { default: rewardLedger } = await import('../src/services/rewardLedger.js');
+
+  await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+
+  const prizes = await rewardLedger.query({ uid: UID, source: 'prize' });
+  assert.deepEqual(
+    prizes.items.map((prize) => prize.prizeName),
+    ['1小时卡', '30分钟卡', '15分钟卡']
+  );
+  const orders = await rewardLedger.query({ uid: UID, source: 'order', type: 101 });
+  assert.equal(orders.total, 3);
+
+  const [month] = await rewardLedger.monthlyTotals({ uid: UID });
+  assert.equal(month.minutes, 105);
+  assert.equal(month.prizes, 3);
+
+  // Nothing new: the first page already holds known orders
+  const historyCalls = mock.callsTo('orderhistory', UID).length;
+  const { AccountSession } = await import('../src/services/accountSession.js');
+  const state = await rewardLedger.sync(await AccountSession.load(UID));
+  assert.equal(state.added, 0);
+  assert.equal(mock.callsTo('orderhistory', UID).length - historyCalls, 1);
+});
+
+test('the expiry scan reports cards inside the horizon and alerts them once', async () => {
+  mock.reset('default');
+  const { default: rewardExpiry } = await import('../src/services/rewardExpiry.js');
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const card = (id, saleName, days, state = 1) => ({
+    id,
+    order_type: 101,
+    sale_name: saleName,
+    sale_duration: inDays(days),
+    pay_type: 0,
+    state,
+    order_time: new Date().toISOString(),
+    update_time: new Date().toISOString(),
+  });
+  mock.getAccount(UID).orders.push(
+    card(901, '30分钟卡', 1),
+    card(902, '1小时卡', 20),
+    card(903, '15分钟卡', -2),
+    // Already used: never reported
+    card(904, '1小时卡', 1, 2)
+  );
+
+  // The same log also receives the token refresh of the stale token
+  const alerts = [];
+  const log = (message, type) => message.startsWith('⏳') && alerts.push({ message, type });
+
+  const first = await rewardExpiry.scan({ log });
+  assert.deepEqual(
+    first.items.map((item) => [item.orderId, item.minutes]),
+    [['901', 30]]
+  );
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].type, 'warning');
+
+  const second = await rewardExpiry.scan({ log });
+  assert.equal(second.items.length, 1);
+  assert.equal(alerts.length, 1);
+});
+
+test('the overview sums what the last run stored for each account', async () => {
+  mock.reset('default');
+  const { default: overview } = await import('../src/services/overview.js');
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const card = (id, saleName, days, state) => ({
+    id,
+    order_type: 101,
+    sale_name: saleName,
+    sale_duration: inDays(days),
+    pay_type: 0,
+    state,
+    order_time: new Date().toISOString(),
+    update_time: new Date().toISOString(),
+  });
+  // Only the unused card that has not expired counts, next to the one the run draws
+  mock.getAccount(UID).orders.push(
+    card(911, '1小时卡', 5, 1),
+    card(912, '30分钟卡', 5, 2),
+    card(913, '15分钟卡', 0, 3),
+    card(914, '1小时卡', -1, 1)
+  );
+
+  const run = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  const { accounts, totals } = await overview.build();
+
+  const [account] = accounts;
+  assert.equal(account.lastRun.runId, run.runId);
+  assert.equal(account.points, 115);
+  assert.equal(account.signDay, 4);
+  assert.equal(account.tasksCompleted, 2);
+  assert.equal(account.tasksPending, 1);
+  assert.equal(account.unusedMinutes, 75);
+  assert.ok(account.tokenAgeMinutes <= 1);
+  assert.deepEqual(totals.lastRunStatuses, { success: 1 });
+  assert.equal(totals.points, 115);
+});
+
+test('each run adds a history point and a lower streak is flagged as broken', async () => {
+  mock.reset('default');
+  const { default: statsHistory } = await import('../src/services/statsHistory.js');
+
+  const first = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  mock.getAccount(UID).sign_day = 0;
+  const second = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+
+  const history = await statsHistory.query(UID);
+  assert.deepEqual(
+    history.items.map((point) => [point.runId, point.points, point.tasksCompleted, point.streakBroken]),
+    [
+      [first.runId, 115, 2, false],
+      [second.runId, 115, 2, true],
+    ]
+  );
+  assert.deepEqual(
+    history.streakBreaks.map(({ from, to }) => [from, to]),
+    [[4, history.items[1].signDay]]
+  );
+
+  const empty = await statsHistory.query(UID, { to: '2020-01-01' });
+  assert.equal(empty.items.length, 0);
+});
+
+test('runs write a tagged per-account log that can be filtered and paged', async () => {
+  mock.reset('default');
+  const { default: accountLog } = await import('../src/services/accountLog.js');
+
+  const run = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+
+  const all = await accountLog.query({ uid: UID });
+  assert.ok(all.total > 5);
+  assert.ok(all.items.every((entry) => entry.uid === UID && entry.runId === run.runId));
+
+  // The stale token is refreshed by the session, tagged with the run
+  const refresh = await accountLog.query({ uid: UID, q: 'token refreshed' });
+  assert.equal(refresh.total, 1);
+  assert.equal(refresh.items[0].source, 'session');
+  assert.equal(refresh.items[0].level, 'success');
+
+  const task = await accountLog.query({ uid: UID, taskId: 102 });
+  assert.ok(task.total > 0);
+  assert.ok(task.items.every((entry) => entry.message.includes('102')));
+  assert.deepEqual(
+    [...new Set(task.items.map((entry) => entry.level))],
+    ['warning']
+  );
+
+  const firstPage = await accountLog.query({ uid: UID, pageSize: 2 });
+  const secondPage = await accountLog.query({ uid: UID, page: 2, pageSize: 2 });
+  assert.equal(firstPage.total, all.total);
+  assert.deepEqual(
+    [...firstPage.items, ...secondPage.items].map((entry) => entry.id),
+    all.items.slice(0, 4).map((entry) => entry.id)
+  );
+});
+
+test('a reconnecting client gets the events it missed once, in order', async () => {
+  mock.reset('default');
+  const { addClient, removeClient, broadcastToClients } = await import('../src/utils/broadcast.js');
+
+  const topics = ['system', 'runs', `user:${UID}`];
+  const live = fakeClient();
+  await addClient(live, { topics });
+  assert.deepEqual(live.messages, [
+    { v: 1, type: 'ready', lastEventId: null, replayed: 0, truncated: false, topics },
+  ]);
+
+  await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  // Broadcasts are sent once Redis has stored them
+  await redisClient.ping();
+  const events = live.messages.slice(1);
+  assert.ok(events.length > 5);
+  assert.ok(['runStarted', 'accountLog', 'tasksUpdated'].every((type) => events.some((event) => event.type === type)));
+
+  // Dropped after the third event; an event is broadcast while the replay is read
+  const resumed = fakeClient();
+  const replay = addClient(resumed, { since: events[2].eventId, topics });
+  await broadcastToClients({ type: 'error', message: 'during replay' });
+  await replay;
+  await redisClient.ping();
+
+  const types = resumed.messages.map((message) => message.type);
+  assert.deepEqual(
+    resumed.messages.slice(0, events.length - 3),
+    events.slice(3)
+  );
+  assert.equal(types.filter((type) => type === 'error').length, 1);
+  assert.equal(types.filter((type) => type === 'ready').length, 1);
+  const ready = resumed.messages.find((message) => message.type === 'ready');
+  assert.equal(ready.truncated, false);
+
+  const eventIds = resumed.messages.filter((message) => message.eventId).map((message) => message.eventId);
+  assert.deepEqual(eventIds, [...new Set(eventIds)].sort((a, b) => a.localeCompare(b, 'en', { numeric: true })));
+
+  // Ids older than the stream (trimmed) cannot be replayed completely
+  const stale = fakeClient();
+  await addClient(stale, { since: '1-0', topics });
+  assert.equal(stale.messages.at(-1).truncated, true);
+
+  [live, resumed, stale].forEach(removeClient);
+});
+
+test('clients only get the events of their topics and can change subscriptions', async () => {
+  mock.reset('default');
+  const { addClient, removeClient, handleClientMessage } = await import('../src/utils/broadcast.js');
+
+  const account = fakeClient();
+  const other = fakeClient();
+  const runs = fakeClient();
+  const system = fakeClient();
+  await addClient(account, { topics: [`user:${UID}`] });
+  await addClient(other, { topics: ['user:9999'] });
+  await addClient(runs, { topics: ['runs'] });
+  await addClient(system, { topics: ['system'] });
+
+  await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  await redisClient.ping();
+
+  const types = (client) => new Set(client.messages.map((message) => message.type));
+  assert.deepEqual([...types(other)], ['ready']);
+  assert.deepEqual([...types(runs)], ['ready', 'runStarted', 'runFinished']);
+  assert.ok(['tasksUpdated', 'accountLog', 'runFinished'].every((type) => types(account).has(type)));
+  assert.equal(types(account).has('systemLog'), false);
+  // Account messages stay on the account topic, not even mirrored as system logs
+  assert.deepEqual([...types(system)], ['ready']);
+
+  handleClientMessage(other, JSON.stringify({ type: 'subscribe', topics: ['system'] }));
+  handleClientMessage(other, JSON.stringify({ type: 'unsubscribe', topics: ['user:9999'] }));
+  handleClientMessage(other, JSON.stringify({ type: 'subscribe', topics: ['user:abc'] }));
+  handleClientMessage(other, JSON.stringify({ type: 'ping' }));
+  assert.deepEqual(other.messages.slice(1), [
+    { v: 1, type: 'subscriptions', topics: ['user:9999', 'system'] },
+    { v: 1, type: 'subscriptions', topics: ['system'] },
+    { v: 1, type: 'protocolError', message: 'Unknown topic(s): user:abc' },
+    { v: 1, type: 'pong' },
+  ]);
+
+  [account, other, runs, system].forEach(removeClient);
+});
+
+test('the lottery policy keeps a reserve, caps daily draws and picks the draw type', async () => {
+  mock.reset('lottery');
+  const { default: rewardLedger } = await import('../src/services/rewardLedger.js');
+  const lotteryPolicy = { enabled: true, reserve: 1, runNumber: null, dailyCap: 1, drawType: 2 };
+  await userStore.updateUser(UID, { lotteryPolicy });
+  const account = { ...user, lotteryPolicy };
+
+  const first = await scheduler.executeDailySignIn(account, { trigger: 'manual' });
+  assert.equal(first.draws.length, 1);
+  assert.deepEqual(first.lottery, {
+    tickets: 3,
+    draws: 1,
+    drawType: 2,
+    reason: 'Daily cap of 1 draw(s), 0 drawn today',
+  });
+  assert.deepEqual(
+    mock.callsTo('drawprize', UID).map((call) => call.body.draw_type),
+    [2]
+  );
+
+  // The cap is used up for today; another run draws nothing
+  const second = await scheduler.executeDailySignIn(account, { trigger: 'manual' });
+  assert.equal(second.draws.length, 0);
+  assert.equal(second.lottery.reason, 'Daily cap of 1 draw(s), 1 drawn today');
+
+  // Only the second scheduled run may draw
+  const onlyRun2 = { ...account, lotteryPolicy: { ...lotteryPolicy, dailyCap: null, runNumber: 2 } };
+  const run1 = await scheduler.executeDailySignIn(onlyRun2, { trigger: 'scheduled', runNumber: 1 });
+  assert.deepEqual(run1.lottery, { tickets: 3, draws: 0, drawType: 2, reason: 'Draws only in run 2' });
+  const run2 = await scheduler.executeDailySignIn(onlyRun2, { trigger: 'scheduled', runNumber: 2 });
+  assert.equal(run2.draws.length, 2);
+  assert.equal(mock.getAccount(UID).lottery_num, 1);
+
+  const stats = await rewardLedger.prizeStats({ uid: UID });
+  assert.equal(stats.draws, 3);
+  assert.deepEqual(stats.drawTypes, { 2: 3 });
+  assert.deepEqual(
+    stats.prizes.map(({ prizeName, count }) => [prizeName, count]),
+    [['15分钟卡', 1], ['1小时卡', 1], ['30分钟卡', 1]]
+  );
+});
+
+// The queue itself is covered by runQueue.test.js
+test('runs of the same account wait in the run queue and stop early once cancelled', async () => {
+  const { default: runQueue, RUN_CANCELLED } = await import('../src/services/runQueue.js');
+  const ids = (jobs) => jobs.map((job) => job.id);
+
+  mock.reset('default');
+  const first = scheduler.enqueueRun(user, { trigger: 'manual', runId: 'queued-1' });
+  const second = scheduler.enqueueRun(user, { trigger: 'manual', runId: 'queued-2' });
+  assert.deepEqual(ids(runQueue.list().queued), ['queued-2']);
+  runQueue.cancel('queued-2');
+  await assert.rejects(second, { message: RUN_CANCELLED });
+  assert.equal((await first).status, 'success');
+
+  mock.reset('default');
+  const controller = new AbortController();
+  controller.abort();
+  const cancelled = await scheduler.executeDailySignIn(user, { trigger: 'manual', signal: controller.signal });
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(mock.callsTo('completetask', UID).length, 0);
+  assert.equal(mock.callsTo('drawprize', UID).length, 0);
+});
+
+test('broken notification channels never fail notify or the run', async () => {
+  const http = await import('node:http');
+  const { default: notifier } = await import('../src/services/notifier.js');
+
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(500);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const base = { events: ['runFinished'], uids: [UID] };
+    const failing = await notifier.saveChannel({
+      ...base,
+      type: 'webhook',
+      name: 'failing',
+      config: { url: `http://127.0.0.1:${server.address().port}/hook` },
+    });
+    const unreachable = await notifier.saveChannel({
+      ...base,
+      type: 'telegram',
+      name: 'unreachable',
+      config: { botToken: '1:x', chatId: '1', apiBaseUrl: 'http://127.0.0.1:1' },
+    });
+
+    mock.reset('default');
+    const run = await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+    assert.equal(run.status, 'success');
+
+    // The run does not wait for delivery: notify again and wait for it
+    await notifier.notify('runFinished', { uid: UID, runId: run.runId, run });
+    assert.ok(received.length >= 1);
+    assert.equal(received.at(-1).event, 'runFinished');
+    assert.equal(received.at(-1).uid, UID);
+
+    const statuses = await notifier.getStatuses();
+    assert.match(statuses[failing.id].lastError, /500/);
+    assert.ok(statuses[unreachable.id].lastError);
+    assert.equal(statuses[unreachable.id].lastSuccessAt, undefined);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('scheduled runs record whether they finished or were cancelled', async () => {
+  const { default: runQueue } = await import('../src/services/runQueue.js');
+  const { default: runHistory } = await import('../src/services/runHistory.js');
+  const runRecord = async () => JSON.parse(await redisClient.hGet('scheduler:runs', `${UID}:0`));
+
+  scheduler.isRunning = true;
+  try {
+    mock.reset('default');
+    await redisClient.hSet('scheduler:runs', `${UID}:0`, JSON.stringify({ status: 'pending' }));
+    const finished = scheduler.executeScheduledRun(UID, 0);
+    while (!runQueue.list().running.some((job) => job.uid === UID)) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    runQueue.cancel(runQueue.list().running.find((job) => job.uid === UID).id);
+    await finished;
+
+    const cancelled = await runRecord();
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal((await runHistory.get(cancelled.runId)).status, 'cancelled');
+
+    mock.reset('default');
+    await scheduler.executeScheduledRun(UID, 0);
+    assert.equal((await runRecord()).status, 'done');
+  } finally {
+    // Also clears the follow-up timer the Type 2 task armed
+    scheduler.shutdown();
+  }
+});
+
+test('rescheduling a deleted user drops its run records, queued and running runs and daily counters', async () => {
+  const { default: runQueue, RUN_CANCELLED } = await import('../src/services/runQueue.js');
+  mock.reset('default');
+  await scheduler.executeDailySignIn(user, { trigger: 'manual' });
+  const today = scheduler.dayOf(Date.now());
+  await redisClient.set(`scheduler:polls:${UID}:${today}`, '2');
+  await redisClient.set(`task:${UID}:102:progress`, JSON.stringify({ value: 1 }));
+  await redisClient.hSet('scheduler:runs', `${UID}:0`, JSON.stringify({ status: 'done' }));
+  // Another account's counters are left alone
+  await redisClient.set(`scheduler:draws:${UID}0:${today}`, '1');
+  assert.equal(await redisClient.get(`scheduler:draws:${UID}:${today}`), '1');
+
+  // Holds the account until it is cancelled, so the second run stays queued
+  const running = runQueue.enqueue({
+    id: 'hold',
+    uid: UID,
+    trigger: 'manual',
+    execute: (signal) => new Promise((resolve) => signal.addEventListener('abort', resolve)),
+  });
+  const queued = assert.rejects(
+    runQueue.enqueue({ id: 'queued', uid: UID, trigger: 'manual', execute: async () => {} }),
+    { message: RUN_CANCELLED }
+  );
+
+  await userStore.deleteUser(UID);
+  await scheduler.rescheduleUser(UID);
+
+  await queued;
+  await running;
+  assert.equal(runQueue.isBusy(UID), false);
+  assert.equal(await redisClient.hGet('scheduler:runs', `${UID}:0`), null);
+  for (const key of [`scheduler:draws:${UID}:${today}`, `scheduler:polls:${UID}:${today}`, `task:${UID}:102:progress`]) {
+    assert.equal(await redisClient.exists(key), 0, key);
+  }
+  assert.equal(await redisClient.get(`scheduler:draws:${UID}0:${today}`), '1');
+});
+
+test('deleting a user mid-run cancels the run before its keys are cleared', async () => {
+  const { default: runQueue } = await import('../src/services/runQueue.js');
+  const { default: runHistory } = await import('../src/services/runHistory.js');
+  const today = scheduler.dayOf(Date.now());
+
+  scheduler.isRunning = true;
+  try {
+    mock.reset('default');
+    await redisClient.hSet('scheduler:runs', `${UID}:0`, JSON.stringify({ status: 'pending' }));
+    const finished = scheduler.executeScheduledRun(UID, 0);
+    // The run is waiting on the task list when the account goes away
+    while (mock.callsTo('getactivitytask', UID).length === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    const { runId } = JSON.parse(await redisClient.hGet('scheduler:runs', `${UID}:0`));
+
+    await userStore.deleteUser(UID);
+    await scheduler.rescheduleUser(UID);
+
+    // Stopped before drawing or completing anything, and already done writing
+    assert.equal(runQueue.isBusy(UID), false);
+    assert.equal((await runHistory.get(runId)).status, 'cancelled');
+    assert.equal(mock.callsTo('drawprize', UID).length, 0);
+    assert.equal(mock.callsTo('completetask', UID).length, 0);
+
+    await finished;
+    assert.equal(await redisClient.hGet('scheduler:runs', `${UID}:0`), null);
+    assert.equal(await redisClient.exists(`scheduler:draws:${UID}:${today}`), 0);
+    assert.deepEqual(scheduler.getFollowUps(), []);
+  } finally {
+    scheduler.shutdown();
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseClientMessage, parseTopicList, topicsOf } from '../src/utils/wsProtocol.js';
+import { compareEventIds, isEventId } from '../src/services/eventStream.js';
+
+test('events are delivered on the topics of their type', () => {
+  assert.deepEqual(topicsOf({ type: 'runFinished', uid: 7 }), ['runs', 'user:7']);
+  assert.deepEqual(topicsOf({ type: 'accountLog', uid: 7 }), ['user:7']);
+  assert.deepEqual(topicsOf({ type: 'userAdded', user: { uid: 7 } }), ['system', 'user:7']);
+  assert.deepEqual(topicsOf({ type: 'systemLog' }), ['system']);
+  // Unknown types are not dropped
+  assert.deepEqual(topicsOf({ type: 'somethingNew', uid: 7 }), ['system']);
+});
+
+test('client messages and topic lists are validated', () => {
+  assert.deepEqual(parseClientMessage('{"type":"ping"}'), { message: { type: 'ping' } });
+  assert.deepEqual(parseClientMessage('{"type":"subscribe","topics":["runs","user:7"]}'), {
+    message: { type: 'subscribe', topics: ['runs', 'user:7'] },
+  });
+  assert.deepEqual(parseClientMessage('not json'), { error: 'Message must be JSON' });
+  assert.deepEqual(parseClientMessage('{"type":"shout"}'), { error: 'Unknown message type: shout' });
+  assert.deepEqual(parseClientMessage('{"type":"unsubscribe","topics":[]}'), {
+    error: 'topics must be a non-empty array',
+  });
+  assert.deepEqual(parseClientMessage('{"type":"subscribe","topics":["runs","user:abc"]}'), {
+    error: 'Unknown topic(s): user:abc',
+  });
+
+  assert.deepEqual(parseTopicList(' system, user:7 ,user:x,,runs'), ['system', 'user:7', 'runs']);
+  assert.deepEqual(parseTopicList(undefined), []);
+});
+
+test('event ids compare by time, then by sequence', () => {
+  assert.equal(isEventId('1700000000000-3'), true);
+  assert.equal(isEventId('latest'), false);
+
+  const ids = ['1700000000001-0', '1700000000000-10', '1700000000000-2'];
+  assert.deepEqual([...ids].sort(compareEventIds), ['1700000000000-2', '1700000000000-10', '1700000000001-0']);
+  assert.equal(compareEventIds('5-1', '5-1'), 0);
+});
@@ -56,7 +56,7 @@ echo ""
 echo -e "${BLUE}📝 下一步操作：${NC}"
 echo -e "   1️⃣  打开浏览器访问 http://localhost:3000"
 echo -e "   2️⃣  点击 '➕ Add User' 添加用户"
-echo -e "   3️⃣  从 HAR 文件中提取以下信息："
+echo -e "   3️⃣  点击 '📥 HAR' 导入 HAR 抓包，或从 HAR 文件中手动提取以下信息："
 echo -e "       • UID (用户 ID)"
 echo -e "       • UUID"
 echo -e "       • Flow ID"